@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// cli.js
+const path = require('path');  // For path manipulation
+const { createScraper, exportTease, buildLibraryIndex, verifyTease, repairTease, importIntoImageStore, cleanImageStore,
+    renameTeaseImages, createArchiveServer, migrateArchive, rebuildViewers, setLogLevel } = require('./index');
+const { log } = require('./lib/logger');
+const { printVerifyReport } = require('./lib/verify');
+const { printMigrationReport } = require('./lib/migrate');
+const { extractTeaseId } = require('./lib/batch');
+
+// Options that take the next argument as their value
+const VALUE_OPTIONS = ['--format', '--out', '--concurrency', '--output-dir', '--max-hops', '--user-agent',
+    '--username', '--password', '--cookies', '--profile', '--session-file', '--rate', '--jitter', '--proxy', '--filename-template',
+    '--port', '--host', '--token', '--theme', '--viewer-templates'];
+// Options that stand on their own
+const FLAG_OPTIONS = ['--headful', '--repair', '--shared-store', '--dry-run', '--in-place', '--quiet', '--verbose', '--log-file'];
+
+function printUsage() {
+    console.error('Usage: node index.js <target_url> [scrape options]');
+    console.error('       node index.js --resume <tease_folder> [scrape options]');
+    console.error('       node index.js <url_list.txt | author_url | search_url> [...more sources] [scrape options]');
+    console.error('       node index.js update <tease_folder> [scrape options]');
+    console.error('       node index.js export <tease_folder> [--format cbz,epub,pdf] [--out <dir>]');
+    console.error('       node index.js verify <tease_folder> [--repair] [scrape options]');
+    console.error('       node index.js rename <tease_folder> --filename-template <template> [--dry-run]');
+    console.error('       node index.js library [downloads_folder]');
+    console.error('       node index.js dedupe [downloads_folder]');
+    console.error('       node index.js cleanup [downloads_folder] [--dry-run]');
+    console.error('       node index.js migrate <archive_or_tease_folder> [--out <dir>] [--in-place] [--dry-run]');
+    console.error('       node index.js viewers [downloads_folder] [--theme <name>] [--viewer-templates <dir>]');
+    console.error('       node index.js serve [downloads_folder] [--port <n>] [--host <address>] [--token <token>] [scrape options]');
+    console.error('Scrape options: --output-dir <dir> --concurrency <n> --max-hops <n> --user-agent <ua> --headful --shared-store');
+    console.error('                --filename-template <template>, e.g. "{id}_{page:3}_{caption:20}" (also {title}, {original}, {hash})');
+    console.error('Pacing options: --rate <requests per minute> --jitter <ms> --proxy <http://host:port | socks5://host:port>');
+    console.error('Login options:  --username <name> --password <password> --cookies <file> --profile <dir> --session-file <file>');
+    console.error('Viewer options: --theme <classic | fullscreen | side-by-side | mobile> --viewer-templates <dir>');
+    console.error('Output options: --quiet (warnings and errors only) --verbose (debug output) --log-file (scrape-log.jsonl in the tease folder)');
+    console.error('Example: node index.js "https://milovana.com/webteases/showtease.php?id=45485&p=1"');
+}
+
+/**
+ * Runs the command line interface. Every command is a thin wrapper over the API in index.js;
+ * process.exitCode is set to 1 whenever the command fails.
+ *
+ * @param {string[]} args Command line arguments, without the node and script paths.
+ * @returns {Promise<void>}
+ */
+async function main(args) {
+    // Returns the value following a "--name" option, or null if it was not given
+    function getOption(name) {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] ? args[index + 1] : null;
+    }
+
+    // Set first, so everything the command prints follows it
+    setLogLevel(args.includes('--verbose') ? 'debug' : args.includes('--quiet') ? 'warn' : 'info');
+
+    // Arguments that are not options or option values
+    const positionalArgs = args.filter((arg, index) => !VALUE_OPTIONS.includes(arg) && !FLAG_OPTIONS.includes(arg)
+        && !VALUE_OPTIONS.includes(args[index - 1]));
+
+    if (positionalArgs.length === 0 || (['--resume', 'export', 'update', 'verify', 'rename', 'migrate'].includes(positionalArgs[0]) && !positionalArgs[1])) {
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    const scraper = createScraper({
+        outputDir: getOption('output-dir') || undefined,
+        downloadConcurrency: getOption('concurrency') ? parseInt(getOption('concurrency'), 10) : undefined,
+        maxHops: getOption('max-hops') ? parseInt(getOption('max-hops'), 10) : undefined,
+        userAgent: getOption('user-agent') || undefined,
+        headless: args.includes('--headful') ? false : undefined,
+        // The password can come from the environment so it stays out of the shell history
+        username: getOption('username') || process.env.MILOVANA_USERNAME || undefined,
+        password: getOption('password') || process.env.MILOVANA_PASSWORD || undefined,
+        cookieFile: getOption('cookies') || undefined,
+        profileDir: getOption('profile') || undefined,
+        sessionFile: getOption('session-file') || undefined,
+        requestsPerMinute: getOption('rate') ? parseFloat(getOption('rate')) : undefined,
+        jitter: getOption('jitter') ? parseInt(getOption('jitter'), 10) : undefined,
+        proxy: getOption('proxy') || undefined,
+        sharedStore: args.includes('--shared-store') ? true : undefined,
+        filenameTemplate: getOption('filename-template') || undefined,
+        viewerTheme: getOption('theme') || undefined,
+        viewerTemplateDir: getOption('viewer-templates') || undefined,
+        logFile: args.includes('--log-file') ? true : undefined
+    });
+    const outputDir = scraper.options.outputDir;
+
+    try {
+        if (positionalArgs[0] === 'export') {
+            const formatOption = getOption('format');
+            const written = await exportTease(positionalArgs[1], {
+                formats: formatOption ? formatOption.split(',').map(format => format.trim().toLowerCase()) : undefined,
+                outputDir: getOption('out')
+            });
+            log.info(`Export finished: ${written.length} file(s) written.`);
+        } else if (positionalArgs[0] === 'update') {
+            const teaseDirectory = path.resolve(positionalArgs[1]);
+            log.info(`Checking for changes in folder: ${teaseDirectory}`);
+            await scraper.update(teaseDirectory);
+            await buildLibraryIndex(path.dirname(teaseDirectory));
+        } else if (positionalArgs[0] === 'verify') {
+            const teaseDirectory = path.resolve(positionalArgs[1]);
+            let report = await verifyTease(teaseDirectory);
+            printVerifyReport(report);
+            if (args.includes('--repair') && (report.problems.length > 0 || report.strayFiles.length > 0)) {
+                const repair = await repairTease(report, scraper.options);
+                log.info(`Repair finished: ${repair.repaired} image(s) downloaded again, ${repair.failed.length} could not be repaired.`);
+                report = await verifyTease(teaseDirectory);
+                printVerifyReport(report);
+                await buildLibraryIndex(path.dirname(teaseDirectory));
+            }
+            if (report.problems.length > 0) {
+                process.exitCode = 1;
+            }
+        } else if (positionalArgs[0] === 'rename') {
+            if (!getOption('filename-template')) {
+                throw new Error('Give the new names with --filename-template <template>.');
+            }
+            const dryRun = args.includes('--dry-run');
+            const result = await renameTeaseImages(positionalArgs[1], { ...scraper.options, dryRun });
+            result.renamed.forEach(({ from, to }) => log.info(`${from} -> ${to}`));
+            result.missing.forEach(file => log.warn(`Not on disk, left as it is: ${file} (see the verify command)`));
+            log.info(`${result.renamed.length} image(s) ${dryRun ? 'would be renamed' : 'renamed'}, ${result.unchanged} already named after the template.`);
+            if (!dryRun) {
+                await buildLibraryIndex(path.dirname(path.resolve(positionalArgs[1])));
+            }
+        } else if (positionalArgs[0] === 'library') {
+            await buildLibraryIndex(path.resolve(positionalArgs[1] || outputDir));
+        } else if (positionalArgs[0] === 'dedupe') {
+            const downloadsDir = path.resolve(positionalArgs[1] || outputDir);
+            const result = await importIntoImageStore(downloadsDir);
+            log.info(`Image store: ${result.files} file(s) checked, ${result.linked} moved into the store, ${formatBytes(result.savedBytes)} saved on duplicates.`);
+        } else if (positionalArgs[0] === 'cleanup') {
+            const downloadsDir = path.resolve(positionalArgs[1] || outputDir);
+            const dryRun = args.includes('--dry-run');
+            const result = await cleanImageStore(downloadsDir, { dryRun });
+            result.removed.forEach(file => log.info(`${dryRun ? 'Would delete' : 'Deleted'} ${file}`));
+            log.info(`Image store: ${result.checked} file(s) checked, ${result.removed.length} unused (${formatBytes(result.freedBytes)})${dryRun ? ', nothing deleted' : ' deleted'}.`);
+        } else if (positionalArgs[0] === 'migrate') {
+            const dryRun = args.includes('--dry-run');
+            const plan = await migrateArchive(positionalArgs[1], { ...scraper.options, outputDir: getOption('out'), inPlace: args.includes('--in-place'), dryRun });
+            printMigrationReport(plan, { dryRun });
+            if (!dryRun) {
+                await buildLibraryIndex(plan.outputDir);
+            }
+        } else if (positionalArgs[0] === 'viewers') {
+            const downloadsDir = path.resolve(positionalArgs[1] || outputDir);
+            const result = await rebuildViewers(downloadsDir, scraper.options);
+            log.info(`Viewers rebuilt with the "${scraper.options.viewerTheme}" theme: ${result.rebuilt.length}.`);
+            if (result.failed.length > 0) {
+                log.error(`Could not rebuild: ${result.failed.join(', ')}`);
+                process.exitCode = 1;
+            }
+        } else if (positionalArgs[0] === 'serve') {
+            const downloadsDir = path.resolve(positionalArgs[1] || outputDir);
+            // Scrapes queued through the API land in the served folder
+            const archiveServer = createArchiveServer(downloadsDir, {
+                scraper: createScraper({ ...scraper.options, outputDir: downloadsDir }),
+                token: getOption('token') || process.env.MILOSCRAP_TOKEN || undefined
+            });
+            await buildLibraryIndex(downloadsDir);
+            const baseUrl = await archiveServer.listen(getOption('port') ? parseInt(getOption('port'), 10) : undefined, getOption('host') || undefined);
+            log.info(`Serving ${downloadsDir} at ${baseUrl}/ (press Ctrl+C to stop)`);
+            if (archiveServer.token) {
+                log.info(`Queuing scrapes needs the header "Authorization: Bearer ${archiveServer.token}".`);
+            }
+            process.once('SIGINT', () => {
+                log.info('Stopping the server...');
+                archiveServer.close().then(() => process.exit());
+            });
+        } else if (positionalArgs[0] === '--resume') {
+            const resumeDir = positionalArgs[1];
+            log.info(`Resuming scrape in folder: ${resumeDir}`);
+            reportTeaseResult(await scraper.resume(resumeDir));
+        } else if (positionalArgs.length > 1 || !extractTeaseId(positionalArgs[0])) {
+            log.info(`Starting batch scrape for: ${positionalArgs.join(', ')}`);
+            const results = await scraper.batch(positionalArgs);
+            if (results.some(result => result.status === 'failed')) {
+                process.exitCode = 1;
+            }
+        } else {
+            const targetUrl = positionalArgs[0];
+            log.info(`Starting scrape for URL: ${targetUrl}`);
+            reportTeaseResult(await scraper.scrape(targetUrl));
+        }
+    } catch (error) {
+        const commandNames = { export: 'Export', update: 'Update', verify: 'Verify', rename: 'Rename', migrate: 'Migrate', viewers: 'Viewers', serve: 'Serve' };
+        log.error(`${commandNames[positionalArgs[0]] || 'Command'} failed: ${error.message}`, { error });
+        process.exitCode = 1;
+    }
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// A scrape that stopped early, or found nothing, fails the command
+function reportTeaseResult(teaseData) {
+    if (teaseData.error || teaseData.pages.length === 0) {
+        log.error(`Scrape failed: ${teaseData.error || 'no pages were scraped'}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
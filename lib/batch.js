@@ -0,0 +1,192 @@
+// lib/batch.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { navigate } = require('./browser');
+const { readManifest } = require('./manifest');
+const { log } = require('./logger');
+
+const DEFAULT_ORIGIN = 'https://milovana.com';
+const MAX_LISTING_PAGES = 200; // Safety limit when following "next" links on listings
+
+/**
+ * Returns the tease ID of a showtease.php URL, or null for any other URL.
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+function extractTeaseId(url) {
+    try {
+        const parsed = new URL(url);
+        if (!/showtease\.php$/i.test(parsed.pathname)) {
+            return null;
+        }
+        const id = parsed.searchParams.get('id');
+        return id && /^\d+$/.test(id) ? id : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Builds the first-page URL for a tease ID on the given site
+function teaseUrlFromId(teaseId, origin = DEFAULT_ORIGIN) {
+    return `${origin}/webteases/showtease.php?id=${teaseId}`;
+}
+
+/**
+ * Reads a text file with one URL per line. Blank lines and lines starting with "#" are ignored.
+ *
+ * @param {string} filePath
+ * @returns {Promise<string[]>}
+ */
+async function readUrlList(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return content
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Collects every tease ID linked from an author page or a search/listing page,
+ * following the listing's "next page" links until there are none left.
+ *
+ * @param {import('puppeteer').Page} page Page to navigate with.
+ * @param {string} listingUrl Author profile, search results or any other tease listing URL.
+ * @param {object} [options] Scraper options (navigation timeout, delays and the request scheduler).
+ * @returns {Promise<string[]>} Tease IDs in the order they were listed.
+ */
+async function collectTeaseIdsFromListing(page, listingUrl, options = {}) {
+    const teaseIds = [];
+    const seenIds = new Set();
+    const visitedListings = new Set();
+    let currentListingUrl = listingUrl;
+
+    while (currentListingUrl && !visitedListings.has(currentListingUrl) && visitedListings.size < MAX_LISTING_PAGES) {
+        visitedListings.add(currentListingUrl);
+        log.info(`Collecting teases from listing: ${currentListingUrl}`);
+        await navigate(page, currentListingUrl, options);
+
+        const { links, nextHref } = await page.evaluate(() => {
+            const next = document.querySelector('a[rel="next"], .pagination a.next, a.next')
+                || Array.from(document.querySelectorAll('a')).find(a => /^\s*(next|»|>>|›)\s*$/i.test(a.textContent));
+            return {
+                links: Array.from(document.querySelectorAll('a[href*="showtease.php"]')).map(a => a.href),
+                nextHref: next ? next.getAttribute('href') : null
+            };
+        });
+
+        let newOnThisPage = 0;
+        links.forEach(link => {
+            const teaseId = extractTeaseId(link);
+            if (teaseId && !seenIds.has(teaseId)) {
+                seenIds.add(teaseId);
+                teaseIds.push(teaseId);
+                newOnThisPage++;
+            }
+        });
+        log.info(`Found ${newOnThisPage} new tease(s) on this listing page (${teaseIds.length} total).`);
+
+        // A "next" link that yields nothing new means we have run past the end of the listing
+        currentListingUrl = nextHref && newOnThisPage > 0 ? new URL(nextHref, page.url()).href : null;
+    }
+
+    return teaseIds;
+}
+
+/**
+ * Expands batch sources (URL list files, tease URLs, author or listing URLs)
+ * into a de-duplicated list of tease URLs.
+ *
+ * @param {string[]} sources Command line arguments.
+ * @param {import('puppeteer').Page} page Page used to read listings.
+ * @param {object} [options] Scraper options, passed on to collectTeaseIdsFromListing.
+ * @returns {Promise<Array<{teaseId: string, url: string}>>}
+ */
+async function resolveBatchSources(sources, page, options = {}) {
+    const teases = [];
+    const seenIds = new Set();
+    const addTease = (teaseId, url) => {
+        if (!seenIds.has(teaseId)) {
+            seenIds.add(teaseId);
+            teases.push({ teaseId, url });
+        }
+    };
+
+    const pending = [...sources];
+    while (pending.length > 0) {
+        const source = pending.shift();
+
+        if (!/^https?:\/\//i.test(source)) {
+            if (fs.existsSync(source)) {
+                log.info(`Reading URL list: ${source}`);
+                pending.unshift(...await readUrlList(source));
+            } else {
+                log.warn(`Skipping "${source}": not a URL and no such file.`);
+            }
+            continue;
+        }
+
+        const teaseId = extractTeaseId(source);
+        if (teaseId) {
+            addTease(teaseId, source);
+            continue;
+        }
+
+        try {
+            const origin = new URL(source).origin;
+            const listedIds = await collectTeaseIdsFromListing(page, source, options);
+            listedIds.forEach(id => addTease(id, teaseUrlFromId(id, origin)));
+        } catch (error) {
+            log.error(`Could not read listing ${source}: ${error.message}`);
+        }
+    }
+
+    return teases;
+}
+
+/**
+ * Finds which teases are already archived, using each folder's manifest.json
+ * (or, for older folders, the first page URL saved in descriptions.json).
+ *
+ * @param {string} downloadsDir
+ * @returns {Promise<Map<string, string>>} Tease ID -> tease folder.
+ */
+async function findArchivedTeases(downloadsDir) {
+    const archived = new Map();
+    const entries = await fs.promises.readdir(downloadsDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        const teaseDirectory = path.join(downloadsDir, entry.name);
+        const manifest = await readManifest(teaseDirectory);
+        const teaseId = manifest && manifest.pages.length > 0 ? manifest.tease.id : null;
+        if (teaseId && !archived.has(String(teaseId))) {
+            archived.set(String(teaseId), teaseDirectory);
+        }
+    }
+    return archived;
+}
+
+// Prints the end-of-batch summary
+function printBatchSummary(results) {
+    const succeeded = results.filter(result => result.status === 'succeeded');
+    const failed = results.filter(result => result.status === 'failed');
+    const skipped = results.filter(result => result.status === 'skipped');
+
+    log.info('\n=== Batch summary ===');
+    log.info(`Succeeded: ${succeeded.length}`);
+    succeeded.forEach(result => log.info(`  [${result.teaseId}] ${result.title} (${result.pageCount} pages)`));
+    log.info(`Failed: ${failed.length}`);
+    failed.forEach(result => log.info(`  [${result.teaseId}] ${result.url} - ${result.reason}`));
+    log.info(`Skipped (already archived): ${skipped.length}`);
+    skipped.forEach(result => log.info(`  [${result.teaseId}] ${result.teaseDirectory}`));
+}
+
+module.exports = {
+    extractTeaseId,
+    teaseUrlFromId,
+    readUrlList,
+    collectTeaseIdsFromListing,
+    resolveBatchSources,
+    findArchivedTeases,
+    printBatchSummary
+};
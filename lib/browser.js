@@ -0,0 +1,119 @@
+// lib/browser.js
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { DEFAULT_SCRAPER_OPTIONS, resolveScraperOptions } = require('./options');
+const { parseRetryAfter } = require('./download');
+const { chromeProxyArg, proxyCredentials, parseProxyUrl } = require('./proxy');
+const { RETRYABLE_KINDS, isChallengeTitle } = require('./classify');
+const { log } = require('./logger');
+
+// Add the stealth plugin to puppeteer-extra
+puppeteer.use(StealthPlugin());
+
+const USER_AGENT = DEFAULT_SCRAPER_OPTIONS.userAgent;
+const MAX_NAVIGATION_ATTEMPTS = 4; // First load plus retries after 429/5xx or a challenge that would not clear
+
+// Launches the stealth-enabled browser shared by the scrapers
+async function launchBrowser(options = {}) {
+    const settings = resolveScraperOptions(options);
+    const args = [...settings.launchArgs];
+    if (settings.proxy) {
+        args.push(chromeProxyArg(settings.proxy));
+        log.info(`Browser traffic goes through proxy ${parseProxyUrl(settings.proxy).host}.`);
+    }
+    log.info(`Launching browser with stealth mode...`);
+    return puppeteer.launch({
+        headless: settings.headless,
+        args,
+        userDataDir: settings.profileDir || undefined // A saved profile brings its logins with it
+    });
+}
+
+// Opens a new tab with the scraper's user agent (and proxy login, if the proxy needs one)
+async function openPage(browser, options = {}) {
+    const settings = resolveScraperOptions(options);
+    const page = await browser.newPage();
+    await page.setUserAgent(settings.userAgent);
+    const credentials = settings.proxy ? proxyCredentials(settings.proxy) : null;
+    if (credentials) {
+        if (parseProxyUrl(settings.proxy).protocol.startsWith('socks')) {
+            log.warn('Chrome cannot log in to SOCKS proxies; page loads will only work if the proxy accepts the connection without credentials.');
+        } else {
+            await page.authenticate(credentials);
+        }
+    }
+    return page;
+}
+
+/**
+ * Gives a Cloudflare "Just a moment..." interstitial time to clear after navigation.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {object} [options] Scraper options (delays and navigation timeout).
+ * @returns {Promise<{challenged: boolean, cleared: boolean}>} Whether an interstitial was shown, and whether it went away.
+ */
+async function waitForCloudflare(page, options = {}) {
+    const { delays, navigationTimeout } = resolveScraperOptions(options);
+    if (delays.afterNavigation > 0) {
+        log.info(`Waiting for an additional ${delays.afterNavigation / 1000} seconds to let Cloudflare resolve...`);
+        await new Promise(r => setTimeout(r, delays.afterNavigation));
+    }
+
+    const pageTitleCheck = await page.title();
+    if (!isChallengeTitle(pageTitleCheck)) {
+        return { challenged: false, cleared: true };
+    }
+    log.warn("Cloudflare challenge might still be active after initial wait. Waiting longer for navigation...");
+    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: navigationTimeout }).catch(e => log.info(`Navigation after Cloudflare didn't occur or timed out: ${e.message}`));
+    await new Promise(r => setTimeout(r, delays.challenge)); // another delay
+    return { challenged: true, cleared: !isChallengeTitle(await page.title().catch(() => '')) };
+}
+
+/**
+ * Loads a page the polite way: waits for a slot from the request scheduler (options.scheduler),
+ * lets a Cloudflare interstitial clear, and tells the scheduler when the site pushed back.
+ * 429 and 5xx responses, and challenges that never clear, are retried after the scheduler's pause.
+ * What the page finally turned out to be is for the caller to check (see classifyPage).
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ * @param {object} [options] Scraper options, including the shared `scheduler`.
+ * @returns {Promise<import('puppeteer').HTTPResponse|null>}
+ */
+async function navigate(page, url, options = {}) {
+    const settings = resolveScraperOptions(options);
+    const { scheduler } = settings;
+
+    for (let attempt = 1; ; attempt++) {
+        if (scheduler) await scheduler.schedule(`loading ${url}`);
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: settings.navigationTimeout });
+        const statusCode = response ? response.status() : null;
+        const retryAfter = response ? parseRetryAfter(response.headers()['retry-after']) : null;
+        const cloudflare = await waitForCloudflare(page, settings);
+
+        const rateLimited = statusCode === 429 || (statusCode === 503 && !cloudflare.challenged);
+        const throttled = rateLimited || cloudflare.challenged;
+        if (scheduler) {
+            if (throttled) {
+                scheduler.reportThrottle(rateLimited ? `HTTP ${statusCode} from ${url}` : `Cloudflare challenge on ${url}`, retryAfter);
+            } else {
+                scheduler.reportSuccess();
+            }
+        }
+
+        const serverError = statusCode >= 500 && !rateLimited && !cloudflare.challenged;
+        // The page kind (see classifyPage) as far as the navigation alone can tell
+        const kind = rateLimited ? 'rate-limited' : serverError ? 'server-error' : !cloudflare.cleared ? 'challenge' : null;
+        if (!RETRYABLE_KINDS.has(kind) || attempt >= MAX_NAVIGATION_ATTEMPTS) {
+            return response;
+        }
+        const problem = kind === 'challenge' ? 'challenge did not clear' : `HTTP ${statusCode}`;
+        log.warn(`${url} is not available yet (${problem}). Trying again (attempt ${attempt + 1} of ${MAX_NAVIGATION_ATTEMPTS})...`);
+        // The scheduler only pauses after throttling; a server error still deserves a short wait
+        if (!scheduler || serverError) {
+            await new Promise(r => setTimeout(r, retryAfter !== null ? retryAfter : 5000 * attempt));
+        }
+    }
+}
+
+module.exports = { USER_AGENT, launchBrowser, openPage, waitForCloudflare, navigate };
@@ -0,0 +1,118 @@
+// lib/classic.js
+const { sanitizeDescriptionHtml } = require('./sanitize'); // For the formatted description
+
+/**
+ * Page number of a classic tease page URL: its "p" parameter, "1" when there is none
+ * (the tease's own URL opens its first page).
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function pageIdFromUrl(url) {
+    return new URL(url).searchParams.get('p') || '1';
+}
+
+// The links of a page that lead to another page of the same tease, one per target page
+function teasePageLinks(anchors, pageUrl) {
+    const current = new URL(pageUrl);
+    const teaseId = current.searchParams.get('id');
+    const ownPageNumber = pageIdFromUrl(pageUrl);
+    const links = [];
+    for (const anchor of anchors) {
+        let target;
+        try {
+            target = new URL(anchor.href, pageUrl);
+        } catch (e) {
+            continue; // Not a usable URL
+        }
+        if (!/showtease\.php$/i.test(target.pathname) || target.host !== current.host || target.searchParams.get('id') !== teaseId) {
+            continue; // Somewhere else, or another tease
+        }
+        const pageNumber = pageIdFromUrl(target.href);
+        if (pageNumber === ownPageNumber || links.some(link => link.pageNumber === pageNumber)) continue;
+        links.push({ pageNumber, url: target.href, label: anchor.text.replace(/\s+/g, ' ').trim() });
+    }
+    return links;
+}
+
+/**
+ * Reads the parts of a classic showtease.php page the scrapers use: the page image,
+ * the description (as plain text and as sanitized HTML), the "Continue" link and every
+ * link in the tease content that leads to another page of the same tease.
+ * Missing parts come back as null.
+ *
+ * @param {import('puppeteer').Page} page The Puppeteer page, already navigated to a tease page.
+ * @returns {Promise<{url: string, pageNumber: string, imageUrl: string|null, imageAlt: string, description: string|null, descriptionHtml: string|null, nextUrl: string|null, links: Array<{pageNumber: string, url: string, label: string}>}>}
+ */
+async function readClassicPage(page) {
+    const url = page.url();
+    const found = await page.evaluate(() => {
+        const image = document.querySelector('img.tease_pic');
+        const description = document.querySelector('#tease_content > p.text');
+        const nextLink = document.querySelector('a#continue');
+        // In page order; the "Continue" link is sometimes placed outside the content
+        const anchors = Array.from(document.querySelectorAll('#tease_content a[href]'));
+        if (nextLink && !anchors.includes(nextLink)) anchors.push(nextLink);
+        return {
+            anchors: anchors.map(anchor => ({ href: anchor.getAttribute('href'), text: anchor.textContent })),
+            imageUrl: image ? image.src : null,
+            imageAlt: image ? image.alt || '' : '',
+            description: description ? description.textContent : null,
+            descriptionHtml: description ? description.innerHTML : null,
+            nextHref: nextLink ? nextLink.getAttribute('href') : null
+        };
+    });
+
+    return {
+        url,
+        pageNumber: pageIdFromUrl(url),
+        imageUrl: found.imageUrl || null,
+        imageAlt: found.imageAlt,
+        description: found.description,
+        descriptionHtml: found.descriptionHtml !== null ? sanitizeDescriptionHtml(found.descriptionHtml, url) : null,
+        nextUrl: found.nextHref ? new URL(found.nextHref, url).href : null,
+        links: teasePageLinks(found.anchors, url)
+    };
+}
+
+/**
+ * Keeps track of the pages of a classic tease still to be visited, so a tease whose pages
+ * link to several others, or back to earlier ones, is crawled with every page visited once.
+ * Pages are handed out depth first: the links of the page just read come before those
+ * found earlier, and its "Continue" link comes first, so a straight tease is read in order.
+ *
+ * @returns {{addPage: function, markVisited: function, isVisited: function, next: function, remaining: function}}
+ */
+function createPageQueue() {
+    const visited = new Set(); // Page numbers
+    const pending = []; // Stack of URLs; the last one is visited next
+
+    return {
+        // Queues the links of a page that has been read; nextUrl is visited first
+        addPage(links, nextUrl = null) {
+            const urls = links.map(link => link.url).filter(url => url !== nextUrl).reverse();
+            if (nextUrl) urls.push(nextUrl);
+            urls.filter(url => !visited.has(pageIdFromUrl(url))).forEach(url => pending.push(url));
+        },
+        markVisited(pageNumber) {
+            visited.add(String(pageNumber));
+        },
+        isVisited(pageNumber) {
+            return visited.has(String(pageNumber));
+        },
+        // URL of the next page not visited yet, or null when the tease has been covered
+        next() {
+            while (pending.length > 0) {
+                const url = pending.pop();
+                if (!visited.has(pageIdFromUrl(url))) return url;
+            }
+            return null;
+        },
+        // Number of different pages still queued
+        remaining() {
+            return new Set(pending.map(pageIdFromUrl).filter(pageNumber => !visited.has(pageNumber))).size;
+        }
+    };
+}
+
+module.exports = { readClassicPage, pageIdFromUrl, createPageQueue };
@@ -0,0 +1,97 @@
+// lib/classify.js
+const { isLoginWall } = require('./session');
+
+// What a loaded page turned out to be. Only "tease" pages are scraped.
+const PAGE_KINDS = ['tease', 'challenge', 'login', 'rate-limited', 'not-found', 'removed', 'forbidden', 'server-error', 'unknown'];
+// Kinds that may go away when the page is loaded again later
+const RETRYABLE_KINDS = new Set(['challenge', 'rate-limited', 'server-error']);
+
+// Wording Milovana (and most sites) use on their error pages
+const REMOVED_TEXT = /\b(has been|was|got) (removed|deleted|taken down)\b|\bno longer (available|exists)\b/i;
+const NOT_FOUND_TEXT = /\b(could not be found|not found|does not exist|doesn't exist|no such tease)\b/i;
+
+// Raised when a tease page cannot be scraped; `kind` is one of PAGE_KINDS
+class PageError extends Error {
+    constructor(message, { kind = 'unknown', url = null, statusCode = null } = {}) {
+        super(message);
+        this.name = 'PageError';
+        this.kind = kind;
+        this.url = url;
+        this.statusCode = statusCode;
+    }
+}
+
+function isChallengeTitle(title) {
+    return title.includes('Just a moment...') || title.includes('Please wait...');
+}
+
+/**
+ * Decides what a loaded page is from what was seen of it. Kept apart from the browser
+ * so the rules can be tested on their own.
+ *
+ * @param {object} facts
+ * @param {number|null} facts.statusCode HTTP status of the main response, if there was one.
+ * @param {string} facts.title Document title.
+ * @param {boolean} facts.hasTeaseContent The page shows a classic tease image, text or Continue link, or an EOS player.
+ * @param {boolean} facts.loginWall The page asks to log in (see isLoginWall).
+ * @param {string} facts.text Visible text of the page.
+ * @returns {{kind: string, statusCode: number|null, reason: string|null}} `reason` is null for tease pages.
+ */
+function classifyPageFacts({ statusCode = null, title = '', hasTeaseContent = false, loginWall = false, text = '' }) {
+    const status = statusCode ? ` (HTTP ${statusCode})` : '';
+    const result = (kind, reason) => ({ kind, statusCode, reason });
+
+    if (isChallengeTitle(title)) {
+        return result('challenge', `The Cloudflare challenge did not clear${status}.`);
+    }
+    if (statusCode === 429 || statusCode === 503) {
+        return result('rate-limited', `The site is limiting requests${status}.`);
+    }
+    if (loginWall) {
+        return result('login', 'The page asks to log in.');
+    }
+    if (hasTeaseContent && (!statusCode || statusCode < 400)) {
+        return result('tease', null);
+    }
+    if (statusCode === 410 || REMOVED_TEXT.test(text)) {
+        return result('removed', `The tease has been removed${status}.`);
+    }
+    if (statusCode === 404 || NOT_FOUND_TEXT.test(text)) {
+        return result('not-found', `The tease or page does not exist${status}.`);
+    }
+    if (statusCode === 401 || statusCode === 403) {
+        return result('forbidden', `Access was refused${status}.`);
+    }
+    if (statusCode >= 500) {
+        return result('server-error', `The site answered with a server error${status}.`);
+    }
+    return result('unknown', `Not a tease page: it has no image, text or Continue link${status}.`);
+}
+
+/**
+ * Classifies the page a navigation landed on: a real tease page, a Cloudflare challenge,
+ * a login wall, a rate-limit answer, a missing or removed tease, or something else.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {import('puppeteer').HTTPResponse|null} [response] Response returned by the navigation.
+ * @returns {Promise<{kind: string, statusCode: number|null, reason: string|null}>}
+ */
+async function classifyPage(page, response = null) {
+    const title = await page.title().catch(() => '');
+    const seen = await page.evaluate(() => ({
+        // Classic tease elements, or the markers isEosTease looks for
+        hasTeaseContent: Boolean(document.querySelector('img.tease_pic, #tease_content > p.text, a#continue, '
+            + '#eosContainer, [data-tease-type="eos"], iframe[src*="/eos"], script[src*="/eos"]')),
+        text: document.body ? document.body.innerText.slice(0, 5000) : ''
+    })).catch(() => ({ hasTeaseContent: false, text: '' }));
+
+    return classifyPageFacts({
+        statusCode: response ? response.status() : null,
+        title,
+        hasTeaseContent: seen.hasTeaseContent,
+        loginWall: !seen.hasTeaseContent && await isLoginWall(page).catch(() => false),
+        text: seen.text
+    });
+}
+
+module.exports = { PAGE_KINDS, RETRYABLE_KINDS, PageError, isChallengeTitle, classifyPageFacts, classifyPage };
@@ -0,0 +1,114 @@
+// lib/download-queue.js
+const fs = require('fs');      // For file system operations
+const { downloadFile, detectFileType } = require('./download');
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Creates a queue that runs downloadFile calls in parallel, at most `concurrency` at a time,
+ * so page crawling can carry on while images download.
+ *
+ * @param {object} [options]
+ * @param {number} [options.concurrency] Maximum parallel downloads (default 4).
+ * @param {object} [options.downloadOptions] Passed through to every downloadFile call.
+ * @param {function(object): void} [options.onProgress] Called with the queue stats after every change.
+ * @param {object} [options.store] Shared image store (lib/store.js). URLs it already holds are linked
+ *     instead of downloaded, and new downloads are moved into it.
+ * @returns {{add: function, onIdle: function, stats: function}}
+ */
+function createDownloadQueue(options = {}) {
+    const concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+    const waiting = [];
+    const idleWaiters = [];
+    const stats = { queued: 0, active: 0, done: 0, failed: 0 };
+
+    function reportProgress() {
+        if (options.onProgress) {
+            options.onProgress({ ...stats });
+        }
+    }
+
+    function settleIdleWaiters() {
+        if (stats.active === 0 && waiting.length === 0) {
+            idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    // A URL the store already holds is linked into place rather than downloaded again
+    async function fetchFile(job) {
+        const { store } = options;
+        const storedPath = store ? await store.lookup(job.url) : null;
+        if (storedPath) {
+            const linkPath = await store.linkTo(storedPath, job.destination);
+            const data = await fs.promises.readFile(linkPath);
+            const detected = detectFileType(data.subarray(0, 32));
+            return { path: linkPath, url: job.url, contentType: null, type: detected ? detected.type : null, bytes: data.length, fromStore: true };
+        }
+        const result = await downloadFile(job.url, job.destination, { ...options.downloadOptions, ...job.downloadOptions });
+        if (store) {
+            await store.adopt(result.path, job.url);
+        }
+        return result;
+    }
+
+    function startNext() {
+        while (stats.active < concurrency && waiting.length > 0) {
+            const job = waiting.shift();
+            stats.active++;
+            fetchFile(job)
+                .then(result => {
+                    stats.done++;
+                    job.resolve(result);
+                }, error => {
+                    stats.failed++;
+                    job.reject(error);
+                })
+                .finally(() => {
+                    stats.active--;
+                    reportProgress();
+                    startNext();
+                    settleIdleWaiters();
+                });
+        }
+    }
+
+    return {
+        /**
+         * Queues a download. The returned promise settles with downloadFile's result once the
+         * file has fully landed on disk (or with its error).
+         *
+         * @param {string} url
+         * @param {string} destination
+         * @param {object} [downloadOptions] Per-download overrides for downloadFile.
+         * @returns {Promise<object>}
+         */
+        add(url, destination, downloadOptions = {}) {
+            return new Promise((resolve, reject) => {
+                waiting.push({ url, destination, downloadOptions, resolve, reject });
+                stats.queued++;
+                reportProgress();
+                startNext();
+            });
+        },
+
+        // Resolves once every queued download has finished, successfully or not
+        onIdle() {
+            return new Promise(resolve => {
+                idleWaiters.push(resolve);
+                settleIdleWaiters();
+            });
+        },
+
+        stats() {
+            return { ...stats };
+        }
+    };
+}
+
+// One-line progress summary used by the scrapers' logs
+function formatQueueProgress(stats) {
+    const finished = stats.done + stats.failed;
+    return `Images: ${finished}/${stats.queued} done (${stats.active} downloading, ${stats.queued - finished - stats.active} waiting${stats.failed ? `, ${stats.failed} failed` : ''})`;
+}
+
+module.exports = { DEFAULT_CONCURRENCY, createDownloadQueue, formatQueueProgress };
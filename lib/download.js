@@ -0,0 +1,262 @@
+// lib/download.js
+const fs = require('fs');       // For file system operations
+const path = require('path');   // For path manipulation
+const http = require('http');   // For downloading files over HTTP
+const https = require('https'); // For downloading files over HTTPS
+const { getProxyAgent } = require('./proxy');
+const { log } = require('./logger');
+
+const DEFAULT_DOWNLOAD_OPTIONS = {
+    retries: 4,          // Attempts after the first one
+    timeout: 30000,      // Milliseconds without any data before a request is aborted
+    backoff: 1000,       // First retry delay; doubled on every further attempt
+    maxRetryAfter: 120000, // Upper bound for server-requested Retry-After waits
+    maxRedirects: 5,
+    expect: 'image',     // 'image', 'audio' or 'any'
+    proxy: null,         // HTTP(S) or SOCKS proxy URL
+    scheduler: null      // Shared request scheduler (lib/scheduler.js) that paces every attempt
+};
+
+// Leading bytes of the file types we accept, with the extension each one should get
+const MAGIC_SIGNATURES = [
+    { kind: 'image', type: 'image/jpeg', extension: '.jpg', test: b => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { kind: 'image', type: 'image/png', extension: '.png', test: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { kind: 'image', type: 'image/gif', extension: '.gif', test: b => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+    { kind: 'image', type: 'image/webp', extension: '.webp', test: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { kind: 'image', type: 'image/avif', extension: '.avif', test: b => b.toString('ascii', 4, 8) === 'ftyp' && ['avif', 'avis'].includes(b.toString('ascii', 8, 12)) },
+    { kind: 'image', type: 'image/bmp', extension: '.bmp', test: b => b.toString('ascii', 0, 2) === 'BM' },
+    { kind: 'audio', type: 'audio/mpeg', extension: '.mp3', test: b => b.toString('ascii', 0, 3) === 'ID3' || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0) },
+    { kind: 'audio', type: 'audio/ogg', extension: '.ogg', test: b => b.toString('ascii', 0, 4) === 'OggS' },
+    { kind: 'audio', type: 'audio/wav', extension: '.wav', test: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WAVE' },
+    { kind: 'audio', type: 'audio/flac', extension: '.flac', test: b => b.toString('ascii', 0, 4) === 'fLaC' },
+    { kind: 'audio', type: 'audio/mp4', extension: '.m4a', test: b => b.toString('ascii', 4, 8) === 'ftyp' && /^(M4A |M4B |mp42|isom)/.test(b.toString('ascii', 8, 12)) }
+];
+
+// Extensions that name the same type as the detected one and can be kept as they are
+const EQUIVALENT_EXTENSIONS = { '.jpg': ['.jpeg', '.jpe'], '.m4a': ['.mp4', '.aac'] };
+
+/**
+ * Identifies a file from its first bytes.
+ *
+ * @param {Buffer} header At least the first 16 bytes of the file.
+ * @returns {{kind: string, type: string, extension: string}|null} null for unknown content.
+ */
+function detectFileType(header) {
+    const signature = MAGIC_SIGNATURES.find(candidate => header.length >= 4 && candidate.test(header));
+    return signature ? { kind: signature.kind, type: signature.type, extension: signature.extension } : null;
+}
+
+// Raised for download failures; `retryable` tells downloadFile whether another attempt may help
+class DownloadError extends Error {
+    constructor(message, { statusCode = null, retryable = false, retryAfter = null, servedHtml = false } = {}) {
+        super(message);
+        this.name = 'DownloadError';
+        this.statusCode = statusCode;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter; // Milliseconds, when the server asked for a specific wait
+        this.servedHtml = servedHtml; // A web page (often a Cloudflare challenge) came back instead of the file
+    }
+}
+
+// Parses a Retry-After header (seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isExpectedContentType(contentType, expect) {
+    if (!contentType || expect === 'any') return true;
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    if (mimeType === 'application/octet-stream' || mimeType === 'binary/octet-stream') return true;
+    return mimeType.startsWith(`${expect}/`);
+}
+
+// Performs a single GET and streams a 200 response into tempPath. Redirects are returned, not followed.
+function requestOnce(url, tempPath, options) {
+    return new Promise((resolve, reject) => {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (e) {
+            reject(new DownloadError(`Invalid URL '${url}'`));
+            return;
+        }
+        const client = parsedUrl.protocol === 'http:' ? http : parsedUrl.protocol === 'https:' ? https : null;
+        if (!client) {
+            reject(new DownloadError(`Unsupported protocol in '${url}'`));
+            return;
+        }
+
+        const agent = options.proxy ? getProxyAgent(options.proxy, parsedUrl.protocol) : undefined;
+        const request = client.get(parsedUrl, { headers: options.headers || {}, agent }, response => {
+            const { statusCode, headers } = response;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                resolve({ redirect: new URL(headers.location, url).href }); // Location may be relative
+                return;
+            }
+            if (statusCode === 429 || statusCode === 503) {
+                response.resume();
+                reject(new DownloadError(`Failed to get '${url}' (${statusCode})`, {
+                    statusCode, retryable: true, retryAfter: parseRetryAfter(headers['retry-after'])
+                }));
+                return;
+            }
+            if (statusCode !== 200) {
+                response.resume();
+                reject(new DownloadError(`Failed to get '${url}' (${statusCode})`, {
+                    statusCode, retryable: statusCode >= 500 || statusCode === 408
+                }));
+                return;
+            }
+
+            const contentType = headers['content-type'] || null;
+            if (!isExpectedContentType(contentType, options.expect)) {
+                response.resume();
+                // HTML is usually a Cloudflare or error page served with 200; it may clear up on retry
+                reject(new DownloadError(`Expected ${options.expect} from '${url}' but got ${contentType}`, {
+                    statusCode, retryable: /html/i.test(contentType), servedHtml: /html/i.test(contentType)
+                }));
+                return;
+            }
+
+            const expectedLength = headers['content-length'] ? parseInt(headers['content-length'], 10) : null;
+            let receivedLength = 0;
+            response.on('data', chunk => {
+                receivedLength += chunk.length;
+            });
+
+            // The file is only created once we know the response is worth keeping
+            const file = fs.createWriteStream(tempPath);
+            response.on('error', error => file.destroy(error));
+            file.on('error', error => reject(new DownloadError(`Error writing '${tempPath}': ${error.message}`, { retryable: true })));
+            file.on('finish', () => {
+                if (expectedLength !== null && receivedLength < expectedLength) {
+                    reject(new DownloadError(`Incomplete download of '${url}' (${receivedLength} of ${expectedLength} bytes)`, { retryable: true }));
+                    return;
+                }
+                resolve({ contentType, bytes: receivedLength });
+            });
+            response.pipe(file);
+        });
+
+        request.setTimeout(options.timeout, () => {
+            request.destroy(new DownloadError(`Timed out after ${options.timeout} ms waiting for '${url}'`, { retryable: true }));
+        });
+        request.on('error', error => {
+            reject(error instanceof DownloadError
+                ? error
+                : new DownloadError(`Request for '${url}' failed: ${error.message}`, { retryable: true }));
+        });
+    });
+}
+
+async function readFileHeader(filePath, length = 32) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Downloads once (following redirects), validates the content and moves it into place
+async function attemptDownload(url, destination, options) {
+    const tempPath = `${destination}.${process.pid}.part`;
+    try {
+        let currentUrl = url;
+        let result;
+        for (let redirects = 0; ; redirects++) {
+            result = await requestOnce(currentUrl, tempPath, options);
+            if (!result.redirect) break;
+            if (redirects >= options.maxRedirects) {
+                throw new DownloadError(`Too many redirects while getting '${url}'`);
+            }
+            log.debug(`Redirecting to ${result.redirect}`);
+            currentUrl = result.redirect;
+        }
+
+        if (result.bytes === 0) {
+            throw new DownloadError(`Empty response from '${currentUrl}'`, { retryable: true });
+        }
+
+        const header = await readFileHeader(tempPath);
+        const detected = detectFileType(header);
+        if (/^\s*</.test(header.toString('utf8'))) {
+            throw new DownloadError(`'${currentUrl}' returned an HTML/XML page instead of a file`, { retryable: true, servedHtml: true });
+        }
+        if (options.expect !== 'any' && (!detected || detected.kind !== options.expect)) {
+            throw new DownloadError(`'${currentUrl}' is not a recognised ${options.expect} file`);
+        }
+
+        // Name the file after what it really is, not what the URL claims
+        let finalPath = destination;
+        if (detected) {
+            const currentExtension = path.extname(destination).toLowerCase();
+            const equivalents = EQUIVALENT_EXTENSIONS[detected.extension] || [];
+            if (currentExtension !== detected.extension && !equivalents.includes(currentExtension)) {
+                finalPath = destination.slice(0, destination.length - path.extname(destination).length) + detected.extension;
+            }
+        }
+
+        await fs.promises.rename(tempPath, finalPath);
+        return {
+            path: finalPath,
+            url: currentUrl,
+            contentType: result.contentType,
+            type: detected ? detected.type : null,
+            bytes: result.bytes
+        };
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {}); // Never leave partial files behind
+        throw error;
+    }
+}
+
+/**
+ * Downloads a file over HTTP or HTTPS with timeouts and retries. The data is written to a
+ * temporary file that only replaces `destination` once it is complete and its content has
+ * been checked. The extension of the saved file follows the detected file type, so the
+ * returned `path` may differ from `destination`.
+ *
+ * @param {string} url
+ * @param {string} destination Intended path of the file.
+ * @param {object} [options] Overrides for DEFAULT_DOWNLOAD_OPTIONS, plus optional request `headers`.
+ * @returns {Promise<{path: string, url: string, contentType: string|null, type: string|null, bytes: number}>}
+ */
+async function downloadFile(url, destination, options = {}) {
+    const settings = { ...DEFAULT_DOWNLOAD_OPTIONS, ...options };
+    const { scheduler } = settings;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            if (scheduler) await scheduler.schedule(`downloading ${url}`);
+            const result = await attemptDownload(url, destination, settings);
+            if (scheduler) scheduler.reportSuccess();
+            return result;
+        } catch (error) {
+            // Rate limits and challenge pages served in place of the file mean we are going too fast
+            if (scheduler && (error.statusCode === 429 || error.statusCode === 503 || error.servedHtml)) {
+                scheduler.reportThrottle(error.message, error.retryAfter);
+            }
+            if (!error.retryable || attempt >= settings.retries) {
+                throw error;
+            }
+            const backoffDelay = settings.backoff * Math.pow(2, attempt);
+            const waitTime = error.retryAfter !== null && error.retryAfter !== undefined
+                ? Math.min(error.retryAfter, settings.maxRetryAfter)
+                : backoffDelay;
+            log.warn(`${error.message}. Retrying in ${Math.round(waitTime / 1000)}s (attempt ${attempt + 2} of ${settings.retries + 1})...`);
+            await new Promise(r => setTimeout(r, waitTime));
+        }
+    }
+}
+
+module.exports = { DEFAULT_DOWNLOAD_OPTIONS, DownloadError, detectFileType, parseRetryAfter, downloadFile };
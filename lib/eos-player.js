@@ -0,0 +1,670 @@
+// lib/eos-player.js
+const fs = require('fs'); // For file system operations
+const { sanitizeDescriptionHtml } = require('./sanitize');
+const { log } = require('./logger');
+
+/**
+ * Returns a copy of an EOS script whose say labels, choice labels and notification texts
+ * are run through the description sanitizer, since the player shows them as HTML.
+ * Commands nested in choices, timers, ifs and notifications are cleaned too.
+ *
+ * @param {*} value EOS script, or any part of it.
+ * @returns {*}
+ */
+function sanitizeScriptLabels(value) {
+    if (Array.isArray(value)) return value.map(sanitizeScriptLabels);
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+        copy[key] = sanitizeScriptLabels(child);
+    }
+    const clean = (params, fields) => fields.forEach(field => {
+        if (typeof params[field] === 'string') params[field] = sanitizeDescriptionHtml(params[field]);
+    });
+    if (copy.say && typeof copy.say === 'object') clean(copy.say, ['label']);
+    if (copy.choice && Array.isArray(copy.choice.options)) {
+        copy.choice.options.forEach(option => option && typeof option === 'object' && clean(option, ['label']));
+    }
+    if (copy['notification.create'] && typeof copy['notification.create'] === 'object') {
+        clean(copy['notification.create'], ['title', 'buttonLabel']);
+    }
+    return copy;
+}
+
+// Runs inside the player's sandboxed frame. The tease author's scripts are evaluated here, in a
+// frame with no access to the player page, its localStorage, the network or the tease's files;
+// teaseStorage and pages calls go back to the player as messages.
+const SANDBOX_SCRIPT = `(function () {
+    const player = window.parent; // Kept before tease code can replace window.parent
+    const send = message => player.postMessage(message, '*');
+    ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'Worker', 'SharedWorker', 'open'].forEach(name => {
+        try { delete window[name]; } catch (e) { /* not configurable; the CSP still blocks it */ }
+    });
+
+    let state = { currentPageId: null, disabledPages: [] }; // Sent by the player with every run
+    let storage = {}; // Key -> JSON text, as the player keeps it in localStorage
+
+    window.teaseStorage = {
+        getItem(key) {
+            try { return JSON.parse(storage[key]); } catch (e) { return null; }
+        },
+        setItem(key, value) {
+            storage[key] = JSON.stringify(value);
+            send({ type: 'storage', key: String(key), value: storage[key] });
+        },
+        removeItem(key) {
+            delete storage[key];
+            send({ type: 'storage', key: String(key), value: null });
+        }
+    };
+
+    window.pages = {
+        goto(target) { send({ type: 'pages', method: 'goto', target: String(target) }); },
+        enable(id) {
+            state.disabledPages = state.disabledPages.filter(page => page !== id);
+            send({ type: 'pages', method: 'enable', target: String(id) });
+        },
+        disable(id) {
+            if (!state.disabledPages.includes(id)) state.disabledPages.push(id);
+            send({ type: 'pages', method: 'disable', target: String(id) });
+        },
+        isEnabled(id) { return !state.disabledPages.includes(id); },
+        getCurrentPageId() { return state.currentPageId; }
+    };
+
+    window.addEventListener('message', event => {
+        const message = event.data;
+        if (event.source !== player || !message) return;
+        if (message.type === 'storage') {
+            storage = message.storage || {};
+        } else if (message.type === 'run') {
+            state = message.state;
+            let value;
+            try {
+                value = (0, eval)(message.code); // Global scope, so variables set by init are shared by later scripts
+            } catch (error) {
+                console.warn('EOS script error:', error, message.code);
+            }
+            send({ type: 'result', id: message.id, value: Boolean(value) });
+        }
+    });
+})();`;
+
+/**
+ * Writes a self-contained HTML player for a downloaded EOS tease. The rewritten
+ * script is embedded in the page, so it runs from file:// without a network connection.
+ *
+ * @param {string} outputPath Where to write the player (usually <tease>/eos-player.html).
+ * @param {string} teaseTitle Tease title shown in the browser tab.
+ * @param {object} script EOS script whose media already points at local files.
+ */
+async function generateEosPlayerHtml(outputPath, teaseTitle, script) {
+    // Escape "<" so labels containing "</script>" cannot break out of the inline script
+    const embeddedScript = JSON.stringify(sanitizeScriptLabels(script)).replace(/</g, '\\u003c');
+    const embeddedTitle = JSON.stringify(String(teaseTitle)).replace(/</g, '\\u003c');
+    // The CSP keeps the sandboxed frame off the network even if a script finds another way to fetch
+    const sandboxHtml = `<!DOCTYPE html><html><head><meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'"></head><body><script>${SANDBOX_SCRIPT}</script></body></html>`;
+    const embeddedSandbox = JSON.stringify(sandboxHtml).replace(/</g, '\\u003c');
+    const htmlTitle = String(teaseTitle).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const htmlContent = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${htmlTitle} - EOS Player</title>
+    <style>
+        body {
+            margin: 0;
+            padding: 0;
+            background-color: #1a1a1a;
+            color: #fff;
+            font-family: Arial, sans-serif;
+            overflow: hidden; /* Prevent scrollbars */
+        }
+
+        #player-container {
+            display: flex;
+            flex-direction: column;
+            height: 100vh;
+            align-items: center;
+        }
+
+        #image-display {
+            position: relative;
+            width: 100%;
+            flex: 1;
+            min-height: 0;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            overflow: hidden;
+        }
+
+        #current-image {
+            max-width: 100%;
+            max-height: 100%;
+            object-fit: contain; /* Ensure the image fits within the container */
+        }
+
+        #timer {
+            position: absolute;
+            top: 10px;
+            left: 10px;
+            background-color: rgba(0, 0, 0, 0.6);
+            padding: 8px 12px;
+            border-radius: 5px;
+            font-size: 1.2em;
+            display: none;
+        }
+
+        #notifications {
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            max-width: 30%;
+        }
+
+        .notification {
+            background-color: rgba(0, 0, 0, 0.7);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            border-radius: 5px;
+            padding: 8px;
+        }
+
+        #interaction-panel {
+            width: 100%;
+            max-height: 35%;
+            background-color: #000;
+            padding: 10px;
+            box-sizing: border-box;
+            text-align: center;
+            overflow: auto;
+        }
+
+        #say-text {
+            font-size: 1.1em;
+            margin: 0 0 10px 0;
+        }
+
+        #choices {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 10px;
+        }
+
+        #choices button, #choices input, .notification button {
+            background-color: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            padding: 8px 16px;
+            cursor: pointer;
+            border-radius: 5px;
+            font-size: 1em;
+        }
+
+        #choices button:hover, .notification button:hover {
+            background-color: rgba(255, 255, 255, 0.25);
+        }
+
+        #controls {
+            position: absolute;
+            bottom: 10px;
+            right: 10px;
+            display: flex;
+            gap: 10px;
+        }
+
+        #controls button {
+            background-color: rgba(0, 0, 0, 0.6);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            padding: 6px 10px;
+            cursor: pointer;
+            border-radius: 5px;
+        }
+    </style>
+</head>
+<body>
+    <div id="player-container">
+        <div id="image-display">
+            <img id="current-image" src="" alt="">
+            <div id="timer"></div>
+            <div id="notifications"></div>
+            <div id="controls">
+                <button id="restart-btn">Restart</button>
+                <button id="fullscreen-btn">Fullscreen</button>
+            </div>
+        </div>
+        <div id="interaction-panel">
+            <div id="say-text"></div>
+            <div id="choices"></div>
+        </div>
+    </div>
+
+    <script>
+    (function () {
+        const script = ${embeddedScript};
+        const teaseTitle = ${embeddedTitle};
+
+        const currentImage = document.getElementById('current-image');
+        const sayText = document.getElementById('say-text');
+        const choicesPanel = document.getElementById('choices');
+        const timerDisplay = document.getElementById('timer');
+        const notificationsPanel = document.getElementById('notifications');
+        const playerContainer = document.getElementById('player-container');
+
+        let runToken = 0;          // Bumped on every page change; stale action loops stop when it changes
+        let pendingGoto = null;    // Target requested by a goto action or pages.goto()
+        let currentPageId = null;
+        const disabledPages = new Set();
+        const sounds = new Map();  // audio id -> HTMLAudioElement
+        const pendingTimeouts = new Set();
+
+        // --- Helpers ---
+
+        function randomItem(items) {
+            return items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+        }
+
+        function globToRegExp(pattern) {
+            return new RegExp('^' + pattern.replace(/[.+?^\${}()|[\\]\\\\]/g, '\\\\$&').replace(/\\*/g, '.*') + '$');
+        }
+
+        // Accepts "10s", "500ms", "2m", plain milliseconds, or a "min-max" range of those
+        function parseDuration(value) {
+            if (typeof value === 'number') return value;
+            const parts = String(value || '0').split('-').map(part => {
+                const match = part.trim().match(/^([\\d.]+)\\s*(ms|s|m|h)?$/);
+                if (!match) return 0;
+                const amount = parseFloat(match[1]);
+                const unit = match[2] || 'ms';
+                return amount * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+            });
+            if (parts.length === 2) {
+                return parts[0] + Math.random() * (parts[1] - parts[0]);
+            }
+            return parts[0];
+        }
+
+        function delay(ms, token) {
+            return new Promise(resolve => {
+                const id = setTimeout(() => {
+                    pendingTimeouts.delete(id);
+                    resolve(token === runToken);
+                }, ms);
+                pendingTimeouts.add(id);
+            });
+        }
+
+        // --- Script sandbox ---
+        // The tease's init, eval and if scripts run in a frame without same-origin access:
+        // they cannot touch this page, localStorage or the network (see SANDBOX_SCRIPT).
+
+        const storagePrefix = 'eos-player:' + teaseTitle + ':';
+        const sandboxFrame = document.createElement('iframe');
+        sandboxFrame.setAttribute('sandbox', 'allow-scripts');
+        sandboxFrame.style.display = 'none';
+        sandboxFrame.srcdoc = ${embeddedSandbox};
+        const sandboxReady = new Promise(resolve => sandboxFrame.addEventListener('load', resolve, { once: true }));
+        document.body.appendChild(sandboxFrame);
+        const pendingRuns = new Map(); // Run id -> resolve function
+        let lastRunId = 0;
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (event.source !== sandboxFrame.contentWindow || !message) return;
+            if (message.type === 'result' && pendingRuns.has(message.id)) {
+                pendingRuns.get(message.id)(message.value === true);
+                pendingRuns.delete(message.id);
+            } else if (message.type === 'pages') {
+                if (message.method === 'goto') pendingGoto = String(message.target);
+                else if (message.method === 'enable') disabledPages.delete(String(message.target));
+                else if (message.method === 'disable') disabledPages.add(String(message.target));
+            } else if (message.type === 'storage') {
+                try {
+                    if (message.value === null) localStorage.removeItem(storagePrefix + message.key);
+                    else localStorage.setItem(storagePrefix + message.key, String(message.value));
+                } catch (e) { /* storage unavailable */ }
+            }
+        });
+
+        // This tease's saved values, handed to the sandbox's teaseStorage
+        function storedValues() {
+            const values = {};
+            try {
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key.startsWith(storagePrefix)) values[key.slice(storagePrefix.length)] = localStorage.getItem(key);
+                }
+            } catch (e) { /* storage unavailable */ }
+            return values;
+        }
+
+        // Resolves with whether the script's value was truthy
+        async function runScript(code) {
+            if (!code) return false;
+            await sandboxReady;
+            const id = ++lastRunId;
+            return new Promise(resolve => {
+                pendingRuns.set(id, resolve);
+                const state = { currentPageId, disabledPages: Array.from(disabledPages) };
+                sandboxFrame.contentWindow.postMessage({ type: 'run', id, code: String(code), state }, '*');
+            });
+        }
+
+        async function evaluate(expression) {
+            if (expression === undefined || expression === null || expression === '') return true;
+            return runScript('(' + expression + ')');
+        }
+
+        // Turns "file:name.jpg", "gallery:id/imageId" or wildcards into a local path
+        function resolveLocator(locator) {
+            if (!locator) return '';
+            if (locator.startsWith('file:')) {
+                const name = locator.slice(5);
+                const files = script.files || {};
+                const matches = name.includes('*')
+                    ? Object.keys(files).filter(key => globToRegExp(name).test(key) && files[key].localFile)
+                    : [name];
+                const file = files[randomItem(matches)];
+                return file && file.localFile ? file.localFile : '';
+            }
+            if (locator.startsWith('gallery:')) {
+                const [galleryId, imageId] = locator.slice(8).split('/');
+                const gallery = (script.galleries || {})[galleryId];
+                if (!gallery) return '';
+                const images = (gallery.images || []).filter(image => image.localFile);
+                const image = imageId === '*' || !imageId
+                    ? randomItem(images)
+                    : images.find(item => String(item.id) === String(imageId));
+                return image ? image.localFile : '';
+            }
+            return locator; // Already rewritten to a local path
+        }
+
+        function resolveTarget(target) {
+            if (!target || !String(target).includes('*')) return target;
+            const regex = globToRegExp(String(target));
+            return randomItem(Object.keys(script.pages).filter(id => regex.test(id) && !disabledPages.has(id)));
+        }
+
+        function clearInteraction() {
+            choicesPanel.innerHTML = '';
+            timerDisplay.style.display = 'none';
+        }
+
+        // --- Actions ---
+
+        function waitForClick(label, token) {
+            return new Promise(resolve => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', () => {
+                    choicesPanel.innerHTML = '';
+                    resolve(token === runToken);
+                });
+                choicesPanel.appendChild(button);
+            });
+        }
+
+        async function say(action, token) {
+            sayText.innerHTML = action.label || '';
+            const textLength = sayText.textContent.length;
+            switch (action.mode) {
+                case 'instant':
+                    return;
+                case 'pause':
+                    await waitForClick('Continue', token);
+                    return;
+                case 'custom':
+                    await delay(parseDuration(action.duration), token);
+                    return;
+                default: // "autoplay": roughly reading time, skippable by clicking the text
+                    await Promise.race([
+                        delay(Math.max(1500, textLength * 60), token),
+                        new Promise(resolve => sayText.addEventListener('click', resolve, { once: true }))
+                    ]);
+            }
+        }
+
+        async function askChoice(options, token) {
+            const visibleOptions = [];
+            for (const option of options) {
+                if (await evaluate(option.visible)) visibleOptions.push(option);
+            }
+            if (token !== runToken) return null;
+            return new Promise(resolve => {
+                visibleOptions.forEach(option => {
+                    const button = document.createElement('button');
+                    button.innerHTML = option.label || '...';
+                    if (option.color) button.style.backgroundColor = option.color;
+                    button.addEventListener('click', () => {
+                        choicesPanel.innerHTML = '';
+                        resolve(token === runToken ? option : null);
+                    });
+                    choicesPanel.appendChild(button);
+                });
+            });
+        }
+
+        function askPrompt(token) {
+            return new Promise(resolve => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.addEventListener('keydown', event => {
+                    if (event.key === 'Enter') {
+                        choicesPanel.innerHTML = '';
+                        resolve(token === runToken ? input.value : null);
+                    }
+                });
+                choicesPanel.appendChild(input);
+                input.focus();
+            });
+        }
+
+        async function runTimer(action, token) {
+            const duration = parseDuration(action.duration);
+            if (action.isAsync) {
+                delay(duration, token).then(stillCurrent => {
+                    if (stillCurrent) runActions(action.commands || [], token);
+                });
+                return;
+            }
+            if (action.style !== 'hidden') {
+                timerDisplay.style.display = 'block';
+                const endsAt = Date.now() + duration;
+                const tick = () => {
+                    if (token !== runToken || Date.now() >= endsAt) {
+                        timerDisplay.style.display = 'none';
+                        return;
+                    }
+                    timerDisplay.textContent = action.style === 'secret'
+                        ? '?'
+                        : Math.ceil((endsAt - Date.now()) / 1000) + 's';
+                    setTimeout(tick, 250);
+                };
+                tick();
+            }
+            if (await delay(duration, token)) {
+                timerDisplay.style.display = 'none';
+                await runActions(action.commands || [], token);
+            }
+        }
+
+        function playAudio(action) {
+            const src = resolveLocator(action.locator);
+            if (!src) return;
+            const id = action.id || src;
+            if (sounds.has(id)) sounds.get(id).pause();
+            const audio = new Audio(src);
+            audio.volume = action.volume !== undefined ? Math.min(1, Math.max(0, action.volume)) : 1;
+            audio.loop = action.loops === 0; // EOS uses 0 for "loop forever"
+            let remainingLoops = action.loops > 1 ? action.loops - 1 : 0;
+            audio.addEventListener('ended', () => {
+                if (remainingLoops > 0) {
+                    remainingLoops--;
+                    audio.currentTime = 0;
+                    audio.play();
+                }
+            });
+            audio.play().catch(error => console.warn('Audio playback blocked:', error.message));
+            sounds.set(id, audio);
+        }
+
+        function showNotification(action) {
+            const box = document.createElement('div');
+            box.className = 'notification';
+            if (action.id) box.dataset.id = action.id;
+            box.innerHTML = action.title || '';
+            if (action.buttonLabel) {
+                const button = document.createElement('button');
+                button.innerHTML = action.buttonLabel;
+                button.addEventListener('click', () => {
+                    box.remove();
+                    runActions(action.buttonCommands || [], runToken);
+                });
+                box.appendChild(button);
+            }
+            notificationsPanel.appendChild(box);
+        }
+
+        async function runAction(action, token) {
+            const type = Object.keys(action)[0];
+            const params = action[type] || {};
+            switch (type) {
+                case 'say':
+                    await say(params, token);
+                    break;
+                case 'image':
+                    currentImage.src = resolveLocator(params.locator);
+                    break;
+                case 'audio.play':
+                    playAudio(params);
+                    break;
+                case 'choice': {
+                    const option = await askChoice(params.options || [], token);
+                    if (option) await runActions(option.commands || [], token);
+                    break;
+                }
+                case 'timer':
+                    await runTimer(params, token);
+                    break;
+                case 'goto':
+                    pendingGoto = params.target;
+                    break;
+                case 'if':
+                    await runActions((await evaluate(params.condition) ? params.commands : params.elseCommands) || [], token);
+                    break;
+                case 'eval':
+                    await runScript(params.script);
+                    break;
+                case 'prompt': {
+                    const value = await askPrompt(token);
+                    if (params.variable && value !== null) {
+                        await runScript('window[' + JSON.stringify(String(params.variable)) + '] = ' + JSON.stringify(value));
+                    }
+                    break;
+                }
+                case 'enable':
+                    disabledPages.delete(params.target);
+                    break;
+                case 'disable':
+                    disabledPages.add(params.target);
+                    break;
+                case 'notification.create':
+                    showNotification(params);
+                    break;
+                case 'notification.remove':
+                    notificationsPanel.querySelectorAll('.notification').forEach(box => {
+                        if (box.dataset.id === params.id) box.remove();
+                    });
+                    break;
+                case 'end':
+                    endTease();
+                    break;
+                default:
+                    console.warn('Unsupported EOS action:', type, params);
+            }
+        }
+
+        // Runs actions in order; returns false once the page has changed underneath them
+        async function runActions(actions, token) {
+            for (const action of actions) {
+                if (token !== runToken) return false;
+                await runAction(action, token);
+                if (token !== runToken) return false;
+                if (pendingGoto !== null) {
+                    const target = resolveTarget(pendingGoto);
+                    pendingGoto = null;
+                    runPage(target);
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        async function runPage(pageId) {
+            const token = ++runToken;
+            pendingTimeouts.forEach(id => clearTimeout(id));
+            pendingTimeouts.clear();
+            clearInteraction();
+            currentPageId = pageId;
+
+            const actions = script.pages[pageId];
+            if (!actions) {
+                sayText.textContent = 'Page "' + pageId + '" does not exist in this tease.';
+                return;
+            }
+            await runActions(actions, token);
+        }
+
+        function endTease() {
+            runToken++;
+            clearInteraction();
+            sounds.forEach(audio => audio.pause());
+            sayText.innerHTML = '<strong>The End</strong>';
+        }
+
+        async function start() {
+            endTease();
+            sayText.textContent = '';
+            notificationsPanel.innerHTML = '';
+            currentImage.src = '';
+            disabledPages.clear();
+            await sandboxReady;
+            sandboxFrame.contentWindow.postMessage({ type: 'storage', storage: storedValues() }, '*');
+            await runScript(script.init);
+            runPage(script.pages.start ? 'start' : Object.keys(script.pages)[0]);
+        }
+
+        document.getElementById('restart-btn').addEventListener('click', start);
+        document.getElementById('fullscreen-btn').addEventListener('click', () => {
+            if (!document.fullscreenElement) {
+                playerContainer.requestFullscreen().catch(err => console.warn(err.message));
+            } else {
+                document.exitFullscreen();
+            }
+        });
+
+        start();
+    })();
+    </script>
+</body>
+</html>
+`;
+
+    try {
+        await fs.promises.writeFile(outputPath, htmlContent);
+        log.info(`EOS player generated: ${outputPath}`);
+    } catch (error) {
+        log.error(`Error generating EOS player: ${error.message}`, { error });
+    }
+}
+
+module.exports = { SANDBOX_SCRIPT, sanitizeScriptLabels, generateEosPlayerHtml };
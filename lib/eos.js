@@ -0,0 +1,338 @@
+// lib/eos.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { createDownloadQueue, formatQueueProgress } = require('./download-queue');
+const { generateEosPlayerHtml } = require('./eos-player');
+const { sanitizeDescriptionHtml } = require('./sanitize');
+const { log } = require('./logger');
+
+// Where Milovana serves EOS media. Gallery images use the "tb_xl" size variant.
+const EOS_MEDIA_BASE_URL = 'https://media.milovana.com/timg';
+const AUDIO_EXTENSIONS = new Set(['.mp3', '.ogg', '.wav', '.m4a', '.aac', '.flac', '.opus']);
+
+/**
+ * Checks whether the currently loaded page is an EOS (interactive) tease
+ * rather than a classic showtease.php page.
+ *
+ * @param {import('puppeteer').Page} page The Puppeteer page, already navigated to the tease.
+ * @returns {Promise<boolean>}
+ */
+async function isEosTease(page) {
+    return page.evaluate(() => {
+        // Classic teases always carry these elements; EOS teases never do
+        if (document.querySelector('img.tease_pic, #tease_content > p.text, a#continue')) {
+            return false;
+        }
+        return Boolean(
+            document.querySelector('#eosContainer, [data-tease-type="eos"], iframe[src*="/eos"], script[src*="/eos"]')
+        ) || /[?&]type=eos\b/i.test(window.location.search);
+    });
+}
+
+/**
+ * Fetches the whole EOS tease script JSON through the browser session,
+ * so the request carries the same cookies that passed Cloudflare.
+ *
+ * @param {import('puppeteer').Page} page The Puppeteer page, already navigated to the tease.
+ * @param {string} pageUrl URL of the tease page.
+ * @returns {Promise<{teaseId: string, title: string, sourceUrl: string, script: object}>}
+ */
+async function fetchEosTease(page, pageUrl) {
+    const teaseId = new URL(pageUrl).searchParams.get('id');
+    if (!teaseId) {
+        throw new Error(`Cannot determine EOS tease ID from ${pageUrl}`);
+    }
+
+    const pageInfo = await page.evaluate(() => {
+        const container = document.querySelector('[data-key]');
+        const heading = document.querySelector('#tease_title, .tease_title, h1');
+        return {
+            key: container ? container.getAttribute('data-key') : null,
+            heading: heading ? heading.textContent : '',
+            documentTitle: document.title
+        };
+    });
+
+    const scriptUrl = new URL('/webteases/geteosscript.php', pageUrl);
+    scriptUrl.searchParams.set('id', teaseId);
+    if (pageInfo.key) {
+        scriptUrl.searchParams.set('key', pageInfo.key);
+    }
+
+    log.debug(`Fetching EOS script: ${scriptUrl.href}`);
+    const scriptText = await page.evaluate(async url => {
+        const response = await fetch(url, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Failed to get '${url}' (${response.status})`);
+        }
+        return response.text();
+    }, scriptUrl.href);
+
+    let script;
+    try {
+        script = JSON.parse(scriptText);
+    } catch (e) {
+        throw new Error(`EOS script for tease ${teaseId} is not valid JSON: ${e.message}`);
+    }
+    if (!script || typeof script.pages !== 'object') {
+        throw new Error(`EOS script for tease ${teaseId} has no pages.`);
+    }
+
+    const rawTitle = (pageInfo.heading || pageInfo.documentTitle || `eos_${teaseId}`)
+        .replace(/\s*[-|]\s*Milovana.*$/i, '')
+        .trim();
+    const title = rawTitle.replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, '_') || `eos_${teaseId}`;
+
+    return { teaseId, title, sourceUrl: pageUrl, script };
+}
+
+// Calls visit(node, key, parent) for every value nested inside the script
+function walkScript(node, visit, key = null, parent = null) {
+    visit(node, key, parent);
+    if (Array.isArray(node)) {
+        node.forEach((child, index) => walkScript(child, visit, index, node));
+    } else if (node && typeof node === 'object') {
+        Object.keys(node).forEach(childKey => walkScript(node[childKey], visit, childKey, node));
+    }
+}
+
+// Makes an EOS file or gallery name safe to use as a local filename
+function toLocalName(name) {
+    return String(name).replace(/[\\/:*?"<>|\s]+/g, '_');
+}
+
+/**
+ * Lists every image and audio file an EOS script can reference: all uploaded
+ * files, plus every image of each gallery used by a "gallery:" locator.
+ *
+ * @param {object} script Parsed EOS script.
+ * @returns {Array<{locator: string, url: string, localPath: string, kind: string}>}
+ */
+function collectEosMedia(script) {
+    const media = [];
+
+    const files = script.files || {};
+    Object.keys(files).forEach(name => {
+        const file = files[name];
+        if (!file || !file.hash) return;
+        const extension = path.extname(name).toLowerCase() || '.jpg';
+        const isAudio = (file.type || '').startsWith('audio/') || AUDIO_EXTENSIONS.has(extension);
+        media.push({
+            locator: `file:${name}`,
+            url: `${EOS_MEDIA_BASE_URL}/${file.hash}${extension}`,
+            localPath: `${isAudio ? 'audio' : 'pics'}/${toLocalName(name)}`,
+            kind: isAudio ? 'audio' : 'image'
+        });
+    });
+
+    const usedGalleries = new Set();
+    walkScript(script.pages, (value, key) => {
+        if (key === 'locator' && typeof value === 'string' && value.startsWith('gallery:')) {
+            usedGalleries.add(value.slice('gallery:'.length).split('/')[0]);
+        }
+    });
+
+    const galleries = script.galleries || {};
+    usedGalleries.forEach(galleryId => {
+        const gallery = galleries[galleryId];
+        if (!gallery || !Array.isArray(gallery.images)) {
+            log.warn(`EOS script references unknown gallery "${galleryId}".`);
+            return;
+        }
+        gallery.images.forEach(image => {
+            if (!image || !image.hash) return;
+            media.push({
+                locator: `gallery:${galleryId}/${image.id}`,
+                url: `${EOS_MEDIA_BASE_URL}/tb_xl/${image.hash}.jpg`,
+                localPath: `pics/${toLocalName(galleryId)}_${image.id}.jpg`,
+                kind: 'image'
+            });
+        });
+    });
+
+    return media;
+}
+
+/**
+ * Returns a copy of the script in which every downloaded file and gallery image
+ * carries a `localFile` path, and concrete locators point straight at the local file.
+ * Wildcard locators (e.g. "gallery:abc/*") are left for the player to resolve.
+ *
+ * @param {object} script Parsed EOS script.
+ * @param {Map<string, string>} localPaths Locator -> path relative to the tease folder.
+ * @returns {object} The rewritten script.
+ */
+function rewriteEosScript(script, localPaths) {
+    const rewritten = JSON.parse(JSON.stringify(script));
+
+    const files = rewritten.files || {};
+    Object.keys(files).forEach(name => {
+        if (localPaths.has(`file:${name}`)) {
+            files[name].localFile = localPaths.get(`file:${name}`);
+        }
+    });
+
+    const galleries = rewritten.galleries || {};
+    Object.keys(galleries).forEach(galleryId => {
+        (galleries[galleryId].images || []).forEach(image => {
+            const locator = `gallery:${galleryId}/${image.id}`;
+            if (localPaths.has(locator)) {
+                image.localFile = localPaths.get(locator);
+            }
+        });
+    });
+
+    walkScript(rewritten.pages, (value, key, parent) => {
+        if (key === 'locator' && typeof value === 'string' && localPaths.has(value)) {
+            parent[key] = localPaths.get(value);
+        }
+    });
+
+    return rewritten;
+}
+
+// Reduces an HTML "say" label to plain text for descriptions.json
+function htmlToText(html) {
+    return String(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// Picks a representative local image for a locator; wildcards use the first match
+function firstLocalImage(rewrittenScript, locator) {
+    if (locator.startsWith('pics/')) {
+        return locator;
+    }
+    if (locator.startsWith('gallery:')) {
+        const gallery = (rewrittenScript.galleries || {})[locator.slice('gallery:'.length).split('/')[0]];
+        const image = gallery && (gallery.images || []).find(item => item.localFile);
+        return image ? image.localFile : null;
+    }
+    if (locator.startsWith('file:')) {
+        const pattern = new RegExp('^' + locator.slice('file:'.length)
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+        const files = rewrittenScript.files || {};
+        const name = Object.keys(files).find(key => pattern.test(key) && (files[key].localFile || '').startsWith('pics/'));
+        return name ? files[name].localFile : null;
+    }
+    return null;
+}
+
+/**
+ * Flattens the EOS pages into the same page list the classic scraper produces,
+ * so descriptions.json and viewer.html work for EOS teases too.
+ *
+ * @param {object} rewrittenScript Script returned by rewriteEosScript.
+ * @param {Array} media Entries returned by collectEosMedia.
+ * @param {string} sourceUrl URL of the tease page.
+ * @returns {Array} Page data (pageNumber, url, description, descriptionHtml, imageUrl, imageFilename, eosPageId).
+ */
+function eosPagesToGallery(rewrittenScript, media, sourceUrl) {
+    const urlByLocalPath = new Map(media.map(item => [item.localPath, item.url]));
+
+    return Object.keys(rewrittenScript.pages).map((eosPageId, index) => {
+        const texts = [];
+        const labels = []; // The same texts with their formatting, one block per "say"
+        let imagePath = null;
+        walkScript(rewrittenScript.pages[eosPageId], (value, key) => {
+            if (key === 'say' && value && typeof value.label === 'string') {
+                texts.push(htmlToText(value.label));
+                const labelHtml = sanitizeDescriptionHtml(value.label, sourceUrl);
+                if (labelHtml) labels.push(`<div>${labelHtml}</div>`);
+            } else if (key === 'locator' && !imagePath && typeof value === 'string') {
+                const localPath = firstLocalImage(rewrittenScript, value);
+                if (localPath) imagePath = localPath;
+            }
+        });
+
+        return {
+            pageNumber: String(index + 1),
+            eosPageId: eosPageId,
+            url: sourceUrl,
+            description: texts.filter(Boolean).join('\n') || 'No description found.',
+            descriptionHtml: labels.join('') || null,
+            imageUrl: imagePath ? urlByLocalPath.get(imagePath) || null : null,
+            imageFilename: imagePath ? path.basename(imagePath) : 'no_image.jpg',
+            imageNewlyDownloaded: Boolean(imagePath)
+        };
+    });
+}
+
+/**
+ * Downloads every media file of an EOS tease into its folder, writes the original and
+ * rewritten scripts under eos/, and generates the offline eos-player.html.
+ *
+ * @param {{teaseId: string, title: string, sourceUrl: string, script: object}} eosTease Result of fetchEosTease.
+ * @param {string} teaseDirectory Folder created for this tease.
+ * @param {object} [options]
+ * @param {number} [options.downloadConcurrency] How many files may download in parallel.
+ * @param {object} [options.downloadOptions] Passed to every downloadFile call (scheduler, proxy, ...).
+ * @param {object} [options.store] Shared image store the media goes into (see lib/store.js).
+ * @param {function(object): void} [options.onDownloaded] Called with the media item and download result of every file saved.
+ * @param {function(object): void} [options.onDuplicate] Called with every media item whose file another locator already fetches.
+ * @param {function(string): void} [options.onWarning] Called with the message of every file that could not be saved.
+ * @returns {Promise<Array>} Page data for descriptions.json and viewer.html.
+ */
+async function saveEosTease(eosTease, teaseDirectory, options = {}) {
+    const { script, title, sourceUrl } = eosTease;
+
+    await fs.promises.mkdir(path.join(teaseDirectory, 'pics'), { recursive: true });
+    await fs.promises.mkdir(path.join(teaseDirectory, 'audio'), { recursive: true });
+    await fs.promises.mkdir(path.join(teaseDirectory, 'eos'), { recursive: true });
+
+    const media = collectEosMedia(script);
+    log.info(`EOS script has ${Object.keys(script.pages).length} pages and ${media.length} media files.`);
+
+    const localPaths = new Map(); // Locator -> local path, only for files that made it to disk
+    const downloadsByUrl = new Map(); // Same media can be reachable through several locators
+    const downloadQueue = createDownloadQueue({
+        concurrency: options.downloadConcurrency,
+        downloadOptions: options.downloadOptions,
+        store: options.store,
+        onProgress: stats => log.debug(formatQueueProgress(stats))
+    });
+
+    await Promise.all(media.map(async item => {
+        if (downloadsByUrl.has(item.url)) {
+            if (options.onDuplicate) options.onDuplicate(item);
+        } else {
+            const destination = path.join(teaseDirectory, item.localPath);
+            log.debug(`Queueing ${item.kind} ${item.locator} for download to: ${destination}`);
+            downloadsByUrl.set(item.url, downloadQueue.add(item.url, destination, { expect: item.kind }).then(download => {
+                if (options.onDownloaded) options.onDownloaded({ ...item, download });
+                // The extension follows the real file type, which may differ from the EOS file name
+                return path.posix.join(path.posix.dirname(item.localPath), path.basename(download.path));
+            }));
+        }
+        try {
+            item.localPath = await downloadsByUrl.get(item.url);
+            localPaths.set(item.locator, item.localPath);
+        } catch (error) {
+            log.warn(`Could not download ${item.locator} (${item.url}): ${error.message}`);
+            if (options.onWarning) options.onWarning(`Could not download ${item.locator} (${item.url}): ${error.message}`);
+        }
+    }));
+
+    const rewrittenScript = rewriteEosScript(script, localPaths);
+    await fs.promises.writeFile(path.join(teaseDirectory, 'eos', 'script.original.json'), JSON.stringify(script, null, 2));
+    await fs.promises.writeFile(path.join(teaseDirectory, 'eos', 'script.json'), JSON.stringify(rewrittenScript, null, 2));
+    await generateEosPlayerHtml(path.join(teaseDirectory, 'eos-player.html'), title, rewrittenScript);
+
+    return eosPagesToGallery(rewrittenScript, media, sourceUrl);
+}
+
+module.exports = {
+    isEosTease,
+    fetchEosTease,
+    collectEosMedia,
+    rewriteEosScript,
+    eosPagesToGallery,
+    saveEosTease
+};
@@ -0,0 +1,361 @@
+// lib/export.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const JSZip = require('jszip');
+const PDFDocument = require('pdfkit');
+const { detectFileType } = require('./download');
+const { readManifest, SCRAPER_VERSION } = require('./manifest');
+const { log } = require('./logger');
+
+const EXPORT_FORMATS = ['cbz', 'epub', 'pdf'];
+
+const IMAGE_MEDIA_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.bmp': 'image/bmp'
+};
+
+// Media type for the EPUB manifest: by extension, else from the file's leading bytes
+function imageMediaType(extension, data) {
+    if (IMAGE_MEDIA_TYPES[extension]) return IMAGE_MEDIA_TYPES[extension];
+    const detected = detectFileType(data.subarray(0, 32));
+    return detected ? detected.type : 'application/octet-stream';
+}
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Loads everything the exporters need from a tease folder: the metadata from
+ * manifest.json and the pages from descriptions.json, sorted by pageNumber.
+ * Each page gets an `imagePath` when its image file is actually on disk.
+ *
+ * @param {string} teaseDirectory
+ * @returns {Promise<{teaseDirectory: string, tease: object, pages: Array}>}
+ */
+async function loadTeaseForExport(teaseDirectory) {
+    const manifest = await readManifest(teaseDirectory);
+    if (!manifest) {
+        throw new Error(`${teaseDirectory} does not contain descriptions.json or manifest.json.`);
+    }
+
+    let pages = manifest.pages;
+    const descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+    if (fs.existsSync(descriptionFile)) {
+        pages = JSON.parse(await fs.promises.readFile(descriptionFile, 'utf8'));
+    }
+
+    const sortedPages = [...pages]
+        .sort((a, b) => (parseInt(a.pageNumber, 10) || 0) - (parseInt(b.pageNumber, 10) || 0))
+        .map(page => {
+            const imagePath = page.imageFilename && page.imageFilename !== 'no_image.jpg'
+                ? path.join(teaseDirectory, 'pics', page.imageFilename)
+                : null;
+            return { ...page, imagePath: imagePath && fs.existsSync(imagePath) ? imagePath : null };
+        });
+
+    return { teaseDirectory, tease: manifest.tease, pages: sortedPages };
+}
+
+// Parses manifest publish dates ("2021-05-01", "May 1, 2021", ...) into ComicInfo Year/Month/Day
+function dateParts(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return null;
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function buildComicInfoXml(tease, imagePages) {
+    const published = dateParts(tease.publishedAt);
+    const fields = [
+        ['Title', tease.title],
+        ['Writer', tease.author && tease.author.name],
+        ['Web', tease.sourceUrl],
+        ['Tags', (tease.tags || []).join(', ')],
+        ['PageCount', imagePages.length],
+        ['Year', published && published.year],
+        ['Month', published && published.month],
+        ['Day', published && published.day],
+        ['CommunityRating', tease.rating !== null && tease.rating !== undefined ? Math.min(5, tease.rating) : null],
+        ['Notes', `Scraped by miloscrap ${SCRAPER_VERSION}`]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    const pageEntries = imagePages
+        .map((page, index) => `    <Page Image="${index}"${index === 0 ? ' Type="FrontCover"' : ''} />`)
+        .join('\n');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+${fields.map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`).join('\n')}
+  <Pages>
+${pageEntries}
+  </Pages>
+</ComicInfo>
+`;
+}
+
+/**
+ * Builds a CBZ comic archive: the page images in pageNumber order plus ComicInfo.xml.
+ * Pages without an image on disk are left out.
+ *
+ * @param {{tease: object, pages: Array}} teaseExport Result of loadTeaseForExport.
+ * @param {string} outputPath
+ */
+async function exportCbz(teaseExport, outputPath) {
+    const zip = new JSZip();
+    const imagePages = teaseExport.pages.filter(page => page.imagePath);
+    const digits = Math.max(4, String(imagePages.length).length);
+
+    for (const [index, page] of imagePages.entries()) {
+        const extension = path.extname(page.imagePath).toLowerCase();
+        // Zero-padded names keep readers that sort by filename in page order
+        zip.file(`${String(index + 1).padStart(digits, '0')}${extension}`, await fs.promises.readFile(page.imagePath));
+    }
+    zip.file('ComicInfo.xml', buildComicInfoXml(teaseExport.tease, imagePages));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    await fs.promises.writeFile(outputPath, buffer);
+}
+
+function buildEpubPageXhtml(page, imageHref, pageTitle) {
+    const description = page.description && page.description !== 'No description found.' ? page.description : '';
+    const paragraphs = description
+        .split(/\n+/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => `    <p>${escapeXml(line)}</p>`)
+        .join('\n');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <title>${escapeXml(pageTitle)}</title>
+  <link rel="stylesheet" type="text/css" href="../style.css" />
+</head>
+<body>
+  <section class="tease-page">
+${imageHref ? `    <div class="image"><img src="${escapeXml(imageHref)}" alt="${escapeXml(pageTitle)}" /></div>\n` : ''}    <div class="description">
+${paragraphs}
+    </div>
+  </section>
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds an EPUB 3 book with one section per tease page: the image with its
+ * saved description underneath.
+ *
+ * @param {{tease: object, pages: Array}} teaseExport Result of loadTeaseForExport.
+ * @param {string} outputPath
+ */
+async function exportEpub(teaseExport, outputPath) {
+    const { tease, pages } = teaseExport;
+    const zip = new JSZip();
+    const bookId = `urn:miloscrap:tease:${tease.id || tease.title}`;
+
+    // The mimetype entry must come first and be stored uncompressed
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`);
+    zip.file('OEBPS/style.css', `body { margin: 0; padding: 0; text-align: center; font-family: serif; }
+.image img { max-width: 100%; max-height: 80vh; }
+.description { margin: 0.5em 1em; }
+`);
+
+    const manifestItems = [
+        '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+        '    <item id="style" href="style.css" media-type="text/css" />'
+    ];
+    const spineItems = [];
+    const navItems = [];
+    const imageIds = new Map(); // Image file -> manifest id, so repeated images are stored once
+    let coverImageId = null;
+
+    for (const [index, page] of pages.entries()) {
+        const pageId = `page-${String(index + 1).padStart(4, '0')}`;
+        const pageTitle = `Page ${page.pageNumber}`;
+        let imageHref = null;
+
+        if (page.imagePath) {
+            const extension = path.extname(page.imagePath).toLowerCase();
+            if (!imageIds.has(page.imagePath)) {
+                const imageId = `img-${imageIds.size + 1}`;
+                imageIds.set(page.imagePath, imageId);
+                const data = await fs.promises.readFile(page.imagePath);
+                zip.file(`OEBPS/images/${imageId}${extension}`, data);
+                const isCover = coverImageId === null;
+                if (isCover) coverImageId = imageId;
+                manifestItems.push(`    <item id="${imageId}" href="images/${imageId}${extension}" media-type="${imageMediaType(extension, data)}"${isCover ? ' properties="cover-image"' : ''} />`);
+            }
+            imageHref = `../images/${imageIds.get(page.imagePath)}${extension}`;
+        }
+
+        zip.file(`OEBPS/pages/${pageId}.xhtml`, buildEpubPageXhtml(page, imageHref, pageTitle));
+        manifestItems.push(`    <item id="${pageId}" href="pages/${pageId}.xhtml" media-type="application/xhtml+xml" />`);
+        spineItems.push(`    <itemref idref="${pageId}" />`);
+        navItems.push(`      <li><a href="pages/${pageId}.xhtml">${escapeXml(pageTitle)}</a></li>`);
+    }
+
+    zip.file('OEBPS/nav.xhtml', `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>${escapeXml(tease.title)}</title></head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(tease.title)}</h1>
+    <ol>
+${navItems.join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`);
+
+    const optionalMetadata = [
+        tease.author && tease.author.name ? `    <dc:creator>${escapeXml(tease.author.name)}</dc:creator>` : null,
+        tease.publishedAt && dateParts(tease.publishedAt) ? `    <dc:date>${new Date(tease.publishedAt).toISOString().slice(0, 10)}</dc:date>` : null,
+        tease.sourceUrl ? `    <dc:source>${escapeXml(tease.sourceUrl)}</dc:source>` : null,
+        ...(tease.tags || []).map(tag => `    <dc:subject>${escapeXml(tag)}</dc:subject>`),
+        coverImageId ? `    <meta name="cover" content="${coverImageId}" />` : null
+    ].filter(Boolean);
+
+    zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(bookId)}</dc:identifier>
+    <dc:title>${escapeXml(tease.title)}</dc:title>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+${optionalMetadata.join('\n')}
+  </metadata>
+  <manifest>
+${manifestItems.join('\n')}
+  </manifest>
+  <spine>
+${spineItems.join('\n')}
+  </spine>
+</package>
+`);
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+    await fs.promises.writeFile(outputPath, buffer);
+}
+
+/**
+ * Builds a PDF with one tease page per PDF page: the image scaled to fit, with the
+ * description underneath. PDF only embeds JPEG and PNG; other formats get a note instead.
+ *
+ * @param {{tease: object, pages: Array}} teaseExport Result of loadTeaseForExport.
+ * @param {string} outputPath
+ */
+async function exportPdf(teaseExport, outputPath) {
+    const { tease, pages } = teaseExport;
+    const margin = 36;
+    const info = { Title: tease.title, Creator: `miloscrap ${SCRAPER_VERSION}` };
+    if (tease.author && tease.author.name) info.Author = tease.author.name;
+    if (tease.sourceUrl) info.Subject = tease.sourceUrl;
+    if (tease.tags && tease.tags.length > 0) info.Keywords = tease.tags.join(', ');
+    const doc = new PDFDocument({ autoFirstPage: false, size: 'A4', margin, info });
+
+    const done = new Promise((resolve, reject) => {
+        const stream = fs.createWriteStream(outputPath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+    });
+
+    for (const page of pages) {
+        doc.addPage();
+        const contentWidth = doc.page.width - margin * 2;
+        const description = page.description && page.description !== 'No description found.' ? page.description.trim() : '';
+        doc.fontSize(11);
+        // 12pt gap above the text, plus a little slack so rounding never pushes its last line onto a new page
+        const textHeight = description ? doc.heightOfString(description, { width: contentWidth }) + 16 : 0;
+        // Leave the image at least half the page even for long descriptions
+        const imageHeight = Math.max((doc.page.height - margin * 2) / 2, doc.page.height - margin * 2 - textHeight);
+
+        if (page.imagePath) {
+            const extension = path.extname(page.imagePath).toLowerCase();
+            try {
+                if (extension !== '.jpg' && extension !== '.jpeg' && extension !== '.png') {
+                    throw new Error(`${extension} images cannot be embedded in a PDF`);
+                }
+                doc.image(page.imagePath, margin, margin, { fit: [contentWidth, imageHeight], align: 'center', valign: 'center' });
+            } catch (error) {
+                log.warn(`Page ${page.pageNumber}: ${error.message}`);
+                doc.text(`[Image: ${page.imageFilename}]`, margin, margin + imageHeight / 2, { width: contentWidth, align: 'center' });
+            }
+        }
+
+        if (description) {
+            doc.text(description, margin, margin + (page.imagePath ? imageHeight + 12 : 0), { width: contentWidth, align: 'center' });
+        }
+    }
+
+    if (pages.length === 0) {
+        doc.addPage().text(tease.title); // A PDF needs at least one page
+    }
+
+    doc.end();
+    await done;
+}
+
+/**
+ * Exports a tease folder to the requested formats. Files are written to
+ * <tease folder>/exports/ unless another output directory is given.
+ *
+ * @param {string} teaseDirectory
+ * @param {object} [options]
+ * @param {string[]} [options.formats] Any of "cbz", "epub", "pdf" (default: all).
+ * @param {string} [options.outputDir]
+ * @returns {Promise<string[]>} Paths of the files written.
+ */
+async function exportTease(teaseDirectory, options = {}) {
+    const formats = options.formats && options.formats.length > 0 ? options.formats : EXPORT_FORMATS;
+    const unknownFormats = formats.filter(format => !EXPORT_FORMATS.includes(format));
+    if (unknownFormats.length > 0) {
+        throw new Error(`Unknown export format(s): ${unknownFormats.join(', ')}. Use ${EXPORT_FORMATS.join(', ')}.`);
+    }
+
+    const teaseExport = await loadTeaseForExport(path.resolve(teaseDirectory));
+    const outputDir = path.resolve(options.outputDir || path.join(teaseDirectory, 'exports'));
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const baseName = path.basename(path.resolve(teaseDirectory));
+    const exporters = { cbz: exportCbz, epub: exportEpub, pdf: exportPdf };
+    const written = [];
+    for (const format of formats) {
+        const outputPath = path.join(outputDir, `${baseName}.${format}`);
+        log.info(`Exporting ${format.toUpperCase()}: ${outputPath}`);
+        await exporters[format](teaseExport, outputPath);
+        written.push(outputPath);
+    }
+    return written;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    loadTeaseForExport,
+    buildComicInfoXml,
+    exportCbz,
+    exportEpub,
+    exportPdf,
+    exportTease
+};
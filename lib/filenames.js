@@ -0,0 +1,276 @@
+// lib/filenames.js
+const crypto = require('crypto'); // For content hashes
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+
+// Image names used unless the filenameTemplate option says otherwise
+const DEFAULT_FILENAME_TEMPLATE = '{caption}_{page}';
+const MAX_FILENAME_LENGTH = 120; // Without the extension; keeps full paths well under OS limits
+
+// Letters that Unicode decomposition does not reduce to plain Latin
+const TRANSLITERATIONS = {
+    // Latin
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ł': 'l', 'ı': 'i', 'ħ': 'h',
+    // Cyrillic
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i',
+    'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+    'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+    'э': 'e', 'ю': 'yu', 'я': 'ya', 'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u', 'ј': 'j', 'љ': 'lj',
+    'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ђ': 'dj',
+    // Greek
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i', 'κ': 'k',
+    'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't',
+    'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+/**
+ * Turns text into lowercase Latin where a reading is known: accents are dropped and Cyrillic
+ * and Greek letters are transliterated. Letters of other scripts (Japanese, Chinese, ...) are
+ * kept as they are.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function transliterate(text) {
+    return Array.from(String(text).toLowerCase().normalize('NFKD'))
+        .filter(char => !/\p{M}/u.test(char)) // Combining accents left over by NFKD
+        .map(char => (char in TRANSLITERATIONS ? TRANSLITERATIONS[char] : char))
+        .join('')
+        .normalize('NFC');
+}
+
+// Lowercase words of letters and digits, transliterated where possible
+function slugWords(text) {
+    return transliterate(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Joins words with underscores, cutting the last word short to stay within maxLength characters
+function joinWithinLength(words, maxLength) {
+    let joined = '';
+    for (const word of words) {
+        const separator = joined ? '_' : '';
+        const remaining = maxLength - joined.length - separator.length;
+        if (remaining <= 0) break;
+        joined += separator + Array.from(word).slice(0, remaining).join('');
+        if (Array.from(word).length > remaining) break;
+    }
+    return joined;
+}
+
+// Define a simple list of common stop words to filter out
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were',
+    'in', 'on', 'at', 'for', 'with', 'of', 'to', 'from', 'by', 'as',
+    'it', 'its', 'he', 'she', 'they', 'we', 'you', 'i', 'my', 'your',
+    'his', 'her', 'their', 'our', 'this', 'that', 'these', 'those',
+    'what', 'where', 'when', 'why', 'how', 'which', 'who', 'whom',
+    'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
+    'not', 'no', 'can', 'could', 'will', 'would', 'should', 'may', 'might',
+    'about', 'above', 'after', 'again', 'against', 'all', 'any', 'among',
+    'around', 'before', 'below', 'between', 'both', 'each', 'few', 'more',
+    'most', 'other', 'some', 'such', 'only', 'own', 'same', 'so', 'than',
+    'too', 'very', 's', 't', 'just', 'don', 'shouldn', 'now'
+]);
+
+/**
+ * Picks up to three important words from a caption (skipping stop words) and joins them
+ * with underscores, at most `maxLength` characters long. Captions made only of stop words
+ * fall back to their first words, so a caption with any letters never gives an empty slug.
+ *
+ * @param {string} caption
+ * @param {number} [maxLength]
+ * @returns {string} The slug, or '' when the caption has no letters or digits at all.
+ */
+function captionSlug(caption, maxLength = 10) {
+    if (!caption || typeof caption !== 'string') {
+        return '';
+    }
+    const words = slugWords(caption);
+    const importantWords = words.filter(word => Array.from(word).length > 1 && !STOP_WORDS.has(word));
+    return joinWithinLength((importantWords.length > 0 ? importantWords : words).slice(0, 3), maxLength);
+}
+
+// Removes everything a file system, or the viewer's "pics/" + name URLs, could trip over
+function sanitizeFilename(name) {
+    return name
+        .replace(/[\\/:*?"<>|#%&{}\u0000-\u001f]/g, '')
+        .replace(/\s+/g, '_')
+        .replace(/_{2,}/g, '_')
+        .replace(/^[._-]+|[._-]+$/g, '');
+}
+
+// Last path segment of a URL without its extension
+function originalName(imageUrl) {
+    try {
+        const basename = decodeURIComponent(path.posix.basename(new URL(imageUrl).pathname));
+        return basename.slice(0, basename.length - path.extname(basename).length);
+    } catch (e) {
+        return '';
+    }
+}
+
+const PLACEHOLDERS = {
+    page: (fields, width) => String(fields.pageNumber || '').padStart(width || 0, '0'),
+    id: fields => (fields.teaseId ? String(fields.teaseId) : ''),
+    title: (fields, width) => joinWithinLength(slugWords(fields.title || ''), width || 40),
+    caption: (fields, width) => captionSlug(fields.caption, width || 10),
+    original: (fields, width) => Array.from(originalName(fields.imageUrl || '')).slice(0, width || MAX_FILENAME_LENGTH).join(''),
+    hash: (fields, width) => (fields.hash || '').slice(0, width || 12)
+};
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+/**
+ * Checks a filename template before anything is named after it.
+ *
+ * Placeholders: {page} (page number; {page:3} pads it to three digits), {id} (tease ID),
+ * {title} (tease title), {caption} (important words of the page text; {caption:20} allows
+ * 20 characters instead of 10), {original} (file name in the image URL) and {hash} (SHA-256
+ * of the image; {hash:8} keeps 8 characters instead of 12).
+ *
+ * @param {string} template
+ * @throws {Error} For unknown placeholders, path separators or a template without placeholders.
+ */
+function validateFilenameTemplate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+        throw new Error('The filename template is empty.');
+    }
+    if (/[\\/]/.test(template)) {
+        throw new Error(`The filename template "${template}" must not contain path separators.`);
+    }
+    const names = Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+    const unknown = names.filter(name => !PLACEHOLDERS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown placeholder(s) in filename template: ${unknown.map(name => `{${name}}`).join(', ')}. Known: ${Object.keys(PLACEHOLDERS).map(name => `{${name}}`).join(', ')}.`);
+    }
+    if (names.length === 0) {
+        throw new Error(`The filename template "${template}" has no placeholders, so every image would get the same name.`);
+    }
+}
+
+function templateUsesHash(template) {
+    return Array.from(template.matchAll(PLACEHOLDER_PATTERN)).some(match => match[1] === 'hash');
+}
+
+/**
+ * Fills in a filename template for one image. Never returns an empty name: when every
+ * placeholder comes out empty the name falls back to page_<number>.
+ *
+ * @param {string} template See validateFilenameTemplate.
+ * @param {object} fields
+ * @param {number|string} [fields.pageNumber]
+ * @param {number|string} [fields.teaseId]
+ * @param {string} [fields.title]
+ * @param {string} [fields.caption]
+ * @param {string} [fields.imageUrl]
+ * @param {string} [fields.hash] Hex content hash, once the image is on disk.
+ * @returns {string} The name without an extension.
+ */
+function renderFilenameTemplate(template, fields) {
+    const rendered = template.replace(PLACEHOLDER_PATTERN, (match, name, width) =>
+        (PLACEHOLDERS[name] ? PLACEHOLDERS[name](fields, width ? parseInt(width, 10) : 0) : ''));
+    const name = Array.from(sanitizeFilename(rendered)).slice(0, MAX_FILENAME_LENGTH).join('');
+    return name || `page_${fields.pageNumber || 0}`;
+}
+
+/**
+ * Names a page image after the template, with the extension from its URL (.jpg when the
+ * URL has none). The downloader corrects the extension once it knows the real file type.
+ *
+ * @param {string} template
+ * @param {object} fields See renderFilenameTemplate; `imageUrl` gives the extension.
+ * @returns {string}
+ */
+function buildImageFilename(template, fields) {
+    let extension = '.jpg';
+    try {
+        extension = path.extname(new URL(fields.imageUrl).pathname).toLowerCase() || extension;
+    } catch (e) {
+        // Keep the default
+    }
+    return renderFilenameTemplate(template, fields) + extension;
+}
+
+/**
+ * Generates a short, URL-safe filename from a given caption: up to three important words,
+ * lowercase and transliterated, joined with underscores and cut to 10 characters, followed
+ * by the page number. This is the default filename template.
+ *
+ * @param {string} caption The input caption string.
+ * @param {number|string} pagenumber
+ * @returns {string} The filename without an extension.
+ */
+function generateFilenameFromCaption(caption, pagenumber) {
+    return renderFilenameTemplate(DEFAULT_FILENAME_TEMPLATE, { caption, pageNumber: pagenumber });
+}
+
+// Case-insensitive name without its extension: two images differing only there could still
+// end up in the same file once their extensions follow the real file type
+function filenameKey(filename) {
+    return filename.slice(0, filename.length - path.extname(filename).length).toLowerCase();
+}
+
+/**
+ * Picks a filename in pics/ that no image still in use already has, adding _2, _3, ...
+ * Names are compared without their extension and case, so no two images can ever be
+ * written to the same file.
+ *
+ * @param {string} filename
+ * @param {Set<string>|string[]} takenFilenames
+ * @returns {string}
+ */
+function uniqueFilename(filename, takenFilenames) {
+    const takenKeys = new Set(Array.from(takenFilenames, filenameKey));
+    const extension = path.extname(filename);
+    const base = filename.slice(0, filename.length - extension.length);
+    let candidate = filename;
+    for (let counter = 2; takenKeys.has(filenameKey(candidate)); counter++) {
+        candidate = `${base}_${counter}${extension}`;
+    }
+    return candidate;
+}
+
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Renames a downloaded image after a template that uses {hash}, which can only be filled in
+ * once the file is on disk.
+ *
+ * @param {string} filePath Downloaded file, named with an empty hash.
+ * @param {string} template
+ * @param {object} fields See renderFilenameTemplate.
+ * @param {Set<string>} takenFilenames Names in use; updated with the new name.
+ * @returns {Promise<string>} The new path.
+ */
+async function renameToContentHash(filePath, template, fields, takenFilenames) {
+    const hash = await hashFile(filePath);
+    // Free the provisional name (whatever extension the download ended up with)
+    Array.from(takenFilenames).filter(taken => filenameKey(taken) === filenameKey(path.basename(filePath)))
+        .forEach(taken => takenFilenames.delete(taken));
+    const filename = uniqueFilename(renderFilenameTemplate(template, { ...fields, hash }) + path.extname(filePath), takenFilenames);
+    takenFilenames.add(filename);
+    const newPath = path.join(path.dirname(filePath), filename);
+    if (newPath !== filePath) {
+        await fs.promises.rename(filePath, newPath);
+    }
+    return newPath;
+}
+
+module.exports = {
+    DEFAULT_FILENAME_TEMPLATE,
+    transliterate,
+    captionSlug,
+    validateFilenameTemplate,
+    templateUsesHash,
+    renderFilenameTemplate,
+    buildImageFilename,
+    generateFilenameFromCaption,
+    uniqueFilename,
+    hashFile,
+    renameToContentHash
+};
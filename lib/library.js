@@ -0,0 +1,293 @@
+// lib/library.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { readManifest } = require('./manifest');
+const { log } = require('./logger');
+
+/**
+ * Collects one library entry per tease folder found directly under the downloads directory.
+ *
+ * @param {string} downloadsDir
+ * @returns {Promise<Array<object>>}
+ */
+async function collectLibraryEntries(downloadsDir) {
+    const entries = [];
+    const dirents = await fs.promises.readdir(downloadsDir, { withFileTypes: true }).catch(() => []);
+
+    for (const dirent of dirents) {
+        if (!dirent.isDirectory()) continue;
+        const teaseDirectory = path.join(downloadsDir, dirent.name);
+        const manifest = await readManifest(teaseDirectory);
+        if (!manifest) continue; // Not a tease folder
+
+        const pages = [...manifest.pages].sort((a, b) => (parseInt(a.pageNumber, 10) || 0) - (parseInt(b.pageNumber, 10) || 0));
+        const coverPage = pages.find(page => page.imageFilename && page.imageFilename !== 'no_image.jpg'
+            && fs.existsSync(path.join(teaseDirectory, 'pics', page.imageFilename)));
+
+        entries.push({
+            folder: dirent.name,
+            teaseId: manifest.tease.id,
+            type: manifest.tease.type,
+            title: manifest.tease.title,
+            author: manifest.tease.author ? manifest.tease.author.name : null,
+            tags: manifest.tease.tags || [],
+            rating: manifest.tease.rating,
+            pageCount: pages.length,
+            scrapedAt: manifest.scrapedAt,
+            cover: coverPage ? `${dirent.name}/pics/${coverPage.imageFilename}` : null,
+            hasViewer: fs.existsSync(path.join(teaseDirectory, 'viewer.html')),
+            hasEosPlayer: fs.existsSync(path.join(teaseDirectory, 'eos-player.html'))
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Scans every tease folder under the downloads directory and writes downloads/index.html,
+ * a searchable, filterable and sortable overview linking to each tease's viewer.
+ *
+ * @param {string} downloadsDir
+ * @returns {Promise<string>} Path of the written index.html.
+ */
+async function buildLibraryIndex(downloadsDir) {
+    const entries = await collectLibraryEntries(downloadsDir);
+    const outputPath = path.join(downloadsDir, 'index.html');
+    // Escape "<" so titles containing "</script>" cannot break out of the inline script
+    const embeddedEntries = JSON.stringify(entries).replace(/</g, '\\u003c');
+
+    const htmlContent = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Tease Library</title>
+    <style>
+        body {
+            margin: 0;
+            padding: 0;
+            background-color: #1a1a1a;
+            color: #fff;
+            font-family: Arial, sans-serif;
+        }
+
+        #toolbar {
+            position: sticky;
+            top: 0;
+            z-index: 10;
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            align-items: center;
+            padding: 10px;
+            background-color: #000;
+        }
+
+        #toolbar input, #toolbar select {
+            background-color: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            padding: 8px 12px;
+            border-radius: 5px;
+            font-size: 1em;
+        }
+
+        #toolbar option {
+            background-color: #1a1a1a;
+        }
+
+        #search {
+            flex: 1;
+            min-width: 200px;
+        }
+
+        #result-count {
+            color: #aaa;
+        }
+
+        #library {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+            gap: 15px;
+            padding: 15px;
+        }
+
+        .tease-card {
+            display: flex;
+            flex-direction: column;
+            background-color: #262626;
+            border-radius: 5px;
+            overflow: hidden;
+            color: inherit;
+            text-decoration: none;
+            transition: background-color 0.3s ease;
+        }
+
+        .tease-card:hover {
+            background-color: #333;
+        }
+
+        .tease-cover {
+            width: 100%;
+            aspect-ratio: 3 / 4;
+            object-fit: cover;
+            background-color: #111;
+        }
+
+        .tease-details {
+            padding: 8px 10px;
+            font-size: 0.9em;
+        }
+
+        .tease-title {
+            font-weight: bold;
+            margin-bottom: 4px;
+            word-break: break-word;
+        }
+
+        .tease-meta {
+            color: #aaa;
+        }
+
+        .tease-links a {
+            color: #9cf;
+            margin-right: 8px;
+        }
+    </style>
+</head>
+<body>
+    <div id="toolbar">
+        <input id="search" type="search" placeholder="Search title, author or tag...">
+        <select id="author-filter"><option value="">All authors</option></select>
+        <select id="type-filter">
+            <option value="">All types</option>
+            <option value="classic">Classic</option>
+            <option value="eos">EOS</option>
+        </select>
+        <select id="sort-order">
+            <option value="scrapedAt-desc">Newest scrape first</option>
+            <option value="scrapedAt-asc">Oldest scrape first</option>
+            <option value="title-asc">Title (A-Z)</option>
+            <option value="title-desc">Title (Z-A)</option>
+            <option value="author-asc">Author (A-Z)</option>
+            <option value="pageCount-desc">Most pages</option>
+            <option value="pageCount-asc">Fewest pages</option>
+        </select>
+        <span id="result-count"></span>
+    </div>
+    <div id="library"></div>
+
+    <script>
+        const libraryData = ${embeddedEntries};
+        const libraryContainer = document.getElementById('library');
+        const searchInput = document.getElementById('search');
+        const authorFilter = document.getElementById('author-filter');
+        const typeFilter = document.getElementById('type-filter');
+        const sortOrder = document.getElementById('sort-order');
+        const resultCount = document.getElementById('result-count');
+
+        function folderUrl(entry, file) {
+            return encodeURIComponent(entry.folder) + '/' + file.split('/').map(encodeURIComponent).join('/');
+        }
+
+        function compareEntries(a, b, field) {
+            const valueA = a[field] === null || a[field] === undefined ? '' : a[field];
+            const valueB = b[field] === null || b[field] === undefined ? '' : b[field];
+            if (typeof valueA === 'number' && typeof valueB === 'number') return valueA - valueB;
+            return String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base' });
+        }
+
+        function createCard(entry) {
+            const card = document.createElement('div');
+            card.className = 'tease-card';
+
+            const cover = document.createElement('img');
+            cover.className = 'tease-cover';
+            cover.loading = 'lazy';
+            cover.alt = entry.title || entry.folder;
+            if (entry.cover) cover.src = entry.cover.split('/').map(encodeURIComponent).join('/');
+
+            const coverLink = document.createElement('a');
+            coverLink.href = folderUrl(entry, 'viewer.html');
+            coverLink.appendChild(cover);
+
+            const details = document.createElement('div');
+            details.className = 'tease-details';
+
+            const title = document.createElement('div');
+            title.className = 'tease-title';
+            title.textContent = entry.title || entry.folder;
+
+            const meta = document.createElement('div');
+            meta.className = 'tease-meta';
+            const scrapedDate = entry.scrapedAt ? new Date(entry.scrapedAt).toLocaleDateString() : 'unknown date';
+            meta.textContent = (entry.author ? 'by ' + entry.author + ' · ' : '') + entry.pageCount + ' pages · ' + scrapedDate;
+
+            const links = document.createElement('div');
+            links.className = 'tease-links';
+            if (entry.hasViewer) {
+                const viewerLink = document.createElement('a');
+                viewerLink.href = folderUrl(entry, 'viewer.html');
+                viewerLink.textContent = 'Viewer';
+                links.appendChild(viewerLink);
+            }
+            if (entry.hasEosPlayer) {
+                const playerLink = document.createElement('a');
+                playerLink.href = folderUrl(entry, 'eos-player.html');
+                playerLink.textContent = 'EOS player';
+                links.appendChild(playerLink);
+            }
+
+            details.append(title, meta, links);
+            card.append(coverLink, details);
+            return card;
+        }
+
+        function renderLibrary() {
+            const query = searchInput.value.trim().toLowerCase();
+            const author = authorFilter.value;
+            const type = typeFilter.value;
+            const [sortField, sortDirection] = sortOrder.value.split('-');
+
+            const visible = libraryData.filter(entry => {
+                if (author && entry.author !== author) return false;
+                if (type && entry.type !== type) return false;
+                if (!query) return true;
+                const haystack = [entry.title, entry.folder, entry.author, entry.teaseId].concat(entry.tags).join(' ').toLowerCase();
+                return query.split(/\\s+/).every(word => haystack.includes(word));
+            });
+            visible.sort((a, b) => compareEntries(a, b, sortField) * (sortDirection === 'desc' ? -1 : 1));
+
+            libraryContainer.innerHTML = '';
+            visible.forEach(entry => libraryContainer.appendChild(createCard(entry)));
+            resultCount.textContent = visible.length + ' of ' + libraryData.length + ' teases';
+        }
+
+        function initializeLibrary() {
+            const authors = Array.from(new Set(libraryData.map(entry => entry.author).filter(Boolean))).sort();
+            authors.forEach(author => {
+                const option = document.createElement('option');
+                option.value = author;
+                option.textContent = author;
+                authorFilter.appendChild(option);
+            });
+
+            searchInput.addEventListener('input', renderLibrary);
+            authorFilter.addEventListener('change', renderLibrary);
+            typeFilter.addEventListener('change', renderLibrary);
+            sortOrder.addEventListener('change', renderLibrary);
+            renderLibrary();
+        }
+
+        initializeLibrary();
+    </script>
+</body>
+</html>
+`;
+
+    await fs.promises.writeFile(outputPath, htmlContent);
+    log.info(`Library index generated: ${outputPath} (${entries.length} teases)`);
+    return outputPath;
+}
+
+module.exports = { collectLibraryEntries, buildLibraryIndex };
@@ -0,0 +1,155 @@
+// lib/logger.js
+const fs = require('fs'); // For file system operations
+
+// Console output below the level is hidden; log files and sinks always get every record
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+let consoleLevel = 'info';
+const sinks = new Set(); // Functions receiving every log record
+let progressText = null; // Live progress line, kept below the log output on a terminal
+
+/**
+ * Sets how much is printed to the console: "debug" (--verbose), "info" (the default),
+ * "warn" (--quiet), "error" or "silent". The level is process-wide.
+ *
+ * @param {string} level
+ */
+function setLogLevel(level) {
+    if (!(level in LOG_LEVELS)) {
+        throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+    }
+    consoleLevel = level;
+}
+
+function getLogLevel() {
+    return consoleLevel;
+}
+
+// The progress line needs a terminal to redraw in, and is part of the normal (info) output
+function progressShown() {
+    return Boolean(process.stderr.isTTY) && LOG_LEVELS[consoleLevel] <= LOG_LEVELS.info;
+}
+
+function clearProgress() {
+    if (progressText !== null && progressShown()) process.stderr.write('\r\x1b[K');
+}
+
+function drawProgress() {
+    if (progressText !== null && progressShown()) {
+        process.stderr.write(progressText.slice(0, (process.stderr.columns || 80) - 1));
+    }
+}
+
+/**
+ * Shows (or replaces) the live progress line. Off a terminal nothing is drawn.
+ *
+ * @param {string} text
+ */
+function setProgress(text) {
+    clearProgress();
+    progressText = text;
+    drawProgress();
+}
+
+// Removes the progress line, for example once a scrape has finished
+function endProgress() {
+    clearProgress();
+    progressText = null;
+}
+
+function writeRecord(record, error) {
+    for (const sink of sinks) {
+        try {
+            sink(record);
+        } catch (e) {
+            // A broken sink must not stop the scrape
+        }
+    }
+    if (LOG_LEVELS[record.level] < LOG_LEVELS[consoleLevel]) return;
+
+    clearProgress();
+    const write = record.level === 'error' ? console.error : record.level === 'warn' ? console.warn : console.log;
+    // Stack traces are only worth the noise when asked for
+    write(error && error.stack && consoleLevel === 'debug' ? `${record.message}\n${error.stack}` : record.message);
+    drawProgress();
+}
+
+/**
+ * Creates a logger whose records carry the given fields (for example the page number).
+ * Each method takes a message and optional extra fields; an `error` field holding an
+ * Error is recorded by its message, and its stack is printed at the debug level.
+ *
+ * @param {object} [fields]
+ * @returns {{debug: function, info: function, warn: function, error: function, child: function(object): object}}
+ */
+function createLogger(fields = {}) {
+    const logAt = level => (message, data = {}) => {
+        const { error, ...extra } = data;
+        const record = { time: new Date().toISOString(), level, message: String(message), ...fields, ...extra };
+        if (error !== undefined) {
+            record.error = error instanceof Error ? error.message : String(error);
+        }
+        writeRecord(record, error instanceof Error ? error : null);
+    };
+    return {
+        debug: logAt('debug'),
+        info: logAt('info'),
+        warn: logAt('warn'),
+        error: logAt('error'),
+        child: moreFields => createLogger({ ...fields, ...moreFields })
+    };
+}
+
+/**
+ * Passes every log record, whatever the console level, to `sink` until the returned
+ * function is called.
+ *
+ * @param {function(object): void} sink
+ * @returns {function(): void} Removes the sink.
+ */
+function addLogSink(sink) {
+    sinks.add(sink);
+    return () => sinks.delete(sink);
+}
+
+/**
+ * Creates a JSON-lines log (one JSON object per line). Records written before `open`
+ * is called are kept and flushed to the file once it is opened, so a scrape can start
+ * logging before its folder exists.
+ *
+ * @returns {{write: function(object): void, open: function(string): void, close: function(): Promise<void>}}
+ */
+function createJsonLinesLog() {
+    let stream = null;
+    const buffered = [];
+    const writeLine = record => stream.write(JSON.stringify(record) + '\n');
+    return {
+        write(record) {
+            if (stream) writeLine(record); else buffered.push(record);
+        },
+        open(filePath) {
+            stream = fs.createWriteStream(filePath, { flags: 'a' });
+            stream.on('error', error => console.error(`Cannot write log file ${filePath}: ${error.message}`));
+            buffered.splice(0).forEach(writeLine);
+        },
+        close() {
+            buffered.length = 0; // Never opened: there is nowhere to write them
+            return stream ? new Promise(resolve => stream.end(resolve)) : Promise.resolve();
+        }
+    };
+}
+
+// Shared logger for modules that have no fields of their own to add
+const log = createLogger();
+
+module.exports = {
+    LOG_LEVELS,
+    log,
+    createLogger,
+    setLogLevel,
+    getLogLevel,
+    addLogSink,
+    createJsonLinesLog,
+    setProgress,
+    endProgress
+};
@@ -0,0 +1,145 @@
+// lib/manifest.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { version: SCRAPER_VERSION } = require('../package.json');
+const { log } = require('./logger');
+
+// Bump when the manifest layout changes in a way readers need to know about
+const MANIFEST_SCHEMA_VERSION = 1;
+const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * Reads the tease-level metadata shown on a tease page: title, author, tags,
+ * rating and publish date. Anything the page does not show is left null/empty.
+ *
+ * @param {import('puppeteer').Page} page The Puppeteer page, already navigated to the tease.
+ * @returns {Promise<{title: string|null, author: {name: string|null, id: string|null}, tags: string[], rating: number|null, publishedAt: string|null}>}
+ */
+async function extractTeaseMetadata(page) {
+    return page.evaluate(() => {
+        const text = el => (el ? el.textContent.replace(/\s+/g, ' ').trim() : null) || null;
+
+        const authorLink = document.querySelector('#tease_title a[href*="author="], .tease_author a, a[href*="author="]');
+        const authorIdMatch = authorLink ? authorLink.href.match(/author=(\d+)/) : null;
+
+        // The title heading also contains "by <author>"; keep only its own text
+        let title = null;
+        const titleElement = document.querySelector('#tease_title, .tease_title, h1');
+        if (titleElement) {
+            const titleClone = titleElement.cloneNode(true);
+            titleClone.querySelectorAll('span, a, small').forEach(node => node.remove());
+            title = text(titleClone);
+        }
+        if (!title) {
+            title = document.title.replace(/\s*[-|]\s*Milovana.*$/i, '').trim() || null;
+        }
+
+        const tags = Array.from(document.querySelectorAll('a[href*="tag="], .tags a, .tease_tags a'))
+            .map(text)
+            .filter(Boolean);
+
+        let rating = null;
+        const ratingElement = document.querySelector('[itemprop="ratingValue"], .tease_rating, .rating, .star-rating');
+        if (ratingElement) {
+            const ratingText = ratingElement.getAttribute('content') || ratingElement.getAttribute('data-rating') || ratingElement.textContent;
+            const ratingMatch = ratingText && ratingText.match(/\d+(\.\d+)?/);
+            rating = ratingMatch ? parseFloat(ratingMatch[0]) : null;
+        }
+
+        const dateElement = document.querySelector('time[datetime], [itemprop="datePublished"], .tease_date, .date');
+        const publishedAt = dateElement
+            ? dateElement.getAttribute('datetime') || dateElement.getAttribute('content') || text(dateElement)
+            : null;
+
+        return {
+            title,
+            author: { name: text(authorLink), id: authorIdMatch ? authorIdMatch[1] : null },
+            tags: Array.from(new Set(tags)),
+            rating,
+            publishedAt
+        };
+    });
+}
+
+/**
+ * Builds the manifest.json content for a tease from the scraper's accumulated data.
+ *
+ * @param {object} teaseScrapeData The scraper's tease data (title, teaseId, metadata, pages, ...).
+ * @returns {object}
+ */
+function buildManifest(teaseScrapeData) {
+    const metadata = teaseScrapeData.metadata || {};
+    const author = metadata.author || {};
+    return {
+        schemaVersion: MANIFEST_SCHEMA_VERSION,
+        scraper: { name: 'miloscrap', version: SCRAPER_VERSION },
+        tease: {
+            id: teaseScrapeData.teaseId || null,
+            type: teaseScrapeData.teaseType || 'classic',
+            title: metadata.title || teaseScrapeData.title,
+            author: { name: author.name || null, id: author.id || null },
+            tags: metadata.tags || [],
+            rating: metadata.rating !== undefined ? metadata.rating : null,
+            publishedAt: metadata.publishedAt || null,
+            sourceUrl: teaseScrapeData.sourceUrl || null
+        },
+        scrapedAt: teaseScrapeData.scrapedAt || new Date().toISOString(),
+        updatedAt: teaseScrapeData.updatedAt || null, // Last time the update command refreshed the tease
+        folderName: teaseScrapeData.teaseDirectory ? path.basename(teaseScrapeData.teaseDirectory) : null,
+        pages: teaseScrapeData.pages
+    };
+}
+
+async function writeManifest(teaseDirectory, manifest) {
+    await fs.promises.writeFile(path.join(teaseDirectory, MANIFEST_FILENAME), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Loads a tease folder's manifest. Folders scraped before manifests existed only have
+ * descriptions.json; for those a manifest is synthesized with the folder name as title.
+ *
+ * @param {string} teaseDirectory
+ * @returns {Promise<object|null>} The manifest, or null if the folder holds no tease data.
+ */
+async function readManifest(teaseDirectory) {
+    try {
+        const manifest = JSON.parse(await fs.promises.readFile(path.join(teaseDirectory, MANIFEST_FILENAME), 'utf8'));
+        if (manifest && typeof manifest.schemaVersion === 'number') {
+            if (manifest.schemaVersion > MANIFEST_SCHEMA_VERSION) {
+                log.warn(`${teaseDirectory}: manifest schema ${manifest.schemaVersion} is newer than this scraper understands (${MANIFEST_SCHEMA_VERSION}).`);
+            }
+            return manifest;
+        }
+    } catch (e) {
+        // No usable manifest; fall back to descriptions.json below
+    }
+
+    try {
+        const descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+        const pages = JSON.parse(await fs.promises.readFile(descriptionFile, 'utf8'));
+        if (!Array.isArray(pages)) return null;
+        const { mtime } = await fs.promises.stat(descriptionFile);
+        const sourceUrl = pages.length > 0 ? pages[0].url : null;
+        const idMatch = sourceUrl ? String(sourceUrl).match(/[?&]id=(\d+)/) : null;
+        return buildManifest({
+            title: path.basename(teaseDirectory),
+            teaseId: idMatch ? idMatch[1] : null,
+            sourceUrl,
+            scrapedAt: mtime.toISOString(), // Best guess: when the pages were last saved
+            teaseDirectory,
+            pages
+        });
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    MANIFEST_SCHEMA_VERSION,
+    MANIFEST_FILENAME,
+    SCRAPER_VERSION,
+    extractTeaseMetadata,
+    buildManifest,
+    writeManifest,
+    readManifest
+};
@@ -0,0 +1,560 @@
+// lib/migrate.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { MANIFEST_FILENAME, buildManifest, writeManifest, readManifest } = require('./manifest');
+const { uniqueFilename, hashFile } = require('./filenames');
+const { generateViewerHtml } = require('./viewer');
+const { extractTeaseId } = require('./batch');
+const { log } = require('./logger');
+
+// Folder layouts migrate recognizes:
+// - "current": descriptions.json with a manifest.json, as this version writes them
+// - "legacy": descriptions.json holding only the pages array (earlier versions of this scraper)
+// - "wrapped": a JSON file with tease details and a pages list (other Milovana downloaders)
+// - "images": numbered image files only, each optionally with a .txt caption of the same name
+const ARCHIVE_LAYOUTS = ['current', 'legacy', 'wrapped', 'images'];
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp']);
+// Where images may be kept, pics/ first; '' is the tease folder itself
+const IMAGE_FOLDERS = ['pics', 'images', 'img', ''];
+// Files other downloaders describe a tease in, after descriptions.json
+const INFO_FILES = ['descriptions.json', 'tease.json', 'info.json', 'metadata.json'];
+// Folders inside a tease folder that are never tease folders themselves
+const TEASE_SUBFOLDERS = new Set([...IMAGE_FOLDERS, 'audio', 'eos', 'exports', 'history']);
+// Suffix added when a folder of the same name already existed (a Date.now() value)
+const TIMESTAMP_SUFFIX = /^(.+)_(\d{13})$/;
+
+// Names earlier versions and other downloaders use for the fields of a page
+const PAGE_FIELDS = {
+    pageNumber: ['pageNumber', 'page_number', 'pageNo', 'page', 'number'],
+    url: ['url', 'pageUrl', 'page_url', 'link'],
+    description: ['description', 'text', 'caption', 'content'],
+    imageUrl: ['imageUrl', 'image_url', 'imgUrl', 'imageSrc', 'src'],
+    imageFilename: ['imageFilename', 'image_filename', 'filename', 'file', 'localImage', 'image']
+};
+
+// First of the given fields that has a value
+function pickField(entry, names) {
+    for (const name of names) {
+        if (entry[name] !== undefined && entry[name] !== null && entry[name] !== '') return entry[name];
+    }
+    return null;
+}
+
+// Last number in a file name: "caption_12.jpg" and "012.png" are both page 12
+function trailingNumber(filename) {
+    const match = path.basename(filename, path.extname(filename)).match(/(\d+)\D*$/);
+    return match ? String(parseInt(match[1], 10)) : null;
+}
+
+function pageNumberFromUrl(url) {
+    try {
+        return new URL(url).searchParams.get('p');
+    } catch (e) {
+        return null;
+    }
+}
+
+function imageNameFromUrl(imageUrl) {
+    try {
+        return path.posix.basename(new URL(imageUrl).pathname);
+    } catch (e) {
+        return null;
+    }
+}
+
+async function readJsonFile(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (e) {
+        return undefined; // Missing or not JSON
+    }
+}
+
+/**
+ * Lists the image files of a tease folder: pics/ and the folders other downloaders use.
+ *
+ * @param {string} teaseDirectory
+ * @returns {Promise<string[]>} Paths relative to the tease folder, pics/ first.
+ */
+async function listImageFiles(teaseDirectory) {
+    const files = [];
+    for (const folder of IMAGE_FOLDERS) {
+        const entries = await fs.promises.readdir(path.join(teaseDirectory, folder), { withFileTypes: true }).catch(() => []);
+        entries
+            .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+            .forEach(entry => files.push(folder ? `${folder}/${entry.name}` : entry.name));
+    }
+    return files;
+}
+
+/**
+ * Turns page entries of an older or foreign layout into descriptions.json entries.
+ * A missing page number is taken from the page URL, then the image file name, then the
+ * position. A missing or wrong image filename is looked up among the files on disk by
+ * recorded name, by the name in the image URL, then by page number.
+ *
+ * @param {Array<object>} rawPages
+ * @param {string[]} imageFiles Image paths relative to the tease folder (see listImageFiles).
+ * @returns {{entries: Array<{page: object, imageFile: string|null}>, filled: {pageNumbers: number, imageFilenames: number}, missingImages: number}}
+ */
+function normalizePages(rawPages, imageFiles) {
+    const filesByName = new Map();
+    const filesByNumber = new Map();
+    imageFiles.forEach(file => {
+        const name = path.basename(file).toLowerCase();
+        if (!filesByName.has(name)) filesByName.set(name, file);
+        const number = trailingNumber(file);
+        if (number !== null && !filesByNumber.has(number)) filesByNumber.set(number, file);
+    });
+
+    const filled = { pageNumbers: 0, imageFilenames: 0 };
+    let missingImages = 0;
+    const usedNumbers = new Set();
+
+    const entries = rawPages.filter(raw => raw && typeof raw === 'object').map((raw, index) => {
+        const url = pickField(raw, PAGE_FIELDS.url);
+        let imageUrl = pickField(raw, PAGE_FIELDS.imageUrl);
+        let imageFilename = pickField(raw, PAGE_FIELDS.imageFilename);
+        if (imageFilename && /^https?:\/\//i.test(imageFilename)) {
+            imageUrl = imageUrl || imageFilename; // An "image" field holding the URL
+            imageFilename = null;
+        }
+
+        let pageNumber = pickField(raw, PAGE_FIELDS.pageNumber);
+        if (pageNumber === null || usedNumbers.has(String(pageNumber))) {
+            const candidates = [pageNumberFromUrl(url), imageFilename && trailingNumber(imageFilename), String(index + 1)];
+            pageNumber = candidates.find(candidate => candidate && !usedNumbers.has(candidate)) || `${index + 1}_${usedNumbers.size}`;
+            filled.pageNumbers++;
+        }
+        pageNumber = String(pageNumber);
+        usedNumbers.add(pageNumber);
+
+        // Pages saved without an image say so with no_image.jpg; only look for files for the others
+        const expectsImage = imageUrl !== null || (imageFilename !== null && imageFilename !== 'no_image.jpg')
+            || (imageUrl === null && imageFilename === null);
+        let imageFile = null;
+        if (imageFilename && imageFilename !== 'no_image.jpg') {
+            imageFile = filesByName.get(path.basename(imageFilename).toLowerCase()) || null;
+        }
+        if (!imageFile && imageUrl && imageNameFromUrl(imageUrl)) {
+            imageFile = filesByName.get(imageNameFromUrl(imageUrl).toLowerCase()) || null;
+        }
+        if (!imageFile && expectsImage) {
+            imageFile = filesByNumber.get(String(parseInt(pageNumber, 10))) || null;
+        }
+        if (imageFile && path.basename(imageFile) !== imageFilename) {
+            filled.imageFilenames++;
+        }
+        if (!imageFile && (imageUrl || (imageFilename && imageFilename !== 'no_image.jpg'))) {
+            missingImages++;
+        }
+
+        const page = {
+            pageNumber,
+            url,
+            description: pickField(raw, PAGE_FIELDS.description) || 'No description found.',
+            descriptionHtml: typeof raw.descriptionHtml === 'string' ? raw.descriptionHtml : null,
+            imageUrl,
+            imageFilename: imageFile ? path.basename(imageFile) : 'no_image.jpg',
+            imageNewlyDownloaded: false
+        };
+        if (raw.failure) page.failure = raw.failure;
+        if (Array.isArray(raw.links)) page.links = raw.links;
+        return { page, imageFile };
+    });
+
+    return { entries, filled, missingImages };
+}
+
+// Tease details from another downloader's JSON, in manifest form
+function readForeignTeaseInfo(data) {
+    const author = data.author;
+    return {
+        id: pickField(data, ['teaseId', 'tease_id', 'id']),
+        type: 'classic',
+        title: pickField(data, ['title', 'name']),
+        author: {
+            name: (typeof author === 'string' ? author : author && author.name) || data.authorName || null,
+            id: (author && typeof author === 'object' && author.id) || data.authorId || null
+        },
+        tags: Array.isArray(data.tags) ? data.tags : [],
+        rating: typeof data.rating === 'number' ? data.rating : null,
+        publishedAt: pickField(data, ['publishedAt', 'published', 'date']),
+        sourceUrl: pickField(data, ['sourceUrl', 'source_url', 'url'])
+    };
+}
+
+/**
+ * Works out the layout of a tease folder and reads what it holds.
+ *
+ * @param {string} teaseDirectory
+ * @returns {Promise<object|null>} The folder's layout, tease details, raw pages and image files,
+ *     or null when it holds no tease.
+ */
+async function readTeaseFolder(teaseDirectory) {
+    const name = path.basename(teaseDirectory);
+    const timestampMatch = name.match(TIMESTAMP_SUFFIX);
+    const imageFiles = await listImageFiles(teaseDirectory);
+    const folder = {
+        directory: teaseDirectory,
+        name,
+        baseTitle: timestampMatch ? timestampMatch[1] : name,
+        createdAt: timestampMatch ? parseInt(timestampMatch[2], 10) : 0, // The unsuffixed folder came first
+        layout: null,
+        info: null,
+        scrapedAt: null,
+        updatedAt: null,
+        rawPages: [],
+        imageFiles
+    };
+
+    for (const infoFile of INFO_FILES) {
+        const filePath = path.join(teaseDirectory, infoFile);
+        const data = await readJsonFile(filePath);
+        if (!data || typeof data !== 'object') continue;
+        const { mtime } = await fs.promises.stat(filePath);
+        folder.scrapedAt = mtime.toISOString(); // Best guess: when the pages were last saved
+
+        if (Array.isArray(data) && infoFile === 'descriptions.json') {
+            // readManifest makes one up for folders without manifest.json, so look at the file itself
+            const savedManifest = await readJsonFile(path.join(teaseDirectory, MANIFEST_FILENAME));
+            const manifest = savedManifest && typeof savedManifest.schemaVersion === 'number' ? await readManifest(teaseDirectory) : null;
+            folder.layout = manifest ? 'current' : 'legacy';
+            if (manifest) {
+                folder.info = manifest.tease;
+                folder.scrapedAt = manifest.scrapedAt;
+                folder.updatedAt = manifest.updatedAt || null;
+            }
+            folder.rawPages = data;
+            return folder;
+        }
+        const pages = Array.isArray(data) ? data : Array.isArray(data.pages) ? data.pages : null;
+        if (pages) {
+            folder.layout = 'wrapped';
+            folder.info = Array.isArray(data) ? null : readForeignTeaseInfo(data);
+            folder.rawPages = pages;
+            return folder;
+        }
+    }
+
+    if (imageFiles.length === 0) return null;
+    folder.layout = 'images';
+    for (const file of imageFiles) {
+        const captionFile = path.join(teaseDirectory, file.slice(0, file.length - path.extname(file).length) + '.txt');
+        const caption = await fs.promises.readFile(captionFile, 'utf8').catch(() => null);
+        folder.rawPages.push({ pageNumber: trailingNumber(file), imageFilename: path.basename(file), description: caption && caption.trim() });
+    }
+    // Numbered files in page order; the rest after them
+    const order = page => (page.pageNumber === null ? Infinity : parseInt(page.pageNumber, 10));
+    folder.rawPages.sort((a, b) => (order(a) === order(b) ? 0 : order(a) < order(b) ? -1 : 1));
+    return folder;
+}
+
+// Tease ID of a folder: from its details, its source URL or the URL of any of its pages
+function folderTeaseId(folder) {
+    const fromInfo = folder.info && (folder.info.id || extractTeaseId(folder.info.sourceUrl || ''));
+    if (fromInfo) return String(fromInfo);
+    for (const raw of folder.rawPages) {
+        const teaseId = raw && extractTeaseId(pickField(raw, PAGE_FIELDS.url) || '');
+        if (teaseId) return teaseId;
+    }
+    return null;
+}
+
+/**
+ * Groups folders holding the same tease: "<title>" with its "<title>_<timestamp>" copies,
+ * and folders saved under different titles for the same tease ID. Folders of two different
+ * known tease IDs are never grouped, not even through a folder without an ID that shares
+ * their title; such a folder stays on its own. EOS teases are never merged; their folders
+ * hold a script and media rather than a page list.
+ *
+ * @param {Array<object>} folders Results of readTeaseFolder.
+ * @returns {Array<Array<object>>} Groups in folder order, each oldest folder first.
+ */
+function groupDuplicateFolders(folders) {
+    const groups = []; // {folders, teaseIds, titles}
+    for (const folder of folders) {
+        if (folder.info && folder.info.type === 'eos') {
+            groups.push({ folders: [folder], teaseIds: new Set(), titles: new Set() });
+            continue;
+        }
+        const teaseId = folderTeaseId(folder);
+        const matching = groups.filter(group => (teaseId && group.teaseIds.has(teaseId)) || group.titles.has(folder.baseTitle));
+        const knownIds = new Set(matching.flatMap(group => Array.from(group.teaseIds)));
+        if (teaseId) knownIds.add(teaseId);
+        // With conflicting IDs, only the same tease, or title matches without an ID, are joined
+        const joined = knownIds.size <= 1
+            ? matching
+            : matching.filter(group => (teaseId && group.teaseIds.has(teaseId)) || (teaseId && group.teaseIds.size === 0));
+
+        // A folder without an ID whose title fits two teases joins neither, and links none
+        const ambiguous = !teaseId && knownIds.size > 1;
+        const group = joined[0] || { folders: [], teaseIds: new Set(), titles: new Set() };
+        if (!joined[0]) groups.push(group);
+        for (const other of joined.slice(1)) {
+            group.folders.push(...other.folders);
+            other.teaseIds.forEach(id => group.teaseIds.add(id));
+            other.titles.forEach(title => group.titles.add(title));
+            groups.splice(groups.indexOf(other), 1);
+        }
+        group.folders.push(folder);
+        if (teaseId) group.teaseIds.add(teaseId);
+        if (!ambiguous) group.titles.add(folder.baseTitle);
+    }
+    return groups.map(group => group.folders.sort((a, b) => a.createdAt - b.createdAt || a.name.localeCompare(b.name)));
+}
+
+/**
+ * Merges the pages of a group of folders. Pages are matched by page number; a page
+ * missing from an older folder, or saved there without its image, is taken from a newer one.
+ *
+ * @param {Array<object>} group
+ * @returns {{entries: Array<{page: object, imagePath: string|null}>, filled: object, missingImages: number}}
+ */
+function mergeGroupPages(group) {
+    const merged = new Map();
+    const filled = { pageNumbers: 0, imageFilenames: 0 };
+    for (const folder of group) {
+        const normalized = normalizePages(folder.rawPages, folder.imageFiles);
+        filled.pageNumbers += normalized.filled.pageNumbers;
+        filled.imageFilenames += normalized.filled.imageFilenames;
+        for (const { page, imageFile } of normalized.entries) {
+            const entry = { page, imagePath: imageFile ? path.join(folder.directory, imageFile) : null };
+            const existing = merged.get(page.pageNumber);
+            if (!existing || (!existing.imagePath && entry.imagePath) || (existing.page.failure && !page.failure)) {
+                merged.set(page.pageNumber, entry);
+            }
+        }
+    }
+    const order = pageNumber => parseInt(pageNumber, 10) || 0;
+    const entries = Array.from(merged.values()).sort((a, b) => order(a.page.pageNumber) - order(b.page.pageNumber));
+    const missingImages = entries.filter(entry => !entry.imagePath && entry.page.imageUrl).length;
+    return { entries, filled, missingImages };
+}
+
+/**
+ * Plans the migration of an archive folder (a folder of tease folders) or of a single
+ * tease folder: the layout of every folder, which folders are merged and where each
+ * tease ends up. Nothing is written.
+ *
+ * @param {string} source
+ * @param {object} [options]
+ * @param {string} [options.outputDir] Where migrated teases go (default "<archive>-migrated" next to the archive).
+ * @param {boolean} [options.inPlace] Convert the folders where they are instead.
+ * @returns {Promise<{archiveDir: string, outputDir: string, inPlace: boolean, teases: Array<object>, skipped: string[]}>}
+ */
+async function planMigration(source, options = {}) {
+    source = path.resolve(source);
+    const entries = await fs.promises.readdir(source, { withFileTypes: true }).catch(() => null);
+    if (!entries) {
+        throw new Error(`${source} is not a folder.`);
+    }
+
+    const folders = [];
+    const skipped = [];
+    // A folder with tease JSON is a single tease; otherwise look for tease folders inside it
+    const sourceFolder = await readTeaseFolder(source);
+    if (!sourceFolder || sourceFolder.layout === 'images') {
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.') || TEASE_SUBFOLDERS.has(entry.name)) continue;
+            const folder = await readTeaseFolder(path.join(source, entry.name));
+            if (folder) folders.push(folder); else skipped.push(entry.name);
+        }
+    }
+    let archiveDir = source;
+    if (folders.length === 0) {
+        if (!sourceFolder) {
+            throw new Error(`${source} holds no tease folders that can be migrated.`);
+        }
+        folders.push(sourceFolder);
+        skipped.length = 0;
+        archiveDir = path.dirname(source);
+    }
+
+    const inPlace = Boolean(options.inPlace);
+    const outputDir = inPlace ? archiveDir : path.resolve(options.outputDir || `${archiveDir}-migrated`);
+    if (!inPlace && outputDir === archiveDir) {
+        throw new Error('The output folder is the archive itself; use --in-place to convert the folders where they are.');
+    }
+
+    const takenNames = new Set();
+    const teases = groupDuplicateFolders(folders).map(group => {
+        const primary = group[0];
+        const newest = [...group].reverse().find(folder => folder.info) || primary;
+        const untouched = group.length === 1 && primary.layout === 'current';
+        let folderName = primary.name;
+        if (!inPlace) {
+            folderName = uniqueFilename(primary.baseTitle, takenNames);
+            takenNames.add(folderName);
+        }
+        const merged = mergeGroupPages(group);
+        return {
+            title: (newest.info && newest.info.title) || primary.baseTitle,
+            teaseId: group.map(folderTeaseId).find(Boolean) || null,
+            layouts: Array.from(new Set(group.map(folder => folder.layout))),
+            folders: group,
+            // A folder already in the current layout is only copied, or left alone in place
+            action: untouched ? (inPlace ? 'none' : 'copy') : 'convert',
+            destination: inPlace ? primary.directory : path.join(outputDir, folderName),
+            info: newest.info,
+            scrapedAt: group.map(folder => folder.scrapedAt).filter(Boolean).sort()[0] || null,
+            updatedAt: newest.updatedAt,
+            ...merged
+        };
+    });
+
+    return { archiveDir, outputDir, inPlace, teases, skipped };
+}
+
+// Copies (or, within the same folder, moves) an image into pics/, reusing a file with the
+// same name only when its content is identical
+async function placeImage(sourcePath, picsDirectory, placed, move) {
+    if (placed.byPath.has(sourcePath)) return placed.byPath.get(sourcePath);
+    let filename = path.basename(sourcePath);
+    const target = path.join(picsDirectory, filename);
+    if (path.dirname(sourcePath) === picsDirectory) {
+        placed.names.add(filename); // Already where it belongs
+    } else {
+        if (placed.names.has(filename) && await hashFile(target).catch(() => null) !== await hashFile(sourcePath)) {
+            filename = uniqueFilename(filename, placed.names);
+        }
+        if (!placed.names.has(filename)) {
+            if (move) {
+                await fs.promises.rename(sourcePath, path.join(picsDirectory, filename));
+            } else {
+                await fs.promises.copyFile(sourcePath, path.join(picsDirectory, filename));
+            }
+            placed.names.add(filename);
+        }
+    }
+    placed.byPath.set(sourcePath, filename);
+    return filename;
+}
+
+// Writes one planned tease: images into pics/, then descriptions.json, manifest.json and viewer.html
+async function writeMigratedTease(tease, inPlace, stamp, options) {
+    const destination = tease.destination;
+    const picsDirectory = path.join(destination, 'pics');
+    if (tease.action === 'copy') {
+        await fs.promises.cp(tease.folders[0].directory, destination, { recursive: true, errorOnExist: true, force: false });
+        return;
+    }
+
+    await fs.promises.mkdir(picsDirectory, { recursive: true });
+    const historyDirectory = path.join(destination, 'history', stamp);
+    if (inPlace) {
+        // What the folder looked like before, as the update command keeps it
+        await fs.promises.mkdir(historyDirectory, { recursive: true });
+        for (const file of [...INFO_FILES, MANIFEST_FILENAME, 'viewer.html']) {
+            if (fs.existsSync(path.join(destination, file))) {
+                await fs.promises.copyFile(path.join(destination, file), path.join(historyDirectory, file));
+            }
+        }
+    }
+
+    const placed = { byPath: new Map(), names: new Set(await fs.promises.readdir(picsDirectory).catch(() => [])) };
+    for (const entry of tease.entries) {
+        if (!entry.imagePath) continue;
+        // In place, the folder's own loose images move into pics/; other folders are copied from
+        const move = inPlace && entry.imagePath.startsWith(destination + path.sep);
+        entry.page.imageFilename = await placeImage(entry.imagePath, picsDirectory, placed, move);
+    }
+    const pages = tease.entries.map(entry => entry.page);
+
+    const info = tease.info || {};
+    const manifest = buildManifest({
+        title: tease.title,
+        teaseId: tease.teaseId,
+        teaseType: 'classic',
+        sourceUrl: info.sourceUrl || (pages.find(page => page.url) || {}).url || null,
+        scrapedAt: tease.scrapedAt,
+        updatedAt: tease.updatedAt,
+        metadata: tease.info ? { title: info.title, author: info.author, tags: info.tags, rating: info.rating, publishedAt: info.publishedAt } : null,
+        teaseDirectory: destination,
+        pages
+    });
+    await fs.promises.writeFile(path.join(destination, 'descriptions.json'), JSON.stringify(pages, null, 2));
+    await writeManifest(destination, manifest);
+    await generateViewerHtml(path.join(destination, 'viewer.html'), manifest.tease.title, pages, manifest.tease, options);
+
+    // Merged copies are kept with the history of the folder they were merged into
+    if (inPlace) {
+        for (const folder of tease.folders.slice(1)) {
+            await fs.promises.mkdir(path.join(historyDirectory, 'merged'), { recursive: true });
+            await fs.promises.rename(folder.directory, path.join(historyDirectory, 'merged', folder.name));
+        }
+    }
+}
+
+/**
+ * Converts tease folders made by earlier versions of this scraper, or by other Milovana
+ * downloaders, to the current layout: descriptions.json and manifest.json with every field
+ * filled in from the files on disk, images in pics/ and a fresh viewer.html. Copies of the
+ * same tease ("<title>" and "<title>_<timestamp>") are merged into one folder.
+ *
+ * By default the originals are left untouched and the migrated archive is written to a new
+ * folder. With `inPlace`, folders are converted where they are; their old JSON files and
+ * viewer go to history/<timestamp>/, and merged copies are moved into history/<timestamp>/merged/.
+ *
+ * @param {string} source An archive folder or a single tease folder.
+ * @param {object} [options] See planMigration, plus:
+ * @param {boolean} [options.dryRun] Only plan the migration.
+ * @returns {Promise<object>} The plan (see planMigration).
+ */
+async function migrateArchive(source, options = {}) {
+    const plan = await planMigration(source, options);
+    if (options.dryRun) return plan;
+
+    if (!plan.inPlace) {
+        const existing = await fs.promises.readdir(plan.outputDir).catch(() => []);
+        if (existing.length > 0) {
+            throw new Error(`${plan.outputDir} is not empty; choose another folder with --out.`);
+        }
+        await fs.promises.mkdir(plan.outputDir, { recursive: true });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    for (const tease of plan.teases) {
+        if (tease.action === 'none') continue;
+        log.info(`Migrating ${tease.folders.map(folder => folder.name).join(' + ')} (${tease.layouts.join(', ')})...`);
+        await writeMigratedTease(tease, plan.inPlace, stamp, options);
+    }
+    return plan;
+}
+
+function printMigrationReport(plan, { dryRun = false } = {}) {
+    log.info(`\n=== Migrate: ${plan.archiveDir} ===`);
+    for (const tease of plan.teases) {
+        const folders = tease.folders.map(folder => folder.name).join(' + ');
+        if (tease.action === 'none') {
+            log.info(`  ${folders}: already in the current layout`);
+            continue;
+        }
+        const where = plan.inPlace ? 'in place' : `-> ${path.basename(tease.destination)}`;
+        const details = [`${tease.entries.length} pages`, tease.layouts.join('/')];
+        if (tease.folders.length > 1) details.push(`${tease.folders.length} folders merged`);
+        if (tease.filled.pageNumbers > 0) details.push(`${tease.filled.pageNumbers} page number(s) filled in`);
+        if (tease.filled.imageFilenames > 0) details.push(`${tease.filled.imageFilenames} image filename(s) filled in`);
+        if (tease.missingImages > 0) details.push(`${tease.missingImages} image(s) not on disk`);
+        log.info(`  ${folders} ${where} (${details.join(', ')})`);
+    }
+    if (plan.skipped.length > 0) {
+        log.info(`  Not tease folders, left alone: ${plan.skipped.join(', ')}`);
+    }
+    const converted = plan.teases.filter(tease => tease.action !== 'none').length;
+    log.info(dryRun
+        ? `${converted} tease(s) would be migrated${plan.inPlace ? ' in place' : ` to ${plan.outputDir}`}; nothing was written.`
+        : `${converted} tease(s) migrated${plan.inPlace ? ' in place' : ` to ${plan.outputDir}`}.`);
+}
+
+module.exports = {
+    ARCHIVE_LAYOUTS,
+    readTeaseFolder,
+    normalizePages,
+    groupDuplicateFolders,
+    planMigration,
+    migrateArchive,
+    printMigrationReport
+};
@@ -0,0 +1,54 @@
+// lib/options.js
+const path = require('path');  // For path manipulation
+const { DEFAULT_FILENAME_TEMPLATE } = require('./filenames');
+const { DEFAULT_VIEWER_THEME } = require('./viewer');
+
+const DEFAULT_SCRAPER_OPTIONS = {
+    outputDir: path.resolve(__dirname, '..', 'downloads'), // Root folder tease folders are created in
+    headless: true,
+    maxHops: 500, // Safety limit to prevent infinite loops
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/555.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/555.36',
+    launchArgs: ['--no-sandbox', '--disable-setuid-sandbox'],
+    navigationTimeout: 90000,
+    downloadConcurrency: undefined, // Falls back to the download queue's default
+    filenameTemplate: DEFAULT_FILENAME_TEMPLATE, // How page images are named (see lib/filenames.js)
+    username: null,    // Milovana account used to log in, together with `password`
+    password: null,
+    cookieFile: null,  // cookies.txt or JSON cookie export to import before scraping
+    profileDir: null,  // Browser profile folder; keeps logins and cookies between runs
+    sessionFile: null, // Where session cookies are saved after logging in (default <outputDir>/.session.json)
+    loginUrl: null,    // Overrides the login page (default <site>/forum/ucp.php?mode=login)
+    requestsPerMinute: 60, // Shared budget for page loads and downloads; 0 disables the limit
+    jitter: 500,       // Up to this many random milliseconds added before each request
+    proxy: null,       // http://, https://, socks4:// or socks5:// proxy used by the browser and the downloader
+    scheduler: null,   // Request scheduler to share between runs (created per run when not given)
+    sharedStore: false, // Keep each image once in a content-addressed store and link tease folders to it
+    imageStoreDir: null, // Location of that store (default <outputDir>/.image-store)
+    viewerTheme: DEFAULT_VIEWER_THEME, // Look of viewer.html (see lib/templates/viewer/themes)
+    viewerTemplateDir: null, // Folder with the user's own viewer template files and themes
+    logFile: false,    // Also write every log record, debug included, to scrape-log.jsonl in the tease folder
+    delays: {
+        afterNavigation: 0,    // Fixed wait after every page load, on top of the scheduler's pacing
+        challenge: 5000,       // Extra wait when the interstitial is still showing
+        betweenPages: 0        // Pause before following the "Continue" link
+    }
+};
+
+/**
+ * Fills in defaults for every scraper option that was not given. `delays` is merged
+ * key by key, so callers can override a single delay. Other keys are kept as they are.
+ *
+ * @param {object} [options]
+ * @returns {object}
+ */
+function resolveScraperOptions(options = {}) {
+    const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    return {
+        ...DEFAULT_SCRAPER_OPTIONS,
+        ...given,
+        outputDir: path.resolve(given.outputDir || DEFAULT_SCRAPER_OPTIONS.outputDir),
+        delays: { ...DEFAULT_SCRAPER_OPTIONS.delays, ...(given.delays || {}) }
+    };
+}
+
+module.exports = { DEFAULT_SCRAPER_OPTIONS, resolveScraperOptions };
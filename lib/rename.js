@@ -0,0 +1,95 @@
+// lib/rename.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { validateFilenameTemplate, templateUsesHash, renderFilenameTemplate, uniqueFilename, hashFile } = require('./filenames');
+const { readManifest, writeManifest } = require('./manifest');
+const { resolveScraperOptions } = require('./options');
+const { generateViewerHtml } = require('./viewer');
+
+/**
+ * Renames the images of an archived tease after a new filename template and updates
+ * descriptions.json, manifest.json and viewer.html to match. Each file keeps its extension;
+ * an image shared by several pages is named after the first of them. EOS teases are refused:
+ * their script and player refer to the media files by name.
+ *
+ * @param {string} teaseDirectory
+ * @param {object} [options] Scraper options (filenameTemplate), plus:
+ * @param {boolean} [options.dryRun] Only work out the new names.
+ * @returns {Promise<{renamed: Array<{from: string, to: string}>, unchanged: number, missing: string[]}>}
+ */
+async function renameTeaseImages(teaseDirectory, options = {}) {
+    const settings = resolveScraperOptions(options);
+    validateFilenameTemplate(settings.filenameTemplate);
+    teaseDirectory = path.resolve(teaseDirectory);
+    const descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+    if (!fs.existsSync(descriptionFile)) {
+        throw new Error(`${teaseDirectory} does not contain descriptions.json.`);
+    }
+    const manifest = await readManifest(teaseDirectory);
+    if ((manifest && manifest.tease.type === 'eos') || fs.existsSync(path.join(teaseDirectory, 'eos', 'script.json'))) {
+        throw new Error('The rename command only supports classic teases.');
+    }
+    const pages = JSON.parse(await fs.promises.readFile(descriptionFile, 'utf8'));
+    const picsDirectory = path.join(teaseDirectory, 'pics');
+
+    // Current filename -> pages showing it, in page order
+    const pagesByFilename = new Map();
+    const missing = [];
+    [...pages].sort((a, b) => (parseInt(a.pageNumber, 10) || 0) - (parseInt(b.pageNumber, 10) || 0)).forEach(page => {
+        if (!page.imageFilename || page.imageFilename === 'no_image.jpg') return;
+        if (!fs.existsSync(path.join(picsDirectory, page.imageFilename))) {
+            if (!missing.includes(page.imageFilename)) missing.push(page.imageFilename);
+            return;
+        }
+        if (!pagesByFilename.has(page.imageFilename)) pagesByFilename.set(page.imageFilename, []);
+        pagesByFilename.get(page.imageFilename).push(page);
+    });
+
+    // Files in pics/ that no page uses keep their names, so nothing is renamed onto them
+    const takenFilenames = new Set((await fs.promises.readdir(picsDirectory).catch(() => []))
+        .filter(file => !pagesByFilename.has(file)));
+    const plan = [];
+    for (const [filename, sharingPages] of pagesByFilename) {
+        const firstPage = sharingPages[0];
+        const fields = {
+            pageNumber: firstPage.pageNumber,
+            teaseId: manifest ? manifest.tease.id : null,
+            title: manifest ? manifest.tease.title : path.basename(teaseDirectory),
+            caption: firstPage.description,
+            imageUrl: firstPage.imageUrl,
+            hash: templateUsesHash(settings.filenameTemplate) ? await hashFile(path.join(picsDirectory, filename)) : null
+        };
+        const newFilename = uniqueFilename(renderFilenameTemplate(settings.filenameTemplate, fields) + path.extname(filename).toLowerCase(), takenFilenames);
+        takenFilenames.add(newFilename);
+        plan.push({ from: filename, to: newFilename, pages: sharingPages });
+    }
+
+    const renamed = plan.filter(entry => entry.from !== entry.to);
+    const result = { renamed: renamed.map(({ from, to }) => ({ from, to })), unchanged: plan.length - renamed.length, missing };
+    if (options.dryRun || renamed.length === 0) {
+        return result;
+    }
+
+    // Two steps, so a file can take a name another file is only giving up in this run
+    const stamp = `${process.pid}-${Date.now()}`;
+    for (const entry of renamed) {
+        await fs.promises.rename(path.join(picsDirectory, entry.from), path.join(picsDirectory, `${entry.to}.${stamp}.renaming`));
+    }
+    for (const entry of renamed) {
+        await fs.promises.rename(path.join(picsDirectory, `${entry.to}.${stamp}.renaming`), path.join(picsDirectory, entry.to));
+        entry.pages.forEach(page => {
+            page.imageFilename = entry.to;
+        });
+    }
+
+    await fs.promises.writeFile(descriptionFile, JSON.stringify(pages, null, 2));
+    if (manifest) {
+        manifest.pages = pages;
+        await writeManifest(teaseDirectory, manifest);
+    }
+    const title = manifest ? manifest.tease.title : path.basename(teaseDirectory);
+    await generateViewerHtml(path.join(teaseDirectory, 'viewer.html'), title, pages, manifest ? manifest.tease : null, settings);
+    return result;
+}
+
+module.exports = { renameTeaseImages };
@@ -0,0 +1,186 @@
+// lib/sanitize.js
+
+// Tags kept in saved descriptions; anything else is dropped but its text is kept
+const ALLOWED_TAGS = new Set([
+    'a', 'b', 'big', 'blockquote', 'br', 'center', 'del', 'div', 'em', 'font', 'hr', 'i', 'ins',
+    'li', 'mark', 'ol', 'p', 's', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'u', 'ul'
+]);
+const VOID_TAGS = new Set(['br', 'hr']);
+// Tags whose content is dropped along with them
+const DROPPED_WITH_CONTENT = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'applet', 'noscript', 'template', 'svg', 'math',
+    'textarea', 'select', 'title', 'head', 'frame', 'frameset', 'noframes', 'xmp', 'plaintext'
+]);
+// Attributes allowed per tag, on top of "style" and "title" which every kept tag may have
+const ALLOWED_ATTRIBUTES = {
+    a: ['href'],
+    font: ['color', 'size'],
+    p: ['align'],
+    div: ['align']
+};
+const ALLOWED_STYLES = new Set([
+    'color', 'background-color', 'font-weight', 'font-style', 'font-size', 'text-decoration', 'text-align'
+]);
+// One word of a style value: a colour, keyword, number with unit or rgb()/hsl() colour
+const SAFE_STYLE_TOKEN = /^(#[0-9a-f]{3,8}|[a-z-]+|-?\d*\.?\d+(px|em|rem|pt|%)?|(rgb|rgba|hsl|hsla)\([\d\s.,%]+\))$/i;
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Text is copied as it is, except that "<", ">" and bare "&" are escaped
+function escapeText(text) {
+    return text
+        .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Decodes the entities that matter for checking attribute values ("javascript&#58;" and the like)
+function decodeAttribute(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16) || 0xfffd))
+        .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10) || 0xfffd))
+        .replace(/&colon;/gi, ':')
+        .replace(/&tab;/gi, '\t')
+        .replace(/&newline;/gi, '\n')
+        .replace(/&quot;/gi, '"')
+        .replace(/&apos;/gi, "'")
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&amp;/gi, '&');
+}
+
+function parseAttributes(source) {
+    const attributes = [];
+    const pattern = /([^\s=/"'>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+        attributes.push({ name: match[1].toLowerCase(), value: decodeAttribute(value) });
+    }
+    return attributes;
+}
+
+// Links must stay on the web; relative ones are resolved against the tease page
+function sanitizeUrl(value, baseUrl) {
+    const cleaned = value.replace(/[\u0000-\u0020\u007f]/g, '');
+    if (!cleaned) return null;
+    let absolute;
+    try {
+        absolute = baseUrl ? new URL(cleaned, baseUrl) : new URL(cleaned);
+    } catch (e) {
+        return null;
+    }
+    return ['http:', 'https:', 'mailto:'].includes(absolute.protocol) ? absolute.href : null;
+}
+
+function sanitizeStyle(value) {
+    const declarations = [];
+    for (const declaration of value.split(';')) {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) continue;
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        const propertyValue = declaration.slice(colon + 1).trim().replace(/\s*!important$/i, '');
+        if (!ALLOWED_STYLES.has(property) || !propertyValue) continue;
+        // Splitting on spaces outside rgb(...) keeps "rgb(1, 2, 3)" as one word
+        const words = propertyValue.match(/[a-z]+\([^)]*\)|[^\s]+/gi) || [];
+        if (words.every(word => SAFE_STYLE_TOKEN.test(word) && !/^(expression|url|var)$/i.test(word))) {
+            declarations.push(`${property}: ${words.join(' ')}`);
+        }
+    }
+    return declarations.join('; ');
+}
+
+function sanitizeAttributes(tagName, source, baseUrl) {
+    const allowed = ALLOWED_ATTRIBUTES[tagName] || [];
+    const kept = [];
+    for (const { name, value } of parseAttributes(source)) {
+        let cleanValue = null;
+        if (name === 'style') {
+            cleanValue = sanitizeStyle(value) || null;
+        } else if (name === 'title') {
+            cleanValue = value;
+        } else if (!allowed.includes(name)) {
+            continue;
+        } else if (name === 'href') {
+            cleanValue = sanitizeUrl(value, baseUrl);
+        } else if (name === 'color') {
+            cleanValue = /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(value.trim()) ? value.trim() : null;
+        } else if (name === 'size') {
+            cleanValue = /^[+-]?[1-7]$/.test(value.trim()) ? value.trim() : null;
+        } else if (name === 'align') {
+            cleanValue = /^(left|right|center|justify)$/i.test(value.trim()) ? value.trim().toLowerCase() : null;
+        }
+        if (cleanValue !== null && !kept.some(attribute => attribute.name === name)) {
+            kept.push({ name, value: cleanValue });
+        }
+    }
+    if (tagName === 'a' && kept.some(attribute => attribute.name === 'href')) {
+        kept.push({ name: 'target', value: '_blank' }, { name: 'rel', value: 'noopener noreferrer' });
+    }
+    return kept.map(attribute => ` ${attribute.name}="${escapeHtml(attribute.value)}"`).join('');
+}
+
+/**
+ * Cleans the HTML of a page description so it can be shown as-is in the viewer.
+ * Formatting tags (emphasis, colours, line breaks, lists, links) are kept from an
+ * allowlist; scripts, event handlers, images and other remote resources are removed,
+ * and every tag left open is closed.
+ *
+ * @param {string} html innerHTML of the description element.
+ * @param {string} [baseUrl] URL of the page the HTML came from, to resolve relative links. Without it they are dropped.
+ * @returns {string} The sanitized HTML; an empty string when nothing is left.
+ */
+function sanitizeDescriptionHtml(html, baseUrl = null) {
+    const source = String(html || '');
+    const output = [];
+    const openTags = [];
+    const tokenPattern = /<!--[\s\S]*?(-->|$)|<!\[CDATA\[[\s\S]*?(\]\]>|$)|<[!?][^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    let position = 0;
+    let droppingUntil = null; // Closing tag name that ends a dropped element
+    let match;
+
+    while ((match = tokenPattern.exec(source)) !== null) {
+        if (!droppingUntil && match.index > position) {
+            output.push(escapeText(source.slice(position, match.index)));
+        }
+        position = tokenPattern.lastIndex;
+
+        const [, , , isClosing, rawName, attributeSource] = match;
+        if (!rawName) continue; // Comment, CDATA, doctype or processing instruction
+        const tagName = rawName.toLowerCase();
+
+        if (droppingUntil) {
+            if (isClosing && tagName === droppingUntil) droppingUntil = null;
+            continue;
+        }
+        if (DROPPED_WITH_CONTENT.has(tagName)) {
+            if (!isClosing && !/\/\s*$/.test(attributeSource)) droppingUntil = tagName;
+            continue;
+        }
+        if (!ALLOWED_TAGS.has(tagName)) continue;
+
+        if (VOID_TAGS.has(tagName)) {
+            if (!isClosing) output.push(`<${tagName}${sanitizeAttributes(tagName, attributeSource, baseUrl)}>`);
+        } else if (isClosing) {
+            // Close everything opened inside it too; a closing tag that was never opened is dropped
+            const openIndex = openTags.lastIndexOf(tagName);
+            if (openIndex !== -1) {
+                while (openTags.length > openIndex) output.push(`</${openTags.pop()}>`);
+            }
+        } else {
+            openTags.push(tagName);
+            output.push(`<${tagName}${sanitizeAttributes(tagName, attributeSource, baseUrl)}>`);
+        }
+    }
+
+    if (!droppingUntil && position < source.length) {
+        output.push(escapeText(source.slice(position)));
+    }
+    while (openTags.length > 0) output.push(`</${openTags.pop()}>`);
+
+    return output.join('').trim();
+}
+
+module.exports = { sanitizeDescriptionHtml };
@@ -0,0 +1,100 @@
+// lib/scheduler.js
+const { log } = require('./logger');
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+    requestsPerMinute: 60, // Budget shared by page loads and downloads; 0 disables the limit
+    jitter: 500,           // Up to this many random milliseconds added to every wait
+    maxSlowdown: 16,       // Largest factor the request interval can be stretched by
+    recoveryRequests: 10   // Successful requests needed to halve the slowdown again
+};
+
+/**
+ * Creates the request scheduler shared by page navigation and downloads. Every request
+ * first waits for a slot: slots are spread evenly over the requests-per-minute budget,
+ * with random jitter. When the site throttles us (429/503 or a Cloudflare challenge)
+ * the interval is doubled, up to `maxSlowdown` times, and a Retry-After pause is honoured;
+ * a run of successful requests brings the pace back down step by step.
+ *
+ * @param {object} [options] Overrides for DEFAULT_SCHEDULER_OPTIONS.
+ * @returns {{schedule: function, reportThrottle: function, reportSuccess: function, stats: function}}
+ */
+function createRequestScheduler(options = {}) {
+    const settings = { ...DEFAULT_SCHEDULER_OPTIONS };
+    Object.keys(DEFAULT_SCHEDULER_OPTIONS).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+    });
+    const baseInterval = settings.requestsPerMinute > 0 ? 60000 / settings.requestsPerMinute : 0;
+
+    let nextSlot = 0;       // Earliest time the next request may start
+    let pausedUntil = 0;    // Set by Retry-After
+    let slowdown = 1;
+    let successStreak = 0;
+    const stats = { requests: 0, throttled: 0, waitedMs: 0 };
+
+    return {
+        /**
+         * Resolves when the caller may send its request.
+         *
+         * @param {string} [label] What the request is for; only used in log messages.
+         * @returns {Promise<void>}
+         */
+        async schedule(label = 'request') {
+            const now = Date.now();
+            const paced = baseInterval > 0 || slowdown > 1;
+            const jitter = paced && settings.jitter > 0 ? Math.random() * settings.jitter : 0;
+            const slot = Math.max(now, nextSlot, pausedUntil) + jitter;
+            nextSlot = slot + baseInterval * slowdown;
+            stats.requests++;
+
+            const wait = slot - now;
+            if (wait > 0) {
+                stats.waitedMs += wait;
+                if (wait >= 5000) {
+                    log.info(`Throttling: waiting ${Math.round(wait / 1000)}s before ${label}...`);
+                }
+                await new Promise(r => setTimeout(r, wait));
+            }
+        },
+
+        /**
+         * Slows every later request down after the site pushed back.
+         *
+         * @param {string} reason Shown in the log.
+         * @param {number|null} [retryAfter] Milliseconds the server asked us to wait.
+         */
+        reportThrottle(reason, retryAfter = null) {
+            stats.throttled++;
+            successStreak = 0;
+            slowdown = Math.min(slowdown * 2, settings.maxSlowdown);
+            // Without a rate limit there is no interval to stretch, so pause instead
+            const pause = retryAfter !== null ? retryAfter : Math.max(baseInterval, 1000) * slowdown;
+            pausedUntil = Math.max(pausedUntil, Date.now() + pause);
+            log.warn(`${reason}: slowing down (requests now ${slowdown}x further apart, pausing ${Math.round(pause / 1000)}s).`);
+        },
+
+        // Counts a request the site answered normally
+        reportSuccess() {
+            if (slowdown === 1) return;
+            successStreak++;
+            if (successStreak >= settings.recoveryRequests) {
+                successStreak = 0;
+                slowdown = Math.max(1, slowdown / 2);
+                log.info(`No throttling for a while: requests now ${slowdown}x the normal interval apart.`);
+            }
+        },
+
+        stats() {
+            return { ...stats, slowdown };
+        }
+    };
+}
+
+// Gives resolved scraper options a scheduler of their own unless one is being shared
+function ensureScheduler(settings) {
+    if (!settings.scheduler) {
+        settings.scheduler = createRequestScheduler(settings);
+    }
+    return settings.scheduler;
+}
+
+module.exports = { DEFAULT_SCHEDULER_OPTIONS, createRequestScheduler, ensureScheduler };
@@ -0,0 +1,828 @@
+// lib/scraper.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { EventEmitter } = require('events');
+const { launchBrowser, openPage, navigate } = require('./browser');
+const { readClassicPage, pageIdFromUrl, createPageQueue } = require('./classic');
+const { validateFilenameTemplate, templateUsesHash, buildImageFilename, uniqueFilename, renameToContentHash } = require('./filenames');
+const { generateViewerHtml, validateViewerTheme } = require('./viewer');
+const { createDownloadQueue, formatQueueProgress } = require('./download-queue');
+const { isEosTease, fetchEosTease, saveEosTease } = require('./eos');
+const { extractTeaseMetadata, buildManifest, writeManifest, readManifest } = require('./manifest');
+const { buildLibraryIndex } = require('./library');
+const { updateTease } = require('./update');
+const { extractTeaseId, resolveBatchSources, findArchivedTeases, printBatchSummary } = require('./batch');
+const { resolveScraperOptions } = require('./options');
+const { SessionError, startSession, handleLoginWall } = require('./session');
+const { PageError, classifyPage } = require('./classify');
+const { ensureScheduler } = require('./scheduler');
+const { openImageStore } = require('./store');
+const { log, addLogSink, createJsonLinesLog, setProgress, endProgress } = require('./logger');
+
+const LOG_FILENAME = 'scrape-log.jsonl';
+const RUN_REPORT_FILENAME = 'run-report.json';
+
+/**
+ * Returns a function that emits scraper events on `events`, if one was given.
+ * "error" is only emitted when something listens for it: an EventEmitter throws
+ * on an unhandled "error", and failures are reported in the returned data anyway.
+ *
+ * @param {EventEmitter} [events]
+ * @returns {function(string, ...*): void}
+ */
+function createEventReporter(events) {
+    return (eventName, ...args) => {
+        if (!events || (eventName === 'error' && events.listenerCount('error') === 0)) return;
+        events.emit(eventName, ...args);
+    };
+}
+
+// Prints what a scrape saved and, when pages or images are missing, why
+function printScrapeSummary(teaseData) {
+    const failedPages = teaseData.pages.filter(pageEntry => pageEntry.failure);
+    const missingImages = teaseData.pages.filter(pageEntry => pageEntry.imageError);
+    log.info('\n=== Scrape summary ===');
+    log.info(`Tease: ${teaseData.title}${teaseData.teaseDirectory ? ` (${teaseData.teaseDirectory})` : ''}`);
+    log.info(`Pages saved: ${teaseData.pages.length - failedPages.length}`);
+    if (missingImages.length > 0) {
+        log.info(`Images that could not be downloaded: ${missingImages.length}`);
+        missingImages.forEach(pageEntry => log.info(`  Page ${pageEntry.pageNumber}: ${pageEntry.imageError}`));
+    }
+    if (failedPages.length > 0) {
+        log.info(`Failed pages: ${failedPages.length}`);
+        failedPages.forEach(pageEntry => log.info(`  Page ${pageEntry.pageNumber} [${pageEntry.failure.kind}]: ${pageEntry.failure.reason}`));
+    }
+    log.info(teaseData.error ? `Stopped early: ${teaseData.error}` : 'Finished.');
+}
+
+// Page number of a classic tease page URL (its "p" parameter), or null
+function pageNumberFromUrl(url) {
+    try {
+        return new URL(url).searchParams.get('p');
+    } catch (e) {
+        return null; // Not a URL
+    }
+}
+
+/**
+ * Creates the record of one scrape run that is saved as run-report.json.
+ *
+ * @param {string} mode "scrape" or "resume".
+ * @param {string|null} url
+ * @returns {object}
+ */
+function createRunReport(mode, url) {
+    return {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationSeconds: null,
+        mode,
+        url: url || null,
+        teaseId: null,
+        title: null,
+        teaseType: null,
+        status: 'running',
+        error: null,
+        pagesVisited: 0, // Page loads that showed tease content
+        pagesSaved: 0,
+        failedPages: [], // {pageNumber, kind, reason}
+        images: {
+            downloaded: 0,
+            fromStore: 0, // Linked from the shared image store instead of downloaded
+            bytesDownloaded: 0,
+            duplicatesSkipped: 0, // Pages showing an image another page already fetched
+            failed: 0
+        },
+        warnings: [] // Every warning and error logged during the run: {time, level, pageNumber, message}
+    };
+}
+
+// Fills in the outcome of a finished scrape and writes run-report.json into its folder
+async function writeRunReport(report, teaseData) {
+    const finishedAt = new Date();
+    report.finishedAt = finishedAt.toISOString();
+    report.durationSeconds = Math.round((finishedAt - new Date(report.startedAt)) / 100) / 10;
+    report.teaseId = teaseData.teaseId || null;
+    report.title = teaseData.title;
+    report.teaseType = teaseData.teaseType;
+    report.status = teaseData.error ? 'stopped' : 'finished';
+    report.error = teaseData.error;
+    report.failedPages = teaseData.pages.filter(pageEntry => pageEntry.failure).map(pageEntry => ({
+        pageNumber: pageEntry.pageNumber,
+        kind: pageEntry.failure.kind,
+        reason: pageEntry.failure.reason
+    }));
+    report.pagesSaved = teaseData.pages.length - report.failedPages.length;
+    report.images.failed = teaseData.pages.filter(pageEntry => pageEntry.imageError).length;
+    await fs.promises.writeFile(path.join(teaseData.teaseDirectory, RUN_REPORT_FILENAME), JSON.stringify(report, null, 2));
+}
+
+// Failure kind saved for a page: the PageError's own kind, "login" or, for anything unexpected, "error"
+function failureKind(error) {
+    if (error instanceof PageError) return error.kind;
+    if (error instanceof SessionError) return 'login';
+    return 'error';
+}
+
+/**
+ * Creates a uniquely named folder for a tease under the output folder, with its pics/ subfolder.
+ * If <outputDir>/<title> already exists a timestamp suffix is added.
+ *
+ * @param {string} title Filesystem-safe tease title.
+ * @param {string} outputDir Folder tease folders are created in (normally downloads/).
+ * @returns {Promise<string>} Absolute path of the new tease folder.
+ */
+async function createTeaseDirectory(title, outputDir) {
+    const baseDownloadsDir = outputDir;
+    if (!fs.existsSync(baseDownloadsDir)) {
+        fs.mkdirSync(baseDownloadsDir, { recursive: true });
+    }
+
+    let teaseDirName = title;
+    let tempTeaseDir = path.resolve(baseDownloadsDir, teaseDirName);
+    if (fs.existsSync(tempTeaseDir)) {
+        const timestamp = Date.now();
+        teaseDirName = `${title}_${timestamp}`;
+        log.info(`Directory "${title}" already exists. Creating "${teaseDirName}" instead.`);
+    }
+    const teaseDirectory = path.resolve(baseDownloadsDir, teaseDirName);
+
+    // Ensure the 'pics' sub-directory exists within the tease directory
+    const picsDirectory = path.resolve(teaseDirectory, 'pics');
+    try {
+        await fs.promises.mkdir(picsDirectory, { recursive: true });
+        log.debug(`Ensured pics subdirectory exists: ${picsDirectory}`);
+    } catch (err) {
+        if (err.code !== 'EEXIST') {
+            log.error(`Error creating pics subdirectory ${picsDirectory}: ${err.message}`);
+            throw err;
+        }
+    }
+    return teaseDirectory;
+}
+
+/**
+ * Loads a previously scraped tease folder so an interrupted scrape can carry on.
+ * Rebuilds the URL -> filename map from the saved pages, keeping only images
+ * whose files are actually present (and non-empty) in pics/. EOS teases are refused:
+ * they are saved in one go from their script, so there is no page to carry on from.
+ *
+ * @param {string} teaseDirectory Path to an existing downloads/<title> folder.
+ * @returns {Promise<{pages: Array, downloadedImagesMap: Map, missingImages: Array}>}
+ */
+async function loadResumeState(teaseDirectory) {
+    const descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+    if (!fs.existsSync(descriptionFile)) {
+        throw new Error(`Cannot resume: ${descriptionFile} does not exist.`);
+    }
+
+    const manifest = await readManifest(teaseDirectory);
+    if ((manifest && manifest.tease.type === 'eos') || fs.existsSync(path.join(teaseDirectory, 'eos', 'script.json'))) {
+        throw new Error(`Cannot resume: ${teaseDirectory} holds an EOS tease. Scrape its URL again instead.`);
+    }
+
+    const pages = JSON.parse(await fs.promises.readFile(descriptionFile, 'utf8'));
+    if (!Array.isArray(pages) || pages.length === 0) {
+        throw new Error(`Cannot resume: ${descriptionFile} contains no pages.`);
+    }
+
+    const downloadedImagesMap = new Map();
+    const missingImages = []; // Pages whose image was recorded but is not on disk
+    for (const savedPage of pages) {
+        if (!savedPage.imageUrl || !savedPage.imageFilename || savedPage.imageFilename === 'no_image.jpg') {
+            continue;
+        }
+        if (downloadedImagesMap.has(savedPage.imageUrl)) {
+            savedPage.imageFilename = downloadedImagesMap.get(savedPage.imageUrl);
+            continue;
+        }
+        const imagePath = path.resolve(teaseDirectory, 'pics', savedPage.imageFilename);
+        const stats = await fs.promises.stat(imagePath).catch(() => null);
+        if (stats && stats.size > 0) {
+            downloadedImagesMap.set(savedPage.imageUrl, savedPage.imageFilename);
+        } else {
+            missingImages.push(savedPage);
+        }
+    }
+
+    return { pages, downloadedImagesMap, missingImages };
+}
+
+/**
+ * Scrapes a classic tease page by page, following every link to another page of the
+ * same tease and visiting each page once (see createPageQueue in lib/classic.js).
+ * A linked page that cannot be loaded (a dead link, a removed page) is saved as failed and the
+ * other pages are still crawled; a lost session or a browser failure stops the scrape.
+ *
+ * Events emitted on `options.events`:
+ * - "page" (pageEntry, teaseData): a page has been read and added to the tease data.
+ * - "image" ({pageNumber, url, path, bytes}): an image or audio file has landed on disk.
+ * - "warning" ({message, pageNumber}): something was missing or could not be downloaded.
+ * - "error" (error, teaseData): the scrape stopped early; only emitted when listened for.
+ *
+ * @param {string} initialUrl URL of the first page to scrape (ignored when resuming).
+ * @param {object} [options] Scraper options (see lib/options.js), plus:
+ * @param {string} [options.resumeDir] Existing tease folder to resume into instead of starting fresh.
+ * @param {import('puppeteer').Browser} [options.browser] Already launched browser to reuse; it is left open.
+ * @param {EventEmitter} [options.events] Emitter the events above are sent to.
+ * @returns {Promise<object>} The accumulated tease data; `error` is set if the scrape stopped early
+ *     or left pages out.
+ */
+async function scrapeTeasePages(initialUrl, options = {}) {
+    const settings = resolveScraperOptions(options);
+    ensureScheduler(settings); // Page loads and image downloads share one request budget
+    const emit = createEventReporter(options.events);
+    let browser;
+    let page;
+    let currentPageUrl = initialUrl;
+    let pageCount = 0;
+    const maxHops = settings.maxHops;
+    const pageQueue = createPageQueue(); // Pages linked from those read so far, each visited once
+    const skippedPageErrors = []; // PageErrors of linked pages that failed while the crawl went on
+
+    // Data structure to accumulate all information for this tease
+    const teaseScrapeData = {
+        title: 'untitled',
+        teaseId: extractTeaseId(initialUrl || ''),
+        teaseType: 'classic',
+        sourceUrl: initialUrl,
+        scrapedAt: new Date().toISOString(),
+        metadata: null, // Title, author, tags, rating and publish date read from the first page
+        error: null, // Set when the scrape stopped because of a major error
+        descriptionFile: null, // Will store the full path to the descriptions JSON file
+        pages: [] // Array to store page-specific data (url, description, descriptionHtml, pageNumber, imageUrl, imageFilename, imageNewlyDownloaded)
+    };
+
+    const runReport = createRunReport(options.resumeDir ? 'resume' : 'scrape', initialUrl);
+    let queueStats = null;
+    let currentPageNumber = null; // Ties log records to the page being scraped
+
+    // Every log record of this run goes into the report (warnings and errors) and, with
+    // logFile, into scrape-log.jsonl once the tease folder is known
+    const runLog = settings.logFile ? createJsonLinesLog() : null;
+    const removeLogSink = addLogSink(record => {
+        const pageRecord = { ...record, pageNumber: record.pageNumber !== undefined ? record.pageNumber : currentPageNumber };
+        if (record.level === 'warn' || record.level === 'error') {
+            runReport.warnings.push({ time: pageRecord.time, level: pageRecord.level, pageNumber: pageRecord.pageNumber, message: pageRecord.message });
+        }
+        if (runLog) runLog.write(pageRecord);
+    });
+
+    // Live line: pages so far, image downloads and failures
+    function updateProgress() {
+        const failedPages = teaseScrapeData.pages.filter(pageEntry => pageEntry.failure).length;
+        setProgress([
+            `Pages: ${teaseScrapeData.pages.length - failedPages}`,
+            queueStats ? formatQueueProgress(queueStats) : 'Images: none queued',
+            `Failed pages: ${failedPages}`
+        ].join(' | '));
+    }
+
+    // Points the scrape at its tease folder and starts the log file there
+    function useTeaseDirectory(teaseDirectory) {
+        teaseScrapeData.teaseDirectory = teaseDirectory;
+        teaseScrapeData.descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+        teaseScrapeData.htmlFile = path.join(teaseDirectory, 'viewer.html');
+        if (runLog) runLog.open(path.join(teaseDirectory, LOG_FILENAME));
+    }
+
+    // Map to store already downloaded image URLs and their generated filenames for this tease
+    // Key: image URL, Value: generated filename (e.g., "Tease_Title#1.jpg")
+    const downloadedImagesMap = new Map();
+    // Every filename given to an image of this tease, so no two images are ever written to the same file
+    const takenFilenames = new Set();
+
+    // Images download in the background while crawling continues
+    const downloadQueue = createDownloadQueue({
+        concurrency: settings.downloadConcurrency,
+        downloadOptions: { scheduler: settings.scheduler, proxy: settings.proxy },
+        store: openImageStore(settings),
+        onProgress: stats => {
+            queueStats = stats;
+            log.debug(formatQueueProgress(stats));
+            updateProgress();
+        }
+    });
+    // Image URL -> { download, intendedFilename } for downloads still in flight
+    const pendingImages = new Map();
+    const pageImageUpdates = []; // Settle once every page's image has landed or failed
+
+    // Logs a warning and passes it on to event listeners
+    function warn(message, pageNumber = null) {
+        log.warn(message, pageNumber === null ? {} : { pageNumber });
+        emit('warning', { message, pageNumber });
+    }
+
+    // Adds a file that landed on disk to the run report
+    function countImage(result) {
+        if (result.fromStore) {
+            runReport.images.fromStore++;
+        } else {
+            runReport.images.downloaded++;
+            runReport.images.bytesDownloaded += result.bytes || 0;
+        }
+    }
+
+    // Values for the filename template placeholders of a page's image
+    function filenameFields(pageEntry) {
+        return {
+            pageNumber: pageEntry.pageNumber,
+            teaseId: teaseScrapeData.teaseId,
+            title: teaseScrapeData.title,
+            caption: pageEntry.description,
+            imageUrl: pageEntry.imageUrl
+        };
+    }
+
+    // Queues an image for download; the page's entry is updated once the file is on disk
+    function queueImageDownload(imageUrl, imagePath, pageEntry) {
+        const download = downloadQueue.add(imageUrl, imagePath)
+            .then(async result => {
+                if (templateUsesHash(settings.filenameTemplate)) {
+                    result.path = await renameToContentHash(result.path, settings.filenameTemplate, filenameFields(pageEntry), takenFilenames);
+                }
+                const filename = path.basename(result.path); // Extension follows the real image type
+                downloadedImagesMap.set(imageUrl, filename);
+                countImage(result);
+                emit('image', { pageNumber: pageEntry.pageNumber, url: imageUrl, path: result.path, bytes: result.bytes });
+                return filename;
+            })
+            .finally(() => pendingImages.delete(imageUrl));
+        pendingImages.set(imageUrl, { download, intendedFilename: path.basename(imagePath) });
+        pageImageUpdates.push(download.then(filename => {
+            pageEntry.imageFilename = filename;
+            pageEntry.imageNewlyDownloaded = true; // Only marked once the file has fully landed
+            delete pageEntry.imageError;
+            log.debug(`Image for page ${pageEntry.pageNumber} downloaded as "${filename}".`, { pageNumber: pageEntry.pageNumber });
+        }, error => {
+            pageEntry.imageError = error.message;
+            warn(`Could not download image for page ${pageEntry.pageNumber} (${imageUrl}): ${error.message}`, pageEntry.pageNumber);
+        }));
+    }
+
+    // Saves a page that could not be scraped, with the reason, so the folder shows where the tease broke off.
+    // Before the first page has loaded there is no folder yet, and none is made for a tease that never loaded.
+    function recordFailedPage(url, error) {
+        if (!teaseScrapeData.descriptionFile) return;
+        teaseScrapeData.pages.push({
+            // Numbered after the pages saved so far when the URL has no page number
+            pageNumber: pageNumberFromUrl(url) || String(teaseScrapeData.pages.length + 1),
+            url,
+            description: 'No description found.',
+            descriptionHtml: null,
+            imageUrl: null,
+            imageFilename: 'no_image.jpg',
+            imageNewlyDownloaded: false,
+            failure: { kind: failureKind(error), statusCode: error.statusCode || null, reason: error.message }
+        });
+        updateProgress();
+    }
+
+    // Points a page at an image another page is still downloading
+    function shareQueuedImage(imageUrl, pageEntry) {
+        pageImageUpdates.push(pendingImages.get(imageUrl).download.then(filename => {
+            pageEntry.imageFilename = filename;
+        }, () => {}));
+    }
+
+    try {
+        validateFilenameTemplate(settings.filenameTemplate);
+        validateViewerTheme(settings.viewerTheme, settings.viewerTemplateDir);
+    } catch (error) {
+        log.error(error.message);
+        removeLogSink();
+        teaseScrapeData.error = error.message;
+        emit('error', error, teaseScrapeData);
+        return teaseScrapeData;
+    }
+
+    let resumeState = null;
+    if (options.resumeDir) {
+        const teaseDirectory = path.resolve(options.resumeDir);
+        try {
+            resumeState = await loadResumeState(teaseDirectory);
+        } catch (error) {
+            log.error(error.message);
+            removeLogSink();
+            teaseScrapeData.error = error.message;
+            emit('error', error, teaseScrapeData);
+            return teaseScrapeData;
+        }
+
+        teaseScrapeData.title = path.basename(teaseDirectory);
+        useTeaseDirectory(teaseDirectory);
+        const savedManifest = await readManifest(teaseDirectory);
+        if (savedManifest) {
+            teaseScrapeData.teaseId = savedManifest.tease.id;
+            teaseScrapeData.teaseType = savedManifest.tease.type;
+            teaseScrapeData.sourceUrl = savedManifest.tease.sourceUrl;
+            teaseScrapeData.scrapedAt = savedManifest.scrapedAt;
+            teaseScrapeData.metadata = savedManifest.tease;
+        }
+        await fs.promises.mkdir(path.join(teaseDirectory, 'pics'), { recursive: true });
+        resumeState.downloadedImagesMap.forEach((filename, url) => downloadedImagesMap.set(url, filename));
+        resumeState.pages.forEach(savedPage => {
+            if (savedPage.imageFilename && savedPage.imageFilename !== 'no_image.jpg') takenFilenames.add(savedPage.imageFilename);
+        });
+
+        // The last saved page is scraped again: it may have been cut short, and its
+        // links are where the scrape carries on from. Pages saved earlier are not visited
+        // again, but pages they link to that were never reached still are.
+        const lastPage = resumeState.pages.pop();
+        teaseScrapeData.pages = resumeState.pages;
+        teaseScrapeData.pages.forEach(savedPage => pageQueue.markVisited(savedPage.pageNumber));
+        teaseScrapeData.pages.forEach(savedPage => pageQueue.addPage(savedPage.links || []));
+        currentPageUrl = lastPage.url;
+        pageCount = teaseScrapeData.pages.length;
+        log.info(`Resuming "${teaseScrapeData.title}" from page ${lastPage.pageNumber} (${teaseScrapeData.pages.length} pages already saved, ${downloadedImagesMap.size} images on disk).`);
+    }
+
+    // Helper function to save current progress to JSON file
+    async function saveProgress() {
+        if (!teaseScrapeData.descriptionFile) {
+            log.debug('Cannot save progress: Description file path not yet determined.');
+            return;
+        }
+        try {
+            const dataToSave = JSON.stringify(teaseScrapeData.pages, null, 2);
+            await fs.promises.writeFile(teaseScrapeData.descriptionFile, dataToSave);
+            const manifest = buildManifest(teaseScrapeData);
+            await writeManifest(path.dirname(teaseScrapeData.descriptionFile), manifest);
+            log.debug(`Progress saved to: ${teaseScrapeData.descriptionFile}`);
+            await generateViewerHtml(teaseScrapeData.htmlFile, manifest.tease.title, teaseScrapeData.pages, manifest.tease, settings);
+
+        } catch (error) {
+            log.error(`Error saving progress to ${teaseScrapeData.descriptionFile}: ${error.message}`, { error });
+        }
+    }
+
+    try {
+        browser = options.browser || await launchBrowser(settings);
+        page = await openPage(browser, settings);
+        page._teaseDirectory = teaseScrapeData.teaseDirectory || null;
+        await startSession(page, settings, currentPageUrl);
+        const sessionState = { renewed: false };
+
+        // Fetch again any images that were recorded but never made it to disk
+        if (resumeState && resumeState.missingImages.length > 0) {
+            log.info(`Re-downloading ${resumeState.missingImages.length} missing image(s)...`);
+            for (const savedPage of resumeState.missingImages) {
+                if (downloadedImagesMap.has(savedPage.imageUrl)) {
+                    savedPage.imageFilename = downloadedImagesMap.get(savedPage.imageUrl);
+                } else if (pendingImages.has(savedPage.imageUrl)) {
+                    shareQueuedImage(savedPage.imageUrl, savedPage);
+                } else {
+                    const imagePath = path.resolve(page._teaseDirectory, 'pics', savedPage.imageFilename);
+                    queueImageDownload(savedPage.imageUrl, imagePath, savedPage);
+                }
+            }
+        }
+
+        // This loop handles navigating through pages and scraping data
+        while (currentPageUrl && pageCount < maxHops) {
+            pageCount++;
+            currentPageNumber = pageNumberFromUrl(currentPageUrl) || String(pageCount);
+            const requestedPageNumber = pageIdFromUrl(currentPageUrl);
+            pageQueue.markVisited(requestedPageNumber);
+            log.info(`\n--- Navigating to page ${pageCount}: ${currentPageUrl} ---`);
+
+            let pageDescription = 'No description found.';
+            let pageDescriptionHtml = null; // Sanitized formatting of the description, when the page has one
+            let currentTeaseTitle = 'untitled';
+            let imageUrl = null;
+            const imageFilename = 'no_image.jpg'; // Default value if image not found or downloaded
+            const imageNewlyDownloaded = false; // Set on the page entry once its image has landed
+            let currentUrlAfterNavigation = currentPageUrl;
+            let pageEntryAdded = false;
+
+            try {
+                const response = await navigate(page, currentPageUrl, settings);
+
+                // A login page is never saved as a tease page: log in again and retry it, or stop
+                if (await handleLoginWall(page, settings, sessionState)) {
+                    pageCount--;
+                    continue;
+                }
+
+                // A challenge that never cleared, a missing or removed tease and the like stop the scrape
+                const pageStatus = await classifyPage(page, response);
+                if (pageStatus.kind !== 'tease') {
+                    throw new PageError(pageStatus.reason, { kind: pageStatus.kind, url: page.url(), statusCode: pageStatus.statusCode });
+                }
+
+                currentUrlAfterNavigation = page.url();
+                runReport.pagesVisited++;
+
+                // --- Tease-level metadata (title, author, tags, ...) from the first page ---
+                if (pageCount === 1 && !resumeState) {
+                    teaseScrapeData.metadata = await extractTeaseMetadata(page).catch(e => {
+                        warn(`Could not read tease metadata from the first page: ${e.message}`);
+                        return null;
+                    });
+                    teaseScrapeData.teaseId = teaseScrapeData.teaseId || extractTeaseId(currentUrlAfterNavigation);
+                }
+
+                // --- EOS (interactive) teases have none of the classic page elements ---
+                if (pageCount === 1 && !resumeState && await isEosTease(page)) {
+                    log.info('EOS tease detected. Switching to EOS mode...');
+                    const eosTease = await fetchEosTease(page, currentUrlAfterNavigation);
+                    teaseScrapeData.title = eosTease.title;
+                    teaseScrapeData.teaseType = 'eos';
+                    teaseScrapeData.teaseId = eosTease.teaseId;
+                    page._teaseDirectory = await createTeaseDirectory(eosTease.title, settings.outputDir);
+                    useTeaseDirectory(page._teaseDirectory);
+                    currentPageNumber = null; // EOS pages are not loaded one by one
+                    teaseScrapeData.pages = await saveEosTease(eosTease, page._teaseDirectory, {
+                        downloadConcurrency: settings.downloadConcurrency,
+                        downloadOptions: { scheduler: settings.scheduler, proxy: settings.proxy },
+                        store: openImageStore(settings),
+                        onDownloaded: item => {
+                            countImage(item.download);
+                            emit('image', { pageNumber: null, url: item.url, path: item.download.path, bytes: item.download.bytes });
+                        },
+                        onDuplicate: () => runReport.images.duplicatesSkipped++,
+                        onWarning: message => emit('warning', { message, pageNumber: null })
+                    });
+                    teaseScrapeData.pages.forEach(pageEntry => emit('page', pageEntry, teaseScrapeData));
+                    break; // The whole script has been fetched; there is nothing to navigate
+                }
+
+                const classicPage = await readClassicPage(page);
+                const pageNumber = classicPage.pageNumber;
+                currentPageNumber = pageNumber;
+                // A link that redirected to a page already saved adds nothing
+                if (pageNumber !== requestedPageNumber && pageQueue.isVisited(pageNumber)) {
+                    log.info(`${currentPageUrl} led to page ${pageNumber}, which is already saved.`, { pageNumber });
+                    currentPageUrl = pageQueue.next();
+                    continue;
+                }
+                pageQueue.markVisited(pageNumber);
+
+                // --- Get title from img alt ---
+                if (classicPage.imageUrl) {
+                    imageUrl = classicPage.imageUrl;
+                    currentTeaseTitle = classicPage.imageAlt.trim();
+                    currentTeaseTitle = currentTeaseTitle.replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, '_');
+
+                    if (pageCount === 1 && !resumeState) {
+                         teaseScrapeData.title = currentTeaseTitle; // Set main tease title once
+                    }
+                } else {
+                    warn(`Image with class "tease_pic" not found on page ${pageNumber}.`, pageNumber);
+                    await saveProgress(); // Minor error: save progress
+                }
+
+                // --- Get the description for the current page ---
+                if (classicPage.description !== null) {
+                    pageDescription = classicPage.description;
+                    pageDescriptionHtml = classicPage.descriptionHtml;
+                    log.debug(`Page ${pageNumber} Description: ${pageDescription.substring(0, 100)}...`, { pageNumber });
+                } else {
+                    warn(`Could not find description at #tease_content > p.text on page ${pageNumber}.`, pageNumber);
+                    await saveProgress(); // Minor error: save progress
+                }
+
+                // --- Directory Setup (only on first page for unique naming) ---
+                if (pageCount === 1 && !resumeState) {
+                    page._teaseDirectory = await createTeaseDirectory(teaseScrapeData.title, settings.outputDir);
+                    useTeaseDirectory(page._teaseDirectory);
+                }
+
+                // Ensure the tease directory exists before attempting to write files
+                if (page._teaseDirectory && !fs.existsSync(page._teaseDirectory)) {
+                    fs.mkdirSync(page._teaseDirectory);
+                    log.debug(`Created directory: ${page._teaseDirectory}`);
+                }
+
+                // --- Add current page data to accumulator ---
+                const pageEntry = {
+                    pageNumber: pageNumber,
+                    url: currentUrlAfterNavigation,
+                    description: pageDescription,
+                    descriptionHtml: pageDescriptionHtml,
+                    imageUrl: imageUrl,
+                    imageFilename: imageFilename,
+                    imageNewlyDownloaded: imageNewlyDownloaded,
+                    links: classicPage.links // Pages of the same tease this page links to
+                };
+                teaseScrapeData.pages.push(pageEntry);
+                pageEntryAdded = true;
+                emit('page', pageEntry, teaseScrapeData);
+                updateProgress();
+
+                // --- Image Download Logic (with duplicate check) ---
+                if (imageUrl && page._teaseDirectory) {
+                    if (downloadedImagesMap.has(imageUrl)) {
+                        pageEntry.imageFilename = downloadedImagesMap.get(imageUrl); // Use the existing filename
+                        runReport.images.duplicatesSkipped++;
+                        log.debug(`Image URL "${imageUrl}" already downloaded as "${pageEntry.imageFilename}". Skipping re-download.`, { pageNumber });
+                    } else if (pendingImages.has(imageUrl)) {
+                        pageEntry.imageFilename = pendingImages.get(imageUrl).intendedFilename;
+                        shareQueuedImage(imageUrl, pageEntry);
+                        runReport.images.duplicatesSkipped++;
+                        log.debug(`Image URL "${imageUrl}" is already queued. Skipping re-download.`, { pageNumber });
+                    } else {
+                        // Name the image after the filename template, never reusing a name already given
+                        const potentialFilename = uniqueFilename(buildImageFilename(settings.filenameTemplate, filenameFields(pageEntry)), takenFilenames);
+                        takenFilenames.add(potentialFilename);
+                        pageEntry.imageFilename = potentialFilename; // Use the newly generated filename
+                        const imagePath = path.resolve(page._teaseDirectory, 'pics', potentialFilename);
+
+                        log.debug(`Found image URL: ${imageUrl}`, { pageNumber });
+                        log.debug(`Queueing image download to: ${imagePath}`, { pageNumber });
+                        queueImageDownload(imageUrl, imagePath, pageEntry);
+                    }
+                } else {
+                    log.debug('No image URL or tease directory found to process image for this page.', { pageNumber });
+                    await saveProgress(); // Minor error: save progress
+                }
+
+                log.debug(`Current URL: ${page.url()}`, { pageNumber });
+                log.debug(`Current Page Title: ${await page.title()}`, { pageNumber });
+
+                // --- Queue the linked pages and move on to the next one not visited yet ---
+                pageQueue.addPage(classicPage.links, classicPage.nextUrl);
+                if (classicPage.links.length > 1) {
+                    log.debug(`Page ${pageNumber} links to pages ${classicPage.links.map(link => link.pageNumber).join(', ')}.`, { pageNumber });
+                }
+                currentPageUrl = pageQueue.next();
+                if (currentPageUrl) {
+                    log.debug(`Next page to visit: ${currentPageUrl}`, { pageNumber });
+                    if (settings.delays.betweenPages > 0) {
+                        await new Promise(r => setTimeout(r, settings.delays.betweenPages));
+                    }
+                } else {
+                    log.info('No links to pages not visited yet. End of tease.', { pageNumber });
+                }
+
+            } catch (pageError) {
+                if (!pageEntryAdded) {
+                    recordFailedPage(currentPageUrl, pageError);
+                }
+                // A dead link only costs its own page: the other branches are still crawled.
+                // Before the folder exists (the first page) there is nothing to carry on from.
+                if (pageError instanceof PageError && teaseScrapeData.descriptionFile) {
+                    warn(`Page ${currentPageNumber} could not be scraped: ${pageError.message}`, currentPageNumber);
+                    skippedPageErrors.push(pageError);
+                    await saveProgress();
+                    currentPageUrl = pageQueue.next();
+                    continue;
+                }
+                if (pageError instanceof PageError || pageError instanceof SessionError) {
+                    log.error(`Page ${pageCount} could not be scraped: ${pageError.message}`);
+                } else {
+                    log.error(`Major error processing page ${currentPageUrl}: ${pageError.message}`, { error: pageError });
+                }
+                teaseScrapeData.error = pageError.message;
+                emit('error', pageError, teaseScrapeData);
+                await saveProgress(); // Critical error: save what we have
+                currentPageUrl = null; // Exit loop on major page error
+            }
+        } // End of while loop
+
+        // Pages skipped along the way still leave the tease incomplete
+        if (!teaseScrapeData.error && skippedPageErrors.length > 0) {
+            teaseScrapeData.error = skippedPageErrors.length === 1
+                ? skippedPageErrors[0].message
+                : `${skippedPageErrors.length} pages could not be scraped, the first because: ${skippedPageErrors[0].message}`;
+        }
+
+        if (currentPageUrl && pageCount >= maxHops) {
+            warn(`Reached maximum of ${maxHops} pages with ${pageQueue.remaining() + 1} linked page(s) not visited. Stopping.`);
+        }
+
+    } catch (browserError) {
+        log.error(`An error occurred during browser operation (launch/initial setup): ${browserError.message}`, { error: browserError });
+        teaseScrapeData.error = browserError.message;
+        emit('error', browserError, teaseScrapeData);
+    } finally {
+        // The scrape is only finished once every queued image has landed (or failed)
+        if (pendingImages.size > 0) {
+            log.info(`Waiting for ${pendingImages.size} image download(s) to finish...`);
+        }
+        await Promise.allSettled(pageImageUpdates);
+
+        // Always attempt to save data when the process concludes or errors out
+        await saveProgress();
+        if (browser && !options.browser) {
+            await browser.close();
+            log.debug('Browser closed.');
+        } else if (page) {
+            await page.close().catch(() => {}); // Shared browser stays open for the next tease
+        }
+    }
+
+    endProgress();
+    printScrapeSummary(teaseScrapeData);
+    if (teaseScrapeData.teaseDirectory) {
+        await writeRunReport(runReport, teaseScrapeData).catch(error => {
+            warn(`Could not write ${RUN_REPORT_FILENAME}: ${error.message}`);
+        });
+    }
+
+    // Keep downloads/index.html in step with the archive
+    if (!teaseScrapeData.error && teaseScrapeData.pages.length > 0 && teaseScrapeData.teaseDirectory) {
+        await buildLibraryIndex(path.dirname(teaseScrapeData.teaseDirectory)).catch(error => {
+            warn(`Could not rebuild the library index: ${error.message}`);
+        });
+    }
+    removeLogSink();
+    if (runLog) await runLog.close();
+
+    return teaseScrapeData;
+}
+
+/**
+ * Scrapes many teases one after another with a single shared browser.
+ * Sources can be tease URLs, author or search/listing URLs, or text files of URLs.
+ * Teases already present in the output folder are skipped.
+ *
+ * @param {string[]} sources
+ * @param {object} [options] Passed on to scrapeTeasePages for every tease.
+ * @returns {Promise<Array>} One result per tease: status "succeeded", "failed" or "skipped".
+ *     If the batch itself could not run, the error is thrown with the results so far attached as `results`.
+ */
+async function scrapeBatch(sources, options = {}) {
+    const settings = resolveScraperOptions(options);
+    ensureScheduler(settings); // One budget for the whole batch
+    const results = [];
+    let browser;
+    let batchError = null;
+
+    try {
+        browser = await launchBrowser(settings);
+        const listingPage = await openPage(browser, settings);
+        await startSession(listingPage, settings, sources.find(source => /^https?:\/\//i.test(source)));
+        const teases = await resolveBatchSources(sources, listingPage, settings);
+        await listingPage.close();
+        log.info(`Batch contains ${teases.length} tease(s).`);
+
+        const archivedTeases = await findArchivedTeases(settings.outputDir);
+
+        for (const [index, tease] of teases.entries()) {
+            if (archivedTeases.has(tease.teaseId)) {
+                log.info(`\n=== [${index + 1}/${teases.length}] Tease ${tease.teaseId} already archived in ${archivedTeases.get(tease.teaseId)}. Skipping. ===`);
+                results.push({ ...tease, status: 'skipped', teaseDirectory: archivedTeases.get(tease.teaseId) });
+                continue;
+            }
+
+            log.info(`\n=== [${index + 1}/${teases.length}] Scraping tease ${tease.teaseId}: ${tease.url} ===`);
+            const teaseData = await scrapeTeasePages(tease.url, { ...options, browser, scheduler: settings.scheduler });
+            if (teaseData.error || teaseData.pages.length === 0) {
+                results.push({ ...tease, status: 'failed', reason: teaseData.error || 'No pages scraped' });
+            } else {
+                results.push({ ...tease, status: 'succeeded', title: teaseData.title, pageCount: teaseData.pages.length });
+            }
+        }
+    } catch (error) {
+        log.error(`An error occurred during the batch scrape: ${error.message}`, { error });
+        batchError = error;
+    } finally {
+        if (browser) {
+            await browser.close();
+            log.debug('Browser closed.');
+        }
+    }
+
+    printBatchSummary(results);
+    if (batchError) {
+        batchError.results = results;
+        throw batchError;
+    }
+    return results;
+}
+
+/**
+ * Creates a scraper bound to a set of options. The returned object is an EventEmitter
+ * that receives the "page", "image", "warning" and "error" events of every scrape it runs
+ * (see scrapeTeasePages).
+ *
+ * @example
+ * const scraper = createScraper({ outputDir: '/data/teases', headless: false });
+ * scraper.on('page', page => console.log(`Page ${page.pageNumber} scraped`));
+ * const tease = await scraper.scrape('https://milovana.com/webteases/showtease.php?id=45485');
+ *
+ * @param {object} [options] Scraper options (see lib/options.js).
+ * @returns {EventEmitter & {options: object, scrape: function, resume: function, batch: function, update: function}}
+ */
+function createScraper(options = {}) {
+    const scraper = new EventEmitter();
+    scraper.options = resolveScraperOptions(options);
+    ensureScheduler(scraper.options); // Shared by every run of this scraper
+
+    scraper.scrape = (url, overrides = {}) => scrapeTeasePages(url, { ...scraper.options, ...overrides, events: scraper });
+    scraper.resume = (teaseDirectory, overrides = {}) => scrapeTeasePages(null, { ...scraper.options, ...overrides, resumeDir: teaseDirectory, events: scraper });
+    scraper.batch = (sources, overrides = {}) => scrapeBatch(sources, { ...scraper.options, ...overrides, events: scraper });
+    scraper.update = (teaseDirectory, overrides = {}) => updateTease(teaseDirectory, { ...scraper.options, ...overrides });
+
+    return scraper;
+}
+
+
+module.exports = {
+    createTeaseDirectory,
+    loadResumeState,
+    scrapeTeasePages,
+    scrapeBatch,
+    createScraper
+};
@@ -0,0 +1,508 @@
+// lib/server.js
+const fs = require('fs');      // For file system operations
+const http = require('http');  // For the HTTP server
+const crypto = require('crypto'); // For the API token
+const path = require('path');  // For path manipulation
+const { buildLibraryIndex, collectLibraryEntries } = require('./library');
+const { readManifest } = require('./manifest');
+const { extractTeaseId, teaseUrlFromId, findArchivedTeases } = require('./batch');
+const { log } = require('./logger');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1'; // Only this machine; pass "0.0.0.0" to share on the LAN
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_FINISHED_JOBS = 100; // Older finished scrape jobs are forgotten
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.flac': 'audio/flac',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.pdf': 'application/pdf',
+    '.epub': 'application/epub+zip',
+    '.cbz': 'application/vnd.comicbook+zip'
+};
+
+// Pages and data change on every scrape; media files practically never do
+function cacheControlFor(contentType) {
+    return /^(text|application\/json)/.test(contentType) ? 'no-cache' : 'public, max-age=86400';
+}
+
+function sendJson(response, statusCode, body, headers = {}) {
+    const json = JSON.stringify(body, null, 2);
+    response.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(json);
+}
+
+function sendText(response, statusCode, text, headers = {}) {
+    response.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8', 'Content-Length': Buffer.byteLength(text), ...headers });
+    response.end(text);
+}
+
+// Parses a single "bytes=start-end" range; null means "send the whole file"
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    let start;
+    let end;
+    if (match[1] === '') {
+        // "bytes=-500": the last 500 bytes
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    return start <= end && start < size ? { start, end } : { unsatisfiable: true };
+}
+
+/**
+ * Sends a file with ETag/Last-Modified caching and single byte-range support,
+ * answering 304 and 206 where the request allows it.
+ *
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ */
+async function sendFile(request, response, filePath) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (e) {
+        stats = null;
+    }
+    if (!stats || !stats.isFile()) {
+        sendText(response, 404, 'Not found');
+        return;
+    }
+
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const headers = {
+        'Content-Type': contentType,
+        'Cache-Control': cacheControlFor(contentType),
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Accept-Ranges': 'bytes'
+    };
+
+    const ifNoneMatch = request.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(request.headers['if-modified-since'] || '');
+    const notModified = ifNoneMatch
+        ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+        : !isNaN(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) <= Math.floor(ifModifiedSince / 1000);
+    if (notModified) {
+        response.writeHead(304, headers);
+        response.end();
+        return;
+    }
+
+    // A stale If-Range means the client's partial copy is outdated: send everything
+    const ifRange = request.headers['if-range'];
+    const range = request.headers.range && (!ifRange || ifRange === etag) ? parseRange(request.headers.range, stats.size) : null;
+    if (range && range.unsatisfiable) {
+        sendText(response, 416, 'Range not satisfiable', { 'Content-Range': `bytes */${stats.size}` });
+        return;
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stats.size - 1;
+    if (range) {
+        headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+    }
+    headers['Content-Length'] = stats.size === 0 ? 0 : end - start + 1;
+    response.writeHead(range ? 206 : 200, headers);
+    if (request.method === 'HEAD' || stats.size === 0) {
+        response.end();
+        return;
+    }
+
+    await new Promise(resolve => {
+        const stream = fs.createReadStream(filePath, { start, end });
+        stream.on('error', () => {
+            response.destroy();
+            resolve();
+        });
+        stream.on('end', resolve);
+        stream.pipe(response);
+    });
+}
+
+// Whether the server only answers connections from this machine
+function isLoopbackAddress(address) {
+    return /^(127\.|::ffff:127\.)/.test(address) || address === '::1';
+}
+
+function tokensMatch(given, expected) {
+    const givenBuffer = Buffer.from(String(given));
+    const expectedBuffer = Buffer.from(expected);
+    return givenBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(givenBuffer, expectedBuffer);
+}
+
+// Tease folders sit directly under the downloads folder; hidden folders (the image store) are not teases
+function isTeaseFolderName(name) {
+    return Boolean(name) && !name.startsWith('.') && !/[\\/]/.test(name) && name !== '..';
+}
+
+function readRequestBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body is too large.'), { statusCode: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// The fields of a scrape job the API shows
+function describeJob(job) {
+    const { id, url, teaseId, status, title, folder, pagesScraped, imagesDownloaded, warnings, error, queuedAt, startedAt, finishedAt } = job;
+    return { id, url, teaseId, status, title, folder, pagesScraped, imagesDownloaded, warnings, error, queuedAt, startedAt, finishedAt };
+}
+
+/**
+ * Creates an HTTP server over a downloads folder. It serves the library page, every
+ * tease's viewer and files, and a JSON API:
+ *
+ * - GET  /api/teases                                  every archived tease (as in the library page)
+ * - GET  /api/teases/<folder>                         a tease's manifest with its page data
+ * - GET  /api/teases/<folder>/pages/<number>/image    a page's image
+ * - POST /api/scrapes {"url": "..."}                  queues a scrape of a tease URL (or ID)
+ * - GET  /api/scrapes, /api/scrapes/<id>              progress of queued scrapes
+ *
+ * Files are sent with caching headers and byte-range support. Queued scrapes run one at a
+ * time through the given scraper, so they share its pacing and session.
+ *
+ * POST /api/scrapes only takes "Content-Type: application/json", which a web page can only
+ * send to another site after a CORS preflight this server never grants. When a token is set,
+ * it must also be given as "Authorization: Bearer <token>". A server listening on an address
+ * other than loopback always has one: a random token is made when none was given.
+ *
+ * @param {string} downloadsDir The downloads folder to serve.
+ * @param {object} [options]
+ * @param {EventEmitter & {scrape: function}} [options.scraper] Scraper from createScraper, writing into downloadsDir.
+ *     Without it, POST /api/scrapes answers 503.
+ * @param {string} [options.token] Token POST /api/scrapes must be sent with.
+ * @returns {{server: http.Server, jobs: Array, token: string|null, listen: function(number=, string=): Promise<string>, close: function(): Promise<void>, idle: function(): Promise<void>}}
+ */
+function createArchiveServer(downloadsDir, options = {}) {
+    const rootDirectory = path.resolve(downloadsDir);
+    const scraper = options.scraper || null;
+    const jobs = [];
+    let token = options.token || null;
+    let nextJobId = 1;
+    let running = null; // Promise of the queue runner while it works
+
+    async function runQueue() {
+        let job;
+        while ((job = jobs.find(candidate => candidate.status === 'queued'))) {
+            job.status = 'running';
+            job.startedAt = new Date().toISOString();
+            const onPage = () => { job.pagesScraped++; };
+            const onImage = () => { job.imagesDownloaded++; };
+            const onWarning = warning => { job.warnings.push(warning.message); };
+            const onError = () => {}; // The result carries the error; without a listener "error" would throw
+            scraper.on('page', onPage);
+            scraper.on('image', onImage);
+            scraper.on('warning', onWarning);
+            scraper.on('error', onError);
+            try {
+                const teaseData = await scraper.scrape(job.url);
+                job.title = teaseData.title || null;
+                job.folder = teaseData.teaseDirectory ? path.basename(teaseData.teaseDirectory) : null;
+                job.error = teaseData.error || (teaseData.pages.length === 0 ? 'No pages scraped' : null);
+            } catch (error) {
+                job.error = error.message;
+            } finally {
+                scraper.off('page', onPage);
+                scraper.off('image', onImage);
+                scraper.off('warning', onWarning);
+                scraper.off('error', onError);
+            }
+            job.status = job.error ? 'failed' : 'succeeded';
+            job.finishedAt = new Date().toISOString();
+            log.info(`Scrape ${job.id} ${job.status}: ${job.url}${job.error ? ` (${job.error})` : ''}`);
+            pruneFinishedJobs();
+        }
+        running = null;
+    }
+
+    function pruneFinishedJobs() {
+        const finished = jobs.filter(job => job.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+            .forEach(job => jobs.splice(jobs.indexOf(job), 1));
+    }
+
+    async function queueScrape(request, response) {
+        if (!scraper) {
+            sendJson(response, 503, { error: 'This server was started without a scraper.' });
+            return;
+        }
+        // Cross-site form posts and "simple" requests cannot set this content type
+        const contentType = String(request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentType !== 'application/json') {
+            sendJson(response, 415, { error: 'Send the scrape request as Content-Type: application/json.' });
+            return;
+        }
+        const authorization = String(request.headers.authorization || '');
+        if (token && !tokensMatch(authorization.replace(/^Bearer\s+/i, ''), token)) {
+            sendJson(response, 401, { error: 'Queuing scrapes needs the server\'s token: Authorization: Bearer <token>.' }, { 'WWW-Authenticate': 'Bearer' });
+            return;
+        }
+        let body;
+        try {
+            body = JSON.parse(await readRequestBody(request) || '{}');
+        } catch (error) {
+            sendJson(response, error.statusCode || 400, { error: error.statusCode ? error.message : 'The body must be JSON like {"url": "..."}.' });
+            return;
+        }
+        const source = body && typeof body.url === 'string' ? body.url.trim() : '';
+        const url = /^\d+$/.test(source) ? teaseUrlFromId(source) : source;
+        const teaseId = extractTeaseId(url);
+        if (!teaseId) {
+            sendJson(response, 400, { error: 'Give the URL of a tease (showtease.php?id=...) or its ID.' });
+            return;
+        }
+
+        // The same tease is not queued twice, nor scraped again once archived
+        const activeJob = jobs.find(job => job.teaseId === teaseId && (job.status === 'queued' || job.status === 'running'));
+        if (activeJob) {
+            sendJson(response, 200, describeJob(activeJob), { Location: `/api/scrapes/${activeJob.id}` });
+            return;
+        }
+        const job = {
+            id: String(nextJobId++),
+            url,
+            teaseId,
+            status: 'queued',
+            title: null,
+            folder: null,
+            pagesScraped: 0,
+            imagesDownloaded: 0,
+            warnings: [],
+            error: null,
+            queuedAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        const archivedFolder = (await findArchivedTeases(rootDirectory)).get(teaseId);
+        if (archivedFolder) {
+            Object.assign(job, { status: 'skipped', folder: path.basename(archivedFolder), finishedAt: job.queuedAt });
+        }
+        jobs.push(job);
+        const statusCode = job.status === 'queued' ? 202 : 200;
+        const answer = describeJob(job); // As queued; the runner may pick the job up right away
+        if (job.status === 'queued') {
+            log.info(`Scrape ${job.id} queued: ${url}`);
+            running = running || runQueue();
+        }
+        sendJson(response, statusCode, answer, { Location: `/api/scrapes/${job.id}` });
+    }
+
+    async function sendTease(response, folder) {
+        const manifest = isTeaseFolderName(folder) ? await readManifest(path.join(rootDirectory, folder)) : null;
+        if (!manifest) {
+            sendJson(response, 404, { error: `No tease folder named "${folder}".` });
+            return;
+        }
+        const base = `/api/teases/${encodeURIComponent(folder)}`;
+        sendJson(response, 200, {
+            ...manifest,
+            folder,
+            viewer: `/${encodeURIComponent(folder)}/viewer.html`,
+            pages: manifest.pages.map(page => ({
+                ...page,
+                image: page.imageFilename && page.imageFilename !== 'no_image.jpg'
+                    ? `${base}/pages/${encodeURIComponent(page.pageNumber)}/image`
+                    : null
+            }))
+        });
+    }
+
+    async function sendPageImage(request, response, folder, pageNumber) {
+        const teaseDirectory = path.join(rootDirectory, folder);
+        const manifest = isTeaseFolderName(folder) ? await readManifest(teaseDirectory) : null;
+        const page = manifest && manifest.pages.find(candidate => String(candidate.pageNumber) === pageNumber);
+        // Filenames come from descriptions.json; anything that is not a plain name is refused
+        if (!page || !page.imageFilename || page.imageFilename === 'no_image.jpg' || path.basename(page.imageFilename) !== page.imageFilename) {
+            sendJson(response, 404, { error: `Page ${pageNumber} of "${folder}" has no image.` });
+            return;
+        }
+        await sendFile(request, response, path.join(teaseDirectory, 'pics', page.imageFilename));
+    }
+
+    async function handleApi(request, response, segments) {
+        const [resource, id, subResource, pageNumber, field] = segments;
+        const isRead = request.method === 'GET' || request.method === 'HEAD';
+
+        if (resource === 'teases' && isRead) {
+            if (segments.length === 1) {
+                const entries = await collectLibraryEntries(rootDirectory);
+                sendJson(response, 200, {
+                    teases: entries.map(entry => ({ ...entry, api: `/api/teases/${encodeURIComponent(entry.folder)}` }))
+                });
+                return;
+            }
+            if (segments.length === 2) {
+                await sendTease(response, id);
+                return;
+            }
+            if (segments.length === 5 && subResource === 'pages' && field === 'image') {
+                await sendPageImage(request, response, id, pageNumber);
+                return;
+            }
+        }
+        if (resource === 'scrapes' && segments.length === 1 && request.method === 'POST') {
+            await queueScrape(request, response);
+            return;
+        }
+        if (resource === 'scrapes' && isRead && segments.length <= 2) {
+            if (!id) {
+                sendJson(response, 200, { scrapes: jobs.map(describeJob) });
+                return;
+            }
+            const job = jobs.find(candidate => candidate.id === id);
+            if (job) {
+                sendJson(response, 200, describeJob(job));
+            } else {
+                sendJson(response, 404, { error: `No scrape with ID ${id}.` });
+            }
+            return;
+        }
+        sendJson(response, 404, { error: 'No such API endpoint.' });
+    }
+
+    async function handleStatic(request, response, segments) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            sendText(response, 405, 'Method not allowed', { Allow: 'GET, HEAD' });
+            return;
+        }
+        // Hidden files and folders (the image store, partial downloads' folders) are never served
+        if (segments.some(segment => segment.startsWith('.') || /[\\/]/.test(segment))) {
+            sendText(response, 404, 'Not found');
+            return;
+        }
+        if (segments.length === 0 || (segments.length === 1 && segments[0] === 'index.html')) {
+            const indexPath = path.join(rootDirectory, 'index.html');
+            if (!fs.existsSync(indexPath)) {
+                await buildLibraryIndex(rootDirectory);
+            }
+            await sendFile(request, response, indexPath);
+            return;
+        }
+
+        const filePath = path.join(rootDirectory, ...segments);
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        if (stats && stats.isDirectory()) {
+            // A tease folder opens its viewer (or the EOS player)
+            const start = ['viewer.html', 'eos-player.html'].find(file => fs.existsSync(path.join(filePath, file)));
+            if (start) {
+                const location = '/' + segments.map(encodeURIComponent).join('/') + '/' + start;
+                sendText(response, 302, 'Found', { Location: location });
+            } else {
+                sendText(response, 404, 'Not found');
+            }
+            return;
+        }
+        await sendFile(request, response, filePath);
+    }
+
+    const server = http.createServer(async (request, response) => {
+        let segments;
+        try {
+            const pathname = new URL(request.url, 'http://localhost').pathname;
+            segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+            sendText(response, 400, 'Bad request');
+            return;
+        }
+
+        try {
+            if (segments[0] === 'api') {
+                await handleApi(request, response, segments.slice(1));
+            } else {
+                await handleStatic(request, response, segments);
+            }
+        } catch (error) {
+            log.error(`Error answering ${request.method} ${request.url}: ${error.message}`, { error });
+            if (response.headersSent) {
+                response.destroy();
+            } else if (segments[0] === 'api') {
+                sendJson(response, 500, { error: error.message });
+            } else {
+                sendText(response, 500, 'Internal server error');
+            }
+        }
+    });
+
+    return {
+        server,
+        jobs,
+
+        get token() {
+            return token;
+        },
+
+        // Starts listening and resolves with the base URL. Off loopback, scrapes need a token.
+        listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    const address = server.address();
+                    if (!token && !isLoopbackAddress(address.address)) {
+                        token = crypto.randomBytes(18).toString('base64url');
+                    }
+                    const shownHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+                    resolve(`http://${shownHost}:${address.port}`);
+                });
+            });
+        },
+
+        close() {
+            return new Promise(resolve => {
+                server.closeAllConnections();
+                server.close(() => resolve());
+            });
+        },
+
+        // Resolves once every queued scrape has finished
+        idle() {
+            return running || Promise.resolve();
+        }
+    };
+}
+
+module.exports = { DEFAULT_PORT, DEFAULT_HOST, createArchiveServer };
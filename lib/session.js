@@ -0,0 +1,224 @@
+// lib/session.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { log } = require('./logger');
+
+const DEFAULT_SITE_URL = 'https://milovana.com';
+const LOGIN_PATH = '/forum/ucp.php?mode=login'; // Milovana logs in through its forum
+
+// Raised when a page needs a login the scraper does not have (or can no longer renew)
+class SessionError extends Error {
+    constructor(message, { url = null } = {}) {
+        super(message);
+        this.name = 'SessionError';
+        this.url = url; // Page that turned out to be a login wall
+    }
+}
+
+/**
+ * Parses an exported cookie file into Puppeteer cookie parameters. Both the Netscape
+ * cookies.txt format (curl, wget, most "export cookies" extensions) and JSON arrays of
+ * cookie objects (Puppeteer, EditThisCookie, Cookie-Editor) are understood.
+ *
+ * @param {string} content File content.
+ * @returns {Array<object>}
+ */
+function parseCookieFile(content) {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        const cookies = Array.isArray(parsed) ? parsed : parsed.cookies || [];
+        return cookies.filter(cookie => cookie.name && cookie.domain).map(cookie => {
+            const expires = cookie.expires !== undefined ? cookie.expires : cookie.expirationDate;
+            const result = {
+                name: cookie.name,
+                value: String(cookie.value || ''),
+                domain: cookie.domain,
+                path: cookie.path || '/',
+                secure: Boolean(cookie.secure),
+                httpOnly: Boolean(cookie.httpOnly)
+            };
+            if (typeof expires === 'number' && expires > 0) result.expires = expires;
+            return result;
+        });
+    }
+
+    const cookies = [];
+    trimmed.split(/\r?\n/).forEach(rawLine => {
+        let line = rawLine.trim();
+        let httpOnly = false;
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+            httpOnly = true;
+        } else if (!line || line.startsWith('#')) {
+            return;
+        }
+        const fields = line.split('\t');
+        if (fields.length < 7) return;
+        const [domain, , cookiePath, secure, expires, name, ...valueParts] = fields;
+        const cookie = {
+            name,
+            value: valueParts.join('\t'),
+            domain,
+            path: cookiePath || '/',
+            secure: secure.toUpperCase() === 'TRUE',
+            httpOnly
+        };
+        if (parseInt(expires, 10) > 0) cookie.expires = parseInt(expires, 10);
+        cookies.push(cookie);
+    });
+    return cookies;
+}
+
+// Where session cookies are kept between runs
+function sessionFilePath(settings) {
+    return path.resolve(settings.sessionFile || path.join(settings.outputDir, '.session.json'));
+}
+
+function hasCredentials(settings) {
+    return Boolean(settings.username && settings.password);
+}
+
+/**
+ * Tells whether the page is a login form (or a tease page asking to log in) rather than tease content.
+ *
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<boolean>}
+ */
+async function isLoginWall(page) {
+    if (/[?&]mode=login\b|\/login(\.php)?\b/i.test(page.url())) {
+        return true;
+    }
+    return page.evaluate(() => {
+        if (document.querySelector('img.tease_pic, #tease_content > p.text, a#continue')) {
+            return false;
+        }
+        if (document.querySelector('form input[type="password"]')) {
+            return true;
+        }
+        const text = document.body ? document.body.innerText : '';
+        return /\b(must|need to|have to|please) (be )?log(ged)?\s?in\b/i.test(text);
+    });
+}
+
+// Writes the browser's cookies to the session file, readable only by the current user
+async function saveSession(page, settings) {
+    const cookies = await page.cookies();
+    const filePath = sessionFilePath(settings);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(cookies, null, 2), { mode: 0o600 });
+    log.info(`Session cookies saved to: ${filePath}`);
+}
+
+/**
+ * Logs in with the configured username and password and stores the session cookies.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {object} settings Resolved scraper options.
+ * @param {string} [siteUrl] Any URL on the site; its origin is used to find the login page.
+ * @returns {Promise<void>}
+ */
+async function logIn(page, settings, siteUrl) {
+    if (!hasCredentials(settings)) {
+        throw new SessionError('Cannot log in: no username and password were given.');
+    }
+    const origin = new URL(siteUrl || DEFAULT_SITE_URL).origin;
+    const loginUrl = settings.loginUrl || new URL(LOGIN_PATH, origin).href;
+    log.info(`Logging in as "${settings.username}" at ${loginUrl}...`);
+
+    await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: settings.navigationTimeout });
+    const hasForm = await page.$('form input[type="password"]');
+    if (!hasForm) {
+        throw new SessionError(`No login form found at ${loginUrl}.`, { url: loginUrl });
+    }
+
+    await page.evaluate((username, password) => {
+        const passwordInput = document.querySelector('form input[type="password"]');
+        const form = passwordInput.form;
+        const usernameInput = form.querySelector('input[name="username"], input[type="email"], input[type="text"]');
+        usernameInput.value = username;
+        passwordInput.value = password;
+        const rememberMe = form.querySelector('input[name="autologin"], input[name="remember"]');
+        if (rememberMe) rememberMe.checked = true;
+        // The submit button's name is part of the form data some login handlers check for
+        const submitButton = form.querySelector('input[type="submit"], button[type="submit"], button:not([type])');
+        form.requestSubmit(submitButton || undefined);
+    }, settings.username, settings.password);
+    await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: settings.navigationTimeout }).catch(() => {});
+
+    if (await isLoginWall(page)) {
+        throw new SessionError(`Login as "${settings.username}" failed: check the username and password.`, { url: page.url() });
+    }
+    log.info('Logged in.');
+    await saveSession(page, settings);
+}
+
+/**
+ * Prepares the browser's session before scraping: imports the cookie file, restores the
+ * cookies saved by an earlier login and, when credentials are given but no session was
+ * saved yet, logs in.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {object} settings Resolved scraper options.
+ * @param {string} [siteUrl] URL about to be scraped.
+ * @returns {Promise<void>}
+ */
+async function startSession(page, settings, siteUrl) {
+    const filePath = sessionFilePath(settings);
+    let restored = false;
+    if (fs.existsSync(filePath)) {
+        const saved = parseCookieFile(await fs.promises.readFile(filePath, 'utf8'));
+        if (saved.length > 0) {
+            await page.setCookie(...saved);
+            restored = true;
+            log.info(`Restored saved session from ${filePath}.`);
+        }
+    }
+
+    // Imported cookies are applied last so they win over an older saved session
+    if (settings.cookieFile) {
+        const imported = parseCookieFile(await fs.promises.readFile(settings.cookieFile, 'utf8'));
+        await page.setCookie(...imported);
+        log.info(`Imported ${imported.length} cookie(s) from ${settings.cookieFile}.`);
+    }
+
+    if (hasCredentials(settings) && !restored && !settings.cookieFile) {
+        await logIn(page, settings, siteUrl);
+    }
+}
+
+/**
+ * Decides what to do when a navigation landed on a login wall. With credentials the scraper
+ * logs in again, once per run, and the caller should retry the page; otherwise (or when the
+ * fresh login did not help) a SessionError is thrown so no login page is ever saved as tease content.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {object} settings Resolved scraper options.
+ * @param {{renewed: boolean}} state Per-run state shared between calls.
+ * @returns {Promise<boolean>} true when the page should be loaded again.
+ */
+async function handleLoginWall(page, settings, state) {
+    if (!await isLoginWall(page)) {
+        return false;
+    }
+    const wallUrl = page.url();
+    if (hasCredentials(settings) && !state.renewed) {
+        log.warn(`Redirected to a login page (${wallUrl}). The session has expired; logging in again...`);
+        state.renewed = true;
+        await logIn(page, settings, wallUrl);
+        return true;
+    }
+    const advice = hasCredentials(settings)
+        ? 'Logging in again did not help; the account may not have access to this tease.'
+        : 'Either the session has expired or this tease needs a login; pass --username and --password, --cookies <file> or --profile <dir>.';
+    throw new SessionError(`Login required at ${wallUrl}. ${advice}`, { url: wallUrl });
+}
+
+module.exports = {
+    SessionError,
+    parseCookieFile,
+    isLoginWall,
+    logIn,
+    startSession,
+    handleLoginWall
+};
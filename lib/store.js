@@ -0,0 +1,267 @@
+// lib/store.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { hashFile } = require('./filenames');
+const { log } = require('./logger');
+
+const STORE_FOLDER = '.image-store';
+const URL_INDEX_FILE = 'urls.json';
+
+const openStores = new Map(); // Store directory -> store, so every run in a process shares one URL index
+
+/**
+ * Puts `target` at `linkPath`: a hard link where possible, so the tease folder keeps an
+ * ordinary file, otherwise a relative symlink (for example when the store is on another
+ * drive), and a plain copy as the last resort.
+ */
+async function linkIntoPlace(target, linkPath) {
+    await fs.promises.unlink(linkPath).catch(() => {});
+    try {
+        await fs.promises.link(target, linkPath);
+    } catch (linkError) {
+        try {
+            await fs.promises.symlink(path.relative(path.dirname(linkPath), target), linkPath);
+        } catch (symlinkError) {
+            await fs.promises.copyFile(target, linkPath);
+        }
+    }
+}
+
+/**
+ * Creates a content-addressed file store. Files are kept once, as <store>/<ab>/<sha256><ext>,
+ * and tease folders link to them. urls.json remembers which URL gave which file, so a URL
+ * already in the store is never downloaded again.
+ *
+ * @param {string} storeDirectory
+ * @returns {{directory: string, lookup: function, adopt: function, linkTo: function, forget: function, forgetMissing: function}}
+ */
+function createImageStore(storeDirectory) {
+    const indexPath = path.join(storeDirectory, URL_INDEX_FILE);
+    let urlIndex = null; // URL -> path relative to the store, loaded on first use
+    let saving = Promise.resolve();
+
+    async function loadIndex() {
+        if (!urlIndex) {
+            try {
+                urlIndex = JSON.parse(await fs.promises.readFile(indexPath, 'utf8'));
+            } catch (e) {
+                urlIndex = {};
+            }
+        }
+        return urlIndex;
+    }
+
+    // Writes are chained so concurrent downloads never interleave two saves of urls.json
+    function saveIndex() {
+        saving = saving.then(async () => {
+            const tempPath = `${indexPath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(urlIndex, null, 2));
+            await fs.promises.rename(tempPath, indexPath);
+        }).catch(error => log.warn(`Could not save the image store index: ${error.message}`));
+        return saving;
+    }
+
+    return {
+        directory: storeDirectory,
+
+        /**
+         * Finds the stored file a URL was downloaded to before.
+         *
+         * @param {string} url
+         * @returns {Promise<string|null>} Absolute path in the store, or null.
+         */
+        async lookup(url) {
+            const index = await loadIndex();
+            if (!index[url]) return null;
+            const storedPath = path.join(storeDirectory, index[url]);
+            if (fs.existsSync(storedPath)) return storedPath;
+            delete index[url]; // Removed by a cleanup since
+            return null;
+        },
+
+        /**
+         * Moves a freshly downloaded file into the store and leaves a link in its place.
+         * A file whose content is already stored is replaced by a link to the stored copy.
+         *
+         * @param {string} filePath Downloaded file inside a tease folder.
+         * @param {string} [url] URL it came from, remembered for lookup().
+         * @returns {Promise<string>} Absolute path of the stored file.
+         */
+        async adopt(filePath, url) {
+            const hash = await hashFile(filePath);
+            const relativePath = path.join(hash.slice(0, 2), hash + path.extname(filePath).toLowerCase());
+            const storedPath = path.join(storeDirectory, relativePath);
+            await fs.promises.mkdir(path.dirname(storedPath), { recursive: true });
+
+            if (!fs.existsSync(storedPath)) {
+                try {
+                    await fs.promises.link(filePath, storedPath);
+                } catch (error) {
+                    if (error.code !== 'EEXIST') await fs.promises.copyFile(filePath, storedPath); // No hard links here
+                }
+            }
+            // The same picture was stored before (or had to be copied in): keep one copy, linked from here
+            const [fileStats, storedStats] = await Promise.all([fs.promises.stat(filePath), fs.promises.stat(storedPath)]);
+            if (fileStats.ino !== storedStats.ino || fileStats.dev !== storedStats.dev) {
+                await linkIntoPlace(storedPath, filePath);
+            }
+
+            if (url) {
+                const index = await loadIndex();
+                if (index[url] !== relativePath) {
+                    index[url] = relativePath;
+                    await saveIndex();
+                }
+            }
+            return storedPath;
+        },
+
+        /**
+         * Links a stored file into a tease folder under the destination's name, with the
+         * stored file's extension (which follows its real type).
+         *
+         * @param {string} storedPath
+         * @param {string} destination
+         * @returns {Promise<string>} Path of the link.
+         */
+        async linkTo(storedPath, destination) {
+            const linkPath = destination.slice(0, destination.length - path.extname(destination).length) + path.extname(storedPath);
+            await fs.promises.mkdir(path.dirname(linkPath), { recursive: true });
+            await linkIntoPlace(storedPath, linkPath);
+            return linkPath;
+        },
+
+        // Makes the next download of `url` fetch it again, e.g. when its stored copy is damaged
+        async forget(url) {
+            const index = await loadIndex();
+            if (index[url]) {
+                delete index[url];
+                await saveIndex();
+            }
+        },
+
+        // Drops URLs whose file is no longer in the store
+        async forgetMissing() {
+            const index = await loadIndex();
+            for (const [url, relativePath] of Object.entries(index)) {
+                if (!fs.existsSync(path.join(storeDirectory, relativePath))) delete index[url];
+            }
+            await saveIndex();
+        }
+    };
+}
+
+function imageStoreDirectory(settings) {
+    return path.resolve(settings.imageStoreDir || path.join(settings.outputDir, STORE_FOLDER));
+}
+
+/**
+ * Returns the shared image store for resolved scraper settings, or null when `sharedStore`
+ * is off.
+ *
+ * @param {object} settings Resolved scraper options.
+ * @returns {object|null}
+ */
+function openImageStore(settings) {
+    if (!settings.sharedStore) return null;
+    const storeDirectory = imageStoreDirectory(settings);
+    if (!openStores.has(storeDirectory)) {
+        openStores.set(storeDirectory, createImageStore(storeDirectory));
+    }
+    return openStores.get(storeDirectory);
+}
+
+// Every file below `directory` (not following symlinks), skipping the folders in `skip`
+async function* walkFiles(directory, skip = []) {
+    const dirents = await fs.promises.readdir(directory, { withFileTypes: true }).catch(() => []);
+    for (const dirent of dirents) {
+        const fullPath = path.join(directory, dirent.name);
+        if (dirent.isDirectory()) {
+            if (!skip.includes(fullPath)) yield* walkFiles(fullPath, skip);
+        } else {
+            yield { fullPath, dirent };
+        }
+    }
+}
+
+/**
+ * Adds the images of already archived teases to the store, so teases scraped before the
+ * store was turned on share their duplicates too.
+ *
+ * @param {string} downloadsDir
+ * @param {object} [options] Scraper options (imageStoreDir).
+ * @returns {Promise<{files: number, linked: number, savedBytes: number}>}
+ */
+async function importIntoImageStore(downloadsDir, options = {}) {
+    downloadsDir = path.resolve(downloadsDir);
+    const storeDirectory = imageStoreDirectory({ outputDir: downloadsDir, imageStoreDir: options.imageStoreDir });
+    const store = openImageStore({ sharedStore: true, outputDir: downloadsDir, imageStoreDir: storeDirectory });
+    const result = { files: 0, linked: 0, savedBytes: 0 };
+
+    const teaseFolders = await fs.promises.readdir(downloadsDir, { withFileTypes: true }).catch(() => []);
+    for (const teaseFolder of teaseFolders) {
+        if (!teaseFolder.isDirectory() || path.join(downloadsDir, teaseFolder.name) === storeDirectory) continue;
+        for (const mediaFolder of ['pics', 'audio']) {
+            for await (const { fullPath, dirent } of walkFiles(path.join(downloadsDir, teaseFolder.name, mediaFolder))) {
+                if (!dirent.isFile() || fullPath.endsWith('.part')) continue;
+                const stats = await fs.promises.stat(fullPath);
+                if (stats.size === 0) continue;
+                result.files++;
+                if (stats.nlink > 1) continue; // Already linked to the store (or elsewhere)
+                const storedPath = await store.adopt(fullPath);
+                if (storedPath && (await fs.promises.stat(storedPath)).nlink > 2) {
+                    result.savedBytes += stats.size; // Another tease already had this picture
+                }
+                result.linked++;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Deletes store files that no tease folder under `downloadsDir` links to any more
+ * (including the update history folders).
+ *
+ * @param {string} downloadsDir
+ * @param {object} [options]
+ * @param {string} [options.imageStoreDir] Store location (default <downloadsDir>/.image-store).
+ * @param {boolean} [options.dryRun] Only report what would be deleted.
+ * @returns {Promise<{checked: number, removed: string[], freedBytes: number}>}
+ */
+async function cleanImageStore(downloadsDir, options = {}) {
+    downloadsDir = path.resolve(downloadsDir);
+    const storeDirectory = imageStoreDirectory({ outputDir: downloadsDir, imageStoreDir: options.imageStoreDir });
+
+    // Store files are in use when a tease file shares their inode or a symlink points at them
+    const usedInodes = new Set();
+    const usedPaths = new Set();
+    for await (const { fullPath, dirent } of walkFiles(downloadsDir, [storeDirectory])) {
+        if (dirent.isSymbolicLink()) {
+            const target = await fs.promises.realpath(fullPath).catch(() => null);
+            if (target) usedPaths.add(target);
+        } else if (dirent.isFile()) {
+            const stats = await fs.promises.stat(fullPath);
+            usedInodes.add(`${stats.dev}:${stats.ino}`);
+        }
+    }
+
+    const result = { checked: 0, removed: [], freedBytes: 0 };
+    for await (const { fullPath, dirent } of walkFiles(storeDirectory)) {
+        if (!dirent.isFile() || path.dirname(fullPath) === storeDirectory) continue; // urls.json and temp files
+        result.checked++;
+        const stats = await fs.promises.stat(fullPath);
+        const realPath = await fs.promises.realpath(fullPath);
+        if (usedInodes.has(`${stats.dev}:${stats.ino}`) || usedPaths.has(realPath)) continue;
+        result.removed.push(path.relative(storeDirectory, fullPath));
+        result.freedBytes += stats.size;
+        if (!options.dryRun) await fs.promises.unlink(fullPath);
+    }
+
+    if (!options.dryRun && result.removed.length > 0 && fs.existsSync(storeDirectory)) {
+        await openImageStore({ sharedStore: true, outputDir: downloadsDir, imageStoreDir: storeDirectory }).forgetMissing();
+    }
+    return result;
+}
+
+module.exports = { STORE_FOLDER, createImageStore, openImageStore, importIntoImageStore, cleanImageStore };
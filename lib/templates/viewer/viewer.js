@@ -0,0 +1,559 @@
+// Viewer script. galleryData (the pages) and teaseInfo (manifest.json's tease details) are defined before it.
+let currentIndex = 0;
+const currentImage = document.getElementById('current-image');
+const imageDescription = document.getElementById('image-description');
+const prevArrow = document.getElementById('prev-arrow');
+const nextArrow = document.getElementById('next-arrow');
+const fullscreenBtn = document.getElementById('fullscreen-btn');
+const pageSelectDropdown = document.getElementById('page-select-dropdown');
+const galleryContainer = document.getElementById('gallery-container');
+const slideshowBtn = document.getElementById('slideshow-btn');
+const slideshowSeconds = document.getElementById('slideshow-seconds');
+const bookmarkBtn = document.getElementById('bookmark-btn');
+const formatBtn = document.getElementById('format-btn');
+const bookmarkSelect = document.getElementById('bookmark-select');
+const gridBtn = document.getElementById('grid-btn');
+const gridOverlay = document.getElementById('grid-overlay');
+const searchInput = document.getElementById('search-input');
+const searchResults = document.getElementById('search-results');
+const pageLinks = document.getElementById('page-links');
+const mapBtn = document.getElementById('map-btn');
+const mapOverlay = document.getElementById('map-overlay');
+const pageMap = document.getElementById('page-map');
+
+// Reading position, bookmarks and slideshow speed are kept per tease in localStorage,
+// which browsers also offer to pages opened from file://
+const storageKey = 'miloscrap:' + (teaseInfo && teaseInfo.id ? 'tease-' + teaseInfo.id : window.location.pathname);
+const viewerState = Object.assign({ lastPage: null, bookmarks: [], slideshowSeconds: 5, plainText: false }, loadViewerState());
+let slideshowTimer = null;
+let slideshowRunning = false;
+const preloadedImages = new Map(); // src -> Image, keeps the next pages in the browser cache
+// Teases saved with the links between their pages are followed by those links rather than
+// in saved order; trail holds the pages followed to get here, for the back arrow
+const hasPageLinks = galleryData.some(item => Array.isArray(item.links));
+let trail = [];
+
+function loadViewerState() {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveViewerState() {
+    try {
+        localStorage.setItem(storageKey, JSON.stringify(viewerState));
+    } catch (e) {
+        // Storage can be switched off; the viewer still works without it
+    }
+}
+
+function updateGallery() {
+    if (galleryData.length === 0) {
+        currentImage.src = '';
+        imageDescription.textContent = 'No images to display.';
+        return;
+    }
+
+    const item = galleryData[currentIndex];
+    currentImage.src = "pics/"+item.imageFilename;
+    showDescription(item);
+    showPageLinks(item);
+    // Update URL hash
+    window.location.hash = "#" + parseInt(item.pageNumber);
+    // Update dropdown selection
+    pageSelectDropdown.value = item.pageNumber;
+
+    viewerState.lastPage = parseInt(item.pageNumber);
+    saveViewerState();
+    updateBookmarkButton();
+    markCurrentThumbnail();
+    preloadAround(currentIndex);
+    scheduleSlide();
+}
+
+// Formatted text was sanitized when the tease was saved; the plain text is the fallback
+function showDescription(item) {
+    if (item.failure) {
+        imageDescription.textContent = 'This page could not be scraped: ' + item.failure.reason;
+    } else if (item.descriptionHtml && !viewerState.plainText) {
+        imageDescription.innerHTML = item.descriptionHtml;
+    } else {
+        imageDescription.textContent = item.description;
+    }
+    formatBtn.textContent = viewerState.plainText ? 'Formatted' : 'Plain';
+    formatBtn.title = viewerState.plainText ? 'Show the description with its formatting' : 'Show the description as plain text';
+}
+
+// Buttons for the pages this page links to; pages that were never saved are shown but disabled
+function showPageLinks(item) {
+    pageLinks.innerHTML = '';
+    (item.links || []).forEach(link => {
+        const button = document.createElement('button');
+        button.className = 'control-btn page-link';
+        button.textContent = (link.label || 'Page ' + link.pageNumber) + ' \u2192 ' + link.pageNumber;
+        if (pageIndex(link.pageNumber) === -1) {
+            button.disabled = true;
+            button.title = 'Page ' + link.pageNumber + ' was not saved';
+        } else {
+            button.title = 'Go to page ' + link.pageNumber;
+            button.addEventListener('click', () => followLink(link.pageNumber));
+        }
+        pageLinks.appendChild(button);
+    });
+}
+
+function togglePlainText() {
+    viewerState.plainText = !viewerState.plainText;
+    saveViewerState();
+    if (galleryData.length > 0) showDescription(galleryData[currentIndex]);
+}
+
+function navigate(direction) {
+    if (galleryData.length === 0) return;
+
+    // A page with a single link leads on to it; back returns along the links followed.
+    // Otherwise, and at a page linking to several others, the arrows go through the saved order.
+    const links = galleryData[currentIndex].links || [];
+    if (direction > 0 && links.length === 1 && pageIndex(links[0].pageNumber) !== -1) {
+        followLink(links[0].pageNumber);
+        return;
+    }
+    if (direction < 0 && trail.length > 0) {
+        currentIndex = trail.pop();
+        updateGallery();
+        return;
+    }
+
+    trail = [];
+    currentIndex += direction;
+
+    if (currentIndex < 0) {
+        currentIndex = galleryData.length - 1;
+    } else if (currentIndex >= galleryData.length) {
+        currentIndex = 0;
+    }
+    updateGallery();
+}
+
+function pageIndex(pageNumber) {
+    return galleryData.findIndex(item => parseInt(item.pageNumber) === parseInt(pageNumber));
+}
+
+function goToPage(pageNumber) {
+    const index = pageIndex(pageNumber);
+    if (index !== -1) {
+        trail = []; // A jump starts a new path
+        currentIndex = index;
+        updateGallery();
+    }
+}
+
+function followLink(pageNumber) {
+    const from = currentIndex;
+    goToPage(pageNumber);
+    if (currentIndex !== from) trail.push(from);
+}
+
+// Loads the next three images, the previous one and those of the linked pages ahead of time,
+// so page turns do not flicker
+function preloadAround(index) {
+    const wanted = new Set();
+    const nearby = [1, 2, 3, -1].map(offset => galleryData[(index + offset + galleryData.length) % galleryData.length]);
+    (galleryData[index].links || []).forEach(link => nearby.push(galleryData[pageIndex(link.pageNumber)]));
+    nearby.forEach(item => {
+        if (item && item.imageFilename) wanted.add("pics/"+item.imageFilename);
+    });
+    wanted.forEach(src => {
+        if (!preloadedImages.has(src)) {
+            const image = new Image();
+            image.src = src;
+            preloadedImages.set(src, image);
+        }
+    });
+    Array.from(preloadedImages.keys()).forEach(src => {
+        if (!wanted.has(src)) preloadedImages.delete(src);
+    });
+}
+
+// --- Slideshow ---
+function scheduleSlide() {
+    clearTimeout(slideshowTimer);
+    if (!slideshowRunning) return;
+    slideshowTimer = setTimeout(() => {
+        if (currentIndex >= galleryData.length - 1) {
+            stopSlideshow(); // Stop at the last page instead of starting over
+        } else {
+            navigate(1);
+        }
+    }, viewerState.slideshowSeconds * 1000);
+}
+
+function startSlideshow() {
+    slideshowRunning = true;
+    slideshowBtn.classList.add('active');
+    slideshowBtn.innerHTML = '&#10073;&#10073; Pause';
+    scheduleSlide();
+}
+
+function stopSlideshow() {
+    slideshowRunning = false;
+    clearTimeout(slideshowTimer);
+    slideshowBtn.classList.remove('active');
+    slideshowBtn.innerHTML = '&#9654; Play';
+}
+
+function toggleSlideshow() {
+    if (slideshowRunning) {
+        stopSlideshow();
+    } else {
+        startSlideshow();
+    }
+}
+
+// --- Bookmarks ---
+function isBookmarked(pageNumber) {
+    return viewerState.bookmarks.includes(pageNumber);
+}
+
+function toggleBookmark() {
+    if (galleryData.length === 0) return;
+    const pageNumber = parseInt(galleryData[currentIndex].pageNumber);
+    if (isBookmarked(pageNumber)) {
+        viewerState.bookmarks = viewerState.bookmarks.filter(bookmark => bookmark !== pageNumber);
+    } else {
+        viewerState.bookmarks = viewerState.bookmarks.concat(pageNumber).sort((a, b) => a - b);
+    }
+    saveViewerState();
+    updateBookmarkButton();
+    renderBookmarks();
+    if (gridOverlay.childElementCount > 1) buildGrid(); // Refresh the bookmark marks
+}
+
+function updateBookmarkButton() {
+    const bookmarked = galleryData.length > 0 && isBookmarked(parseInt(galleryData[currentIndex].pageNumber));
+    bookmarkBtn.innerHTML = bookmarked ? '&#9733;' : '&#9734;';
+    bookmarkBtn.classList.toggle('active', bookmarked);
+}
+
+function renderBookmarks() {
+    bookmarkSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Bookmarks (' + viewerState.bookmarks.length + ')';
+    bookmarkSelect.appendChild(placeholder);
+    viewerState.bookmarks.forEach(pageNumber => {
+        const item = galleryData.find(entry => parseInt(entry.pageNumber) === pageNumber);
+        if (!item) return;
+        const option = document.createElement('option');
+        option.value = pageNumber;
+        option.textContent = 'Page ' + pageNumber + ': ' + (item.description || '').slice(0, 40);
+        bookmarkSelect.appendChild(option);
+    });
+}
+
+// --- Thumbnail grid ---
+function buildGrid() {
+    Array.from(gridOverlay.querySelectorAll('.thumbnail')).forEach(thumbnail => thumbnail.remove());
+    galleryData.forEach((item, index) => {
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'thumbnail';
+        thumbnail.dataset.index = index;
+        const image = document.createElement('img');
+        image.loading = 'lazy'; // Only load what is scrolled into view
+        image.src = "pics/"+item.imageFilename;
+        image.alt = 'Page ' + item.pageNumber;
+        const label = document.createElement('div');
+        label.textContent = 'Page ' + item.pageNumber;
+        thumbnail.appendChild(image);
+        thumbnail.appendChild(label);
+        if (isBookmarked(parseInt(item.pageNumber))) {
+            const mark = document.createElement('span');
+            mark.className = 'bookmark-mark';
+            mark.innerHTML = '&#9733;';
+            thumbnail.appendChild(mark);
+        }
+        thumbnail.addEventListener('click', () => {
+            closeGrid();
+            goToPage(parseInt(item.pageNumber));
+        });
+        gridOverlay.appendChild(thumbnail);
+    });
+    markCurrentThumbnail();
+}
+
+function markCurrentThumbnail() {
+    gridOverlay.querySelectorAll('.thumbnail').forEach(thumbnail => {
+        thumbnail.classList.toggle('current', parseInt(thumbnail.dataset.index) === currentIndex);
+    });
+}
+
+function openGrid() {
+    if (gridOverlay.childElementCount <= 1) buildGrid(); // Built on first use only
+    gridOverlay.classList.add('open');
+    const current = gridOverlay.querySelector('.thumbnail.current');
+    if (current) current.scrollIntoView({ block: 'center' });
+}
+
+function closeGrid() {
+    gridOverlay.classList.remove('open');
+}
+
+// --- Page map ---
+// Columns by the number of links followed from the first page; pages no link leads to
+// come last. Lines are drawn once the boxes are laid out, dashed for links back.
+function buildMap() {
+    pageMap.innerHTML = '';
+    const depths = new Map();
+    const queue = [0];
+    depths.set(0, 0);
+    while (queue.length > 0) {
+        const index = queue.shift();
+        (galleryData[index].links || []).forEach(link => {
+            const target = pageIndex(link.pageNumber);
+            if (target !== -1 && !depths.has(target)) {
+                depths.set(target, depths.get(index) + 1);
+                queue.push(target);
+            }
+        });
+    }
+    const lastDepth = Math.max(...depths.values()) + 1;
+    const columns = [];
+    const nodes = new Map(); // Index -> box
+    galleryData.forEach((item, index) => {
+        const depth = depths.has(index) ? depths.get(index) : lastDepth;
+        if (!columns[depth]) columns[depth] = [];
+        const node = document.createElement('button');
+        node.className = 'map-node' + (item.failure ? ' failed' : '');
+        node.dataset.index = index;
+        const title = document.createElement('strong');
+        title.textContent = 'Page ' + item.pageNumber;
+        node.appendChild(title);
+        node.appendChild(document.createTextNode((item.failure ? item.failure.reason : item.description || '').slice(0, 50)));
+        node.addEventListener('click', () => {
+            closeMap();
+            goToPage(parseInt(item.pageNumber));
+        });
+        columns[depth].push(node);
+        nodes.set(index, node);
+    });
+    columns.filter(Boolean).forEach(columnNodes => {
+        const column = document.createElement('div');
+        column.className = 'map-column';
+        columnNodes.forEach(node => column.appendChild(node));
+        pageMap.appendChild(column);
+    });
+
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const lines = document.createElementNS(svgNamespace, 'svg');
+    lines.setAttribute('class', 'map-lines');
+    lines.setAttribute('width', pageMap.scrollWidth);
+    lines.setAttribute('height', pageMap.scrollHeight);
+    const origin = pageMap.getBoundingClientRect();
+    galleryData.forEach((item, index) => {
+        (item.links || []).forEach(link => {
+            const target = pageIndex(link.pageNumber);
+            if (target === -1) return;
+            const from = nodes.get(index).getBoundingClientRect();
+            const to = nodes.get(target).getBoundingClientRect();
+            const x1 = from.right - origin.left;
+            const y1 = from.top + from.height / 2 - origin.top;
+            const x2 = to.left - origin.left;
+            const y2 = to.top + to.height / 2 - origin.top;
+            const path = document.createElementNS(svgNamespace, 'path');
+            path.setAttribute('d', 'M' + x1 + ' ' + y1 + ' C' + (x1 + 40) + ' ' + y1 + ' ' + (x2 - 40) + ' ' + y2 + ' ' + x2 + ' ' + y2);
+            if (x2 < x1) path.setAttribute('class', 'back');
+            lines.appendChild(path);
+        });
+    });
+    pageMap.appendChild(lines);
+    markCurrentMapNode();
+}
+
+function markCurrentMapNode() {
+    pageMap.querySelectorAll('.map-node').forEach(node => {
+        node.classList.toggle('current', parseInt(node.dataset.index) === currentIndex);
+    });
+}
+
+function openMap() {
+    mapOverlay.classList.add('open');
+    buildMap(); // The lines need the boxes on screen to be placed
+    const current = pageMap.querySelector('.map-node.current');
+    if (current) current.scrollIntoView({ block: 'center', inline: 'center' });
+}
+
+function closeMap() {
+    mapOverlay.classList.remove('open');
+}
+
+// --- Search ---
+// Lowercase without accents, so "deja" finds "Déjà"
+function foldText(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function findMatches(query) {
+    const folded = foldText(query).trim();
+    if (!folded) return [];
+    return galleryData.filter(item => foldText(item.description).includes(folded));
+}
+
+function showSearchResults() {
+    searchResults.innerHTML = '';
+    const query = foldText(searchInput.value).trim();
+    const matches = findMatches(searchInput.value);
+    if (!query) return;
+    if (matches.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'search-result';
+        empty.textContent = 'No page mentions "' + searchInput.value.trim() + '".';
+        searchResults.appendChild(empty);
+        return;
+    }
+    matches.slice(0, 100).forEach(item => {
+        const text = item.description || '';
+        // Folding keeps one character per letter for most text, so positions line up with the original
+        const position = Math.max(0, foldText(text).indexOf(query));
+        const start = Math.max(0, position - 30);
+        const result = document.createElement('div');
+        result.className = 'search-result';
+        result.appendChild(document.createTextNode('Page ' + item.pageNumber + ': ' + (start > 0 ? '...' : '') + text.slice(start, position)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(position, position + query.length);
+        result.appendChild(mark);
+        result.appendChild(document.createTextNode(text.slice(position + query.length, position + query.length + 60) + '...'));
+        result.addEventListener('click', () => {
+            goToPage(parseInt(item.pageNumber));
+            searchResults.innerHTML = '';
+        });
+        searchResults.appendChild(result);
+    });
+}
+
+// Enter jumps to the next matching page after the current one, wrapping around
+function jumpToNextMatch() {
+    const matches = findMatches(searchInput.value);
+    if (matches.length === 0) return;
+    const next = matches.find(item => galleryData.indexOf(item) > currentIndex) || matches[0];
+    goToPage(parseInt(next.pageNumber));
+}
+
+function toggleFullscreen() {
+    if (!document.fullscreenElement) {
+        galleryContainer.requestFullscreen().catch(err => {
+            alert("Error attempting to enable full-screen mode: " + err.message + " (" + err.name + ")");
+        });
+    } else {
+        document.exitFullscreen();
+    }
+}
+
+function showTeaseInfo() {
+    if (!teaseInfo) return;
+    document.title = teaseInfo.title || document.title;
+    const parts = [teaseInfo.title];
+    if (teaseInfo.author && teaseInfo.author.name) parts.push("by " + teaseInfo.author.name);
+    document.getElementById('tease-info').textContent = parts.filter(Boolean).join(' ');
+}
+
+function initializeGallery() {
+    showTeaseInfo();
+
+    // Populate page selection dropdown
+    galleryData.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.pageNumber;
+        option.textContent = "Page "+item.pageNumber;
+        pageSelectDropdown.appendChild(option);
+    });
+    renderBookmarks();
+    slideshowSeconds.value = viewerState.slideshowSeconds;
+    // Teases saved before formatting was kept have nothing to switch between
+    if (!galleryData.some(item => item.descriptionHtml)) formatBtn.style.display = 'none';
+    // Teases saved before the links between pages were kept are one straight sequence
+    if (!hasPageLinks || galleryData.length === 0) mapBtn.style.display = 'none';
+
+    // Check for hash in URL, then for the page last read
+    const hashPage = parseInt(window.location.hash.substring(1));
+    if (!isNaN(hashPage)) {
+        goToPage(hashPage);
+    } else if (viewerState.lastPage !== null && galleryData.some(item => parseInt(item.pageNumber) === viewerState.lastPage)) {
+        goToPage(viewerState.lastPage);
+    } else {
+        updateGallery(); // Load the first image if no hash
+    }
+
+    // Event Listeners
+    prevArrow.addEventListener('click', () => navigate(-1));
+    nextArrow.addEventListener('click', () => navigate(1));
+    fullscreenBtn.addEventListener('click', toggleFullscreen);
+    pageSelectDropdown.addEventListener('change', (event) => {
+        goToPage(parseInt(event.target.value));
+    });
+    slideshowBtn.addEventListener('click', toggleSlideshow);
+    slideshowSeconds.addEventListener('change', () => {
+        viewerState.slideshowSeconds = Math.max(1, parseFloat(slideshowSeconds.value) || 5);
+        slideshowSeconds.value = viewerState.slideshowSeconds;
+        saveViewerState();
+        scheduleSlide();
+    });
+    bookmarkBtn.addEventListener('click', toggleBookmark);
+    bookmarkSelect.addEventListener('change', () => {
+        if (bookmarkSelect.value) goToPage(parseInt(bookmarkSelect.value));
+        bookmarkSelect.value = '';
+    });
+    formatBtn.addEventListener('click', togglePlainText);
+    gridBtn.addEventListener('click', openGrid);
+    document.getElementById('grid-close').addEventListener('click', closeGrid);
+    mapBtn.addEventListener('click', openMap);
+    document.getElementById('map-close').addEventListener('click', closeMap);
+    searchInput.addEventListener('input', showSearchResults);
+    searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            jumpToNextMatch();
+        } else if (event.key === 'Escape') {
+            searchInput.value = '';
+            searchResults.innerHTML = '';
+            searchInput.blur();
+        }
+    });
+
+    document.addEventListener('keydown', (event) => {
+        // Keys typed into the search box or the timer are not shortcuts
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        if (event.key === 'Escape' && gridOverlay.classList.contains('open')) {
+            closeGrid();
+        } else if (event.key === 'Escape' && mapOverlay.classList.contains('open')) {
+            closeMap();
+        } else if (event.key === 'ArrowLeft') {
+            navigate(-1);
+        } else if (event.key === 'ArrowRight') {
+            navigate(1);
+        } else if (event.key === 'f' || event.key === 'F') {
+            toggleFullscreen();
+        } else if (event.key === ' ') {
+            event.preventDefault();
+            toggleSlideshow();
+        } else if (event.key === 'b' || event.key === 'B') {
+            toggleBookmark();
+        } else if (event.key === 'g' || event.key === 'G') {
+            if (gridOverlay.classList.contains('open')) closeGrid(); else openGrid();
+        } else if ((event.key === 'm' || event.key === 'M') && hasPageLinks) {
+            if (mapOverlay.classList.contains('open')) closeMap(); else openMap();
+        } else if (event.key === '/') {
+            event.preventDefault();
+            searchInput.focus();
+        }
+    });
+
+    window.addEventListener('hashchange', () => {
+        const hashPage = parseInt(window.location.hash.substring(1));
+        if (!isNaN(hashPage) && parseInt(galleryData[currentIndex].pageNumber) !== hashPage) {
+            goToPage(hashPage);
+        }
+    });
+}
+
+initializeGallery();
@@ -0,0 +1,375 @@
+// lib/update.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const { launchBrowser, openPage, navigate } = require('./browser');
+const { readClassicPage, pageIdFromUrl, createPageQueue } = require('./classic');
+const { createDownloadQueue, formatQueueProgress } = require('./download-queue');
+const { validateFilenameTemplate, templateUsesHash, buildImageFilename, uniqueFilename, renameToContentHash } = require('./filenames');
+const { extractTeaseMetadata, buildManifest, writeManifest, readManifest } = require('./manifest');
+const { generateViewerHtml } = require('./viewer');
+const { resolveScraperOptions } = require('./options');
+const { startSession, handleLoginWall } = require('./session');
+const { PageError, classifyPage } = require('./classify');
+const { ensureScheduler } = require('./scheduler');
+const { openImageStore } = require('./store');
+const { log } = require('./logger');
+
+function normalizeDescription(description) {
+    return String(description || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compares the saved pages of a tease with a fresh walk of the live tease.
+ * Pages are matched by pageNumber; a page is "edited" when its description
+ * (ignoring whitespace differences), its imageUrl or the pages it links to changed.
+ * Links are only compared for pages saved with them.
+ *
+ * @param {Array} savedPages Pages from descriptions.json.
+ * @param {Array} livePages Pages read from the site.
+ * @returns {{added: Array, removed: Array, edited: Array, unchanged: Array}}
+ */
+function diffPages(savedPages, livePages) {
+    const savedByNumber = new Map(savedPages.map(page => [String(page.pageNumber), page]));
+    const liveNumbers = new Set(livePages.map(page => String(page.pageNumber)));
+    const result = { added: [], removed: [], edited: [], unchanged: [] };
+
+    livePages.forEach(livePage => {
+        const savedPage = savedByNumber.get(String(livePage.pageNumber));
+        if (!savedPage) {
+            result.added.push({ pageNumber: livePage.pageNumber, url: livePage.url });
+            return;
+        }
+        const changes = {};
+        if (normalizeDescription(savedPage.description) !== normalizeDescription(livePage.description)) {
+            changes.description = { before: savedPage.description, after: livePage.description };
+        }
+        if ((savedPage.imageUrl || null) !== (livePage.imageUrl || null)) {
+            changes.imageUrl = { before: savedPage.imageUrl || null, after: livePage.imageUrl || null };
+        }
+        const linkedPages = entry => (entry.links || []).map(link => String(link.pageNumber)).sort();
+        if (savedPage.links && linkedPages(savedPage).join() !== linkedPages(livePage).join()) {
+            changes.links = { before: linkedPages(savedPage), after: linkedPages(livePage) };
+        }
+        if (Object.keys(changes).length > 0) {
+            result.edited.push({ pageNumber: livePage.pageNumber, url: livePage.url, changes });
+        } else {
+            result.unchanged.push(livePage.pageNumber);
+        }
+    });
+
+    savedPages.forEach(savedPage => {
+        if (!liveNumbers.has(String(savedPage.pageNumber))) {
+            result.removed.push({ pageNumber: savedPage.pageNumber, url: savedPage.url });
+        }
+    });
+
+    return result;
+}
+
+// Walks every page of a classic tease, following its links as the scraper does, without downloading anything
+async function walkLiveTease(page, startUrl, settings) {
+    const livePages = [];
+    const pageQueue = createPageQueue();
+    let metadata = null;
+    let currentPageUrl = startUrl;
+    const sessionState = { renewed: false };
+
+    while (currentPageUrl && livePages.length < settings.maxHops) {
+        pageQueue.markVisited(pageIdFromUrl(currentPageUrl));
+        log.info(`\n--- Checking page ${livePages.length + 1}: ${currentPageUrl} ---`);
+        const response = await navigate(page, currentPageUrl, settings);
+        if (await handleLoginWall(page, settings, sessionState)) {
+            continue;
+        }
+        // An error page is not a change to the tease; the update stops and the folder is left alone
+        const pageStatus = await classifyPage(page, response);
+        if (pageStatus.kind !== 'tease') {
+            throw new PageError(`${currentPageUrl}: ${pageStatus.reason}`, { kind: pageStatus.kind, url: currentPageUrl, statusCode: pageStatus.statusCode });
+        }
+
+        if (!metadata) {
+            metadata = await extractTeaseMetadata(page).catch(() => null);
+        }
+
+        const classicPage = await readClassicPage(page);
+        if (livePages.some(livePage => livePage.pageNumber === classicPage.pageNumber)) {
+            currentPageUrl = pageQueue.next(); // Redirected to a page already read
+            continue;
+        }
+        pageQueue.markVisited(classicPage.pageNumber);
+        livePages.push({
+            pageNumber: classicPage.pageNumber,
+            url: classicPage.url,
+            description: classicPage.description !== null ? classicPage.description : 'No description found.',
+            descriptionHtml: classicPage.descriptionHtml,
+            imageUrl: classicPage.imageUrl,
+            links: classicPage.links
+        });
+        pageQueue.addPage(classicPage.links, classicPage.nextUrl);
+        currentPageUrl = pageQueue.next();
+        if (currentPageUrl && settings.delays.betweenPages > 0) {
+            await new Promise(r => setTimeout(r, settings.delays.betweenPages));
+        }
+    }
+
+    return { livePages, metadata };
+}
+
+// Moves an image out of pics/ into history/<stamp>/pics/. A relative symlink into the image
+// store would point nowhere from two folders deeper, so it is made again from its target.
+async function archiveImage(sourcePath, archivePath) {
+    const stats = await fs.promises.lstat(sourcePath);
+    if (!stats.isSymbolicLink()) {
+        await fs.promises.rename(sourcePath, archivePath);
+        return;
+    }
+    const target = path.resolve(path.dirname(sourcePath), await fs.promises.readlink(sourcePath));
+    await fs.promises.symlink(path.relative(path.dirname(archivePath), target), archivePath);
+    await fs.promises.unlink(sourcePath);
+}
+
+/**
+ * Downloads the new images of an update into a staging folder and points their pages at
+ * them. If any download fails the staging folder is removed and an error is thrown, so
+ * the caller can leave the tease as it was.
+ *
+ * @param {Map<string, Array<object>>} newImages Image URL -> page entries showing it.
+ * @param {string} stagingDirectory
+ * @param {Set<string>} takenFilenames Names that must not be used; the new names are added.
+ * @param {object} settings Resolved scraper options, with outputDir set to the downloads folder.
+ * @param {object} tease The manifest's tease details, for the filename template.
+ * @returns {Promise<string[]>} Filenames of the images in the staging folder.
+ */
+async function stageNewImages(newImages, stagingDirectory, takenFilenames, settings, tease) {
+    await fs.promises.mkdir(stagingDirectory, { recursive: true });
+    const downloadQueue = createDownloadQueue({
+        concurrency: settings.downloadConcurrency,
+        downloadOptions: { scheduler: settings.scheduler, proxy: settings.proxy },
+        store: openImageStore(settings),
+        onProgress: stats => log.debug(formatQueueProgress(stats))
+    });
+    const stagedFilenames = [];
+    const failures = [];
+    await Promise.all(Array.from(newImages.entries()).map(async ([imageUrl, pages]) => {
+        const firstPage = pages[0];
+        const filenameFields = {
+            pageNumber: firstPage.pageNumber,
+            teaseId: tease.id,
+            title: tease.title,
+            caption: firstPage.description,
+            imageUrl
+        };
+        const filename = uniqueFilename(buildImageFilename(settings.filenameTemplate, filenameFields), takenFilenames);
+        takenFilenames.add(filename);
+        try {
+            const download = await downloadQueue.add(imageUrl, path.join(stagingDirectory, filename));
+            if (templateUsesHash(settings.filenameTemplate)) {
+                download.path = await renameToContentHash(download.path, settings.filenameTemplate, filenameFields, takenFilenames);
+            }
+            stagedFilenames.push(path.basename(download.path));
+            pages.forEach((pageEntry, index) => {
+                pageEntry.imageFilename = path.basename(download.path); // Extension follows the real image type
+                pageEntry.imageNewlyDownloaded = index === 0;
+            });
+        } catch (error) {
+            log.warn(`Could not download image for page ${firstPage.pageNumber} (${imageUrl}): ${error.message}`, { pageNumber: firstPage.pageNumber });
+            failures.push(firstPage.pageNumber);
+        }
+    }));
+
+    if (failures.length > 0) {
+        await fs.promises.rm(stagingDirectory, { recursive: true, force: true });
+        throw new Error(`Could not download the new image(s) of page(s) ${failures.join(', ')}; nothing was changed. Try the update again later.`);
+    }
+    return stagedFilenames;
+}
+
+/**
+ * Re-walks an archived classic tease and brings the folder up to date with the live version.
+ * Only new or changed images are downloaded; images no longer used, together with the
+ * previous descriptions.json and manifest.json, are moved to history/<timestamp>/. Nothing
+ * is moved or replaced unless every new image could be downloaded; otherwise this throws
+ * and the folder is left as it was.
+ * A change report is written to the same history folder.
+ *
+ * @param {string} teaseDirectory
+ * @param {object} [options] Scraper options (see lib/options.js), plus:
+ * @param {import('puppeteer').Browser} [options.browser] Already launched browser to reuse.
+ * @returns {Promise<object>} The change report.
+ */
+async function updateTease(teaseDirectory, options = {}) {
+    const settings = resolveScraperOptions(options);
+    validateFilenameTemplate(settings.filenameTemplate);
+    ensureScheduler(settings);
+    teaseDirectory = path.resolve(teaseDirectory);
+    const manifest = await readManifest(teaseDirectory);
+    if (!manifest) {
+        throw new Error(`${teaseDirectory} does not contain descriptions.json or manifest.json.`);
+    }
+    if (manifest.tease.type === 'eos') {
+        throw new Error('The update command only supports classic teases.');
+    }
+
+    const descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+    const savedPages = fs.existsSync(descriptionFile)
+        ? JSON.parse(await fs.promises.readFile(descriptionFile, 'utf8'))
+        : manifest.pages;
+    const firstSavedPage = [...savedPages].sort((a, b) => (parseInt(a.pageNumber, 10) || 0) - (parseInt(b.pageNumber, 10) || 0))[0];
+    const startUrl = (firstSavedPage && firstSavedPage.url) || manifest.tease.sourceUrl;
+    if (!startUrl) {
+        throw new Error(`Cannot tell where ${teaseDirectory} was scraped from.`);
+    }
+
+    let browser;
+    let page;
+    let walk;
+    try {
+        browser = options.browser || await launchBrowser(settings);
+        page = await openPage(browser, settings);
+        await startSession(page, settings, startUrl);
+        walk = await walkLiveTease(page, startUrl, settings);
+    } finally {
+        if (page) await page.close().catch(() => {});
+        if (browser && !options.browser) await browser.close();
+    }
+    const { livePages, metadata } = walk;
+    if (livePages.length === 0) {
+        throw new Error(`No pages could be read from ${startUrl}.`);
+    }
+
+    const diff = diffPages(savedPages, livePages);
+    const checkedAt = new Date();
+    const report = {
+        teaseDirectory,
+        sourceUrl: startUrl,
+        checkedAt: checkedAt.toISOString(),
+        summary: {
+            added: diff.added.length,
+            removed: diff.removed.length,
+            edited: diff.edited.length,
+            unchanged: diff.unchanged.length,
+            imagesDownloaded: 0,
+            imagesArchived: 0
+        },
+        added: diff.added,
+        removed: diff.removed,
+        edited: diff.edited
+    };
+    const hasChanges = diff.added.length + diff.removed.length + diff.edited.length > 0;
+
+    // --- Work out which images can be kept and which must be fetched ---
+    const picsDirectory = path.join(teaseDirectory, 'pics');
+    const savedFileByUrl = new Map();
+    savedPages.forEach(savedPage => {
+        if (savedPage.imageUrl && savedPage.imageFilename && savedPage.imageFilename !== 'no_image.jpg'
+            && fs.existsSync(path.join(picsDirectory, savedPage.imageFilename))) {
+            savedFileByUrl.set(savedPage.imageUrl, savedPage.imageFilename);
+        }
+    });
+
+    const keptFilenames = new Set();
+    const newImages = new Map(); // Image URL -> pages needing it
+    const updatedPages = livePages.map(livePage => {
+        const savedPage = savedPages.find(candidate => String(candidate.pageNumber) === String(livePage.pageNumber));
+        const pageEntry = {
+            ...(savedPage || {}),
+            ...livePage,
+            imageFilename: 'no_image.jpg',
+            imageNewlyDownloaded: false
+        };
+        delete pageEntry.imageError;
+        delete pageEntry.failure; // The page loaded this time
+        if (livePage.imageUrl && savedFileByUrl.has(livePage.imageUrl)) {
+            pageEntry.imageFilename = savedFileByUrl.get(livePage.imageUrl);
+            keptFilenames.add(pageEntry.imageFilename);
+        } else if (livePage.imageUrl) {
+            if (!newImages.has(livePage.imageUrl)) newImages.set(livePage.imageUrl, []);
+            newImages.get(livePage.imageUrl).push(pageEntry);
+        }
+        return pageEntry;
+    });
+
+    // --- Download new or changed images ---
+    // Into a folder beside pics/ (so relative store links stay valid when moved): nothing in
+    // pics/ is touched until every new image has landed
+    const stamp = checkedAt.toISOString().replace(/[:.]/g, '-');
+    const stagingDirectory = path.join(teaseDirectory, `.update-${stamp}`);
+    const stagedFilenames = []; // Images waiting in the staging folder
+    if (newImages.size > 0) {
+        // Never reuse the name of an image still in use, or of any other file left in pics/
+        const takenFilenames = new Set([...keptFilenames, ...(await fs.promises.readdir(picsDirectory).catch(() => []))]);
+        stagedFilenames.push(...await stageNewImages(newImages, stagingDirectory, takenFilenames, {
+            ...settings,
+            // The store sits next to the tease folder unless imageStoreDir says otherwise
+            outputDir: path.dirname(teaseDirectory)
+        }, manifest.tease));
+        report.summary.imagesDownloaded = stagedFilenames.length;
+    }
+
+    const historyDirectory = path.join(teaseDirectory, 'history', stamp);
+    if (hasChanges) {
+        await fs.promises.mkdir(path.join(historyDirectory, 'pics'), { recursive: true });
+        for (const file of ['descriptions.json', 'manifest.json']) {
+            if (fs.existsSync(path.join(teaseDirectory, file))) {
+                await fs.promises.copyFile(path.join(teaseDirectory, file), path.join(historyDirectory, file));
+            }
+        }
+
+        // Keep the old versions of replaced or removed images
+        const unusedFilenames = new Set(Array.from(savedFileByUrl.values()).filter(filename => !keptFilenames.has(filename)));
+        for (const filename of unusedFilenames) {
+            await archiveImage(path.join(picsDirectory, filename), path.join(historyDirectory, 'pics', filename));
+            report.summary.imagesArchived++;
+        }
+    }
+
+    // Every download succeeded, so the new images can take their place
+    if (stagedFilenames.length > 0) {
+        await fs.promises.mkdir(picsDirectory, { recursive: true });
+        for (const filename of stagedFilenames) {
+            await fs.promises.rename(path.join(stagingDirectory, filename), path.join(picsDirectory, filename));
+        }
+    }
+    await fs.promises.rm(stagingDirectory, { recursive: true, force: true });
+
+    // --- Save the refreshed tease ---
+    const teaseData = {
+        title: path.basename(teaseDirectory),
+        teaseId: manifest.tease.id,
+        teaseType: manifest.tease.type,
+        sourceUrl: manifest.tease.sourceUrl || startUrl,
+        scrapedAt: manifest.scrapedAt,
+        updatedAt: checkedAt.toISOString(),
+        metadata: metadata && metadata.title ? metadata : manifest.tease,
+        teaseDirectory,
+        pages: updatedPages
+    };
+    const updatedManifest = buildManifest(teaseData);
+    await fs.promises.writeFile(descriptionFile, JSON.stringify(updatedPages, null, 2));
+    await writeManifest(teaseDirectory, updatedManifest);
+    await generateViewerHtml(path.join(teaseDirectory, 'viewer.html'), updatedManifest.tease.title, updatedPages, updatedManifest.tease, settings);
+
+    if (hasChanges) {
+        await fs.promises.writeFile(path.join(historyDirectory, 'change-report.json'), JSON.stringify(report, null, 2));
+        report.reportFile = path.join(historyDirectory, 'change-report.json');
+    }
+    printChangeReport(report);
+    return report;
+}
+
+function printChangeReport(report) {
+    const { summary } = report;
+    log.info('\n=== Update report ===');
+    if (summary.added + summary.removed + summary.edited === 0) {
+        log.info(`No changes: all ${summary.unchanged} pages match the live tease.`);
+        return;
+    }
+    log.info(`Added: ${summary.added}, removed: ${summary.removed}, edited: ${summary.edited}, unchanged: ${summary.unchanged}`);
+    report.added.forEach(page => log.info(`  + page ${page.pageNumber}`));
+    report.removed.forEach(page => log.info(`  - page ${page.pageNumber}`));
+    report.edited.forEach(page => log.info(`  ~ page ${page.pageNumber} (${Object.keys(page.changes).join(', ')} changed)`));
+    log.info(`Images downloaded: ${summary.imagesDownloaded}, old images moved to history: ${summary.imagesArchived}`);
+    log.info(`Report written to: ${report.reportFile}`);
+}
+
+module.exports = { diffPages, archiveImage, stageNewImages, updateTease };
@@ -0,0 +1,305 @@
+// lib/verify.js
+const fs = require('fs');      // For file system operations
+const path = require('path');  // For path manipulation
+const zlib = require('zlib');  // For inflating PNG image data
+const { detectFileType } = require('./download');
+const { createDownloadQueue, formatQueueProgress } = require('./download-queue');
+const { validateFilenameTemplate, templateUsesHash, buildImageFilename, uniqueFilename, renameToContentHash } = require('./filenames');
+const { readManifest, writeManifest } = require('./manifest');
+const { resolveScraperOptions } = require('./options');
+const { ensureScheduler } = require('./scheduler');
+const { openImageStore } = require('./store');
+const { generateViewerHtml } = require('./viewer');
+const { log } = require('./logger');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Walks the JPEG segments up to the image data and checks the file ends with an end-of-image marker
+function checkJpeg(data) {
+    let offset = 2;
+    let sawFrame = false;
+    while (offset + 4 <= data.length) {
+        if (data[offset] !== 0xFF) return `broken JPEG segment at byte ${offset}`;
+        const marker = data[offset + 1];
+        if (marker === 0xFF) {
+            offset++; // Fill byte
+            continue;
+        }
+        const length = data.readUInt16BE(offset + 2);
+        if (length < 2 || offset + 2 + length > data.length) return 'JPEG is truncated';
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) sawFrame = true;
+        if (marker === 0xDA) {
+            if (!sawFrame) return 'JPEG has no frame header';
+            // Scan data runs to the end; a complete file finishes with FFD9 (trailing padding is tolerated)
+            const tail = data.subarray(Math.max(offset, data.length - 64));
+            return tail.includes(Buffer.from([0xFF, 0xD9])) ? null : 'JPEG is truncated (no end-of-image marker)';
+        }
+        offset += 2 + length;
+    }
+    return 'JPEG is truncated';
+}
+
+// Checks every PNG chunk's CRC and that the image data inflates to the size the header promises
+function checkPng(data) {
+    let offset = 8;
+    let header = null;
+    const imageData = [];
+    while (offset + 12 <= data.length) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString('ascii', offset + 4, offset + 8);
+        if (offset + 12 + length > data.length) return `PNG is truncated (in ${type} chunk)`;
+        const body = data.subarray(offset + 8, offset + 8 + length);
+        if (crc32(data.subarray(offset + 4, offset + 8 + length)) !== data.readUInt32BE(offset + 8 + length)) {
+            return `PNG ${type} chunk is corrupt (bad checksum)`;
+        }
+        if (type === 'IHDR') {
+            header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), bitDepth: body[8], colorType: body[9], interlace: body[12] };
+        } else if (type === 'IDAT') {
+            imageData.push(body);
+        } else if (type === 'IEND') {
+            if (!header) return 'PNG has no header';
+            let pixels;
+            try {
+                pixels = zlib.inflateSync(Buffer.concat(imageData));
+            } catch (e) {
+                return `PNG image data does not decompress: ${e.message}`;
+            }
+            // Interlaced images are stored in seven passes; only check the common, non-interlaced case exactly
+            if (header.interlace === 0) {
+                const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType] || 1;
+                const rowBytes = Math.ceil(header.width * channels * header.bitDepth / 8);
+                if (pixels.length < header.height * (rowBytes + 1)) return 'PNG image data is incomplete';
+            }
+            return null;
+        }
+        offset += 12 + length;
+    }
+    return 'PNG is truncated (no end chunk)';
+}
+
+function checkGif(data) {
+    return data[data.length - 1] === 0x3B ? null : 'GIF is truncated (no trailer)';
+}
+
+// WebP (and other RIFF files) state their own size in the header
+function checkRiff(data) {
+    return data.readUInt32LE(4) + 8 <= data.length ? null : 'image is truncated';
+}
+
+function checkBmp(data) {
+    return data.length >= 6 && data.readUInt32LE(2) <= data.length ? null : 'BMP is truncated';
+}
+
+const IMAGE_CHECKS = {
+    'image/jpeg': checkJpeg,
+    'image/png': checkPng,
+    'image/gif': checkGif,
+    'image/webp': checkRiff,
+    'image/bmp': checkBmp
+};
+
+/**
+ * Checks that an image file exists, is not empty and is structurally sound: its segments
+ * or chunks are intact and it is not cut short. PNG image data is also decompressed.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{ok: boolean, problem: string|null, type: string|null}>}
+ *     `problem` is "missing", "empty", "not an image" or a description of the damage.
+ */
+async function checkImageFile(filePath) {
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) return { ok: false, problem: 'missing', type: null };
+    if (stats.size === 0) return { ok: false, problem: 'empty', type: null };
+
+    const data = await fs.promises.readFile(filePath);
+    const detected = detectFileType(data.subarray(0, 32));
+    if (!detected || detected.kind !== 'image') return { ok: false, problem: 'not an image', type: null };
+
+    const check = IMAGE_CHECKS[detected.type];
+    let problem = null;
+    try {
+        problem = check ? check(data) : null; // Formats without a check only need the right signature
+    } catch (e) {
+        problem = `${detected.type} is truncated`;
+    }
+    return { ok: !problem, problem, type: detected.type };
+}
+
+/**
+ * Checks every page of a tease folder's descriptions.json against the files in pics/.
+ * Pages that have an imageUrl but were saved without an image (no_image.jpg) count as problems too.
+ *
+ * @param {string} teaseDirectory
+ * @returns {Promise<{teaseDirectory: string, pages: Array, checked: number, problems: Array, strayFiles: string[]}>}
+ */
+async function verifyTease(teaseDirectory) {
+    teaseDirectory = path.resolve(teaseDirectory);
+    const descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+    if (!fs.existsSync(descriptionFile)) {
+        throw new Error(`${teaseDirectory} does not contain descriptions.json.`);
+    }
+    const pages = JSON.parse(await fs.promises.readFile(descriptionFile, 'utf8'));
+    const picsDirectory = path.join(teaseDirectory, 'pics');
+
+    const problems = [];
+    const checkedFiles = new Map(); // Filename -> check result; repeated images are checked once
+    for (const page of pages) {
+        if (page.failure) {
+            // Only a fresh scrape (--resume) can bring these back
+            problems.push({ pageNumber: page.pageNumber, imageFilename: null, imageUrl: null, problem: `page could not be scraped: ${page.failure.reason}`, scrapeFailed: true });
+            continue;
+        }
+        if (!page.imageFilename || page.imageFilename === 'no_image.jpg') {
+            if (page.imageUrl) {
+                problems.push({ pageNumber: page.pageNumber, imageFilename: page.imageFilename || null, imageUrl: page.imageUrl, problem: 'never downloaded' });
+            }
+            continue;
+        }
+        if (!checkedFiles.has(page.imageFilename)) {
+            checkedFiles.set(page.imageFilename, await checkImageFile(path.join(picsDirectory, page.imageFilename)));
+        }
+        const result = checkedFiles.get(page.imageFilename);
+        if (!result.ok) {
+            problems.push({ pageNumber: page.pageNumber, imageFilename: page.imageFilename, imageUrl: page.imageUrl || null, problem: result.problem });
+        }
+    }
+
+    // Temporary files left behind by interrupted downloads
+    const strayFiles = (await fs.promises.readdir(picsDirectory).catch(() => [])).filter(file => file.endsWith('.part'));
+
+    return { teaseDirectory, pages, checked: checkedFiles.size, problems, strayFiles };
+}
+
+/**
+ * Downloads again every image verifyTease found missing or broken, from the page's saved
+ * imageUrl, then rewrites descriptions.json, manifest.json and viewer.html. A broken file
+ * is only replaced once its new download has succeeded.
+ *
+ * @param {object} report Result of verifyTease.
+ * @param {object} [options] Scraper options (download concurrency, scheduler, proxy).
+ * @returns {Promise<{repaired: number, failed: Array}>}
+ */
+async function repairTease(report, options = {}) {
+    const settings = resolveScraperOptions(options);
+    validateFilenameTemplate(settings.filenameTemplate);
+    ensureScheduler(settings);
+    const { teaseDirectory, pages } = report;
+    const manifest = await readManifest(teaseDirectory);
+    const picsDirectory = path.join(teaseDirectory, 'pics');
+    await fs.promises.mkdir(picsDirectory, { recursive: true });
+
+    for (const strayFile of report.strayFiles) {
+        await fs.promises.unlink(path.join(picsDirectory, strayFile)).catch(() => {});
+    }
+
+    // One download per broken image URL, shared by every page showing it
+    const brokenUrls = new Map();
+    report.problems.filter(problem => problem.imageUrl).forEach(problem => {
+        if (!brokenUrls.has(problem.imageUrl)) brokenUrls.set(problem.imageUrl, problem);
+    });
+    const unrepairable = report.problems.filter(problem => !problem.imageUrl)
+        .map(problem => ({ ...problem, reason: problem.scrapeFailed ? 'resume the scrape to load the page again' : 'no imageUrl saved for this page' }));
+
+    const takenFilenames = new Set(pages.map(page => page.imageFilename).filter(Boolean));
+    const store = openImageStore({ ...settings, outputDir: path.dirname(teaseDirectory) });
+    const downloadQueue = createDownloadQueue({
+        concurrency: settings.downloadConcurrency,
+        downloadOptions: { scheduler: settings.scheduler, proxy: settings.proxy },
+        store,
+        onProgress: stats => log.debug(formatQueueProgress(stats))
+    });
+
+    const failed = [...unrepairable];
+    let repaired = 0;
+    await Promise.all(Array.from(brokenUrls.entries()).map(async ([imageUrl, problem]) => {
+        const sharingPages = pages.filter(page => page.imageUrl === imageUrl);
+        let filename = problem.imageFilename;
+        let filenameFields = null; // Only set for images that get a new name
+        let stagedFilename = null; // Existing images are downloaded beside the original first
+        if (!filename || filename === 'no_image.jpg') {
+            const firstPage = sharingPages[0];
+            filenameFields = {
+                pageNumber: firstPage.pageNumber,
+                teaseId: manifest ? manifest.tease.id : null,
+                title: manifest ? manifest.tease.title : path.basename(teaseDirectory),
+                caption: firstPage.description,
+                imageUrl
+            };
+            filename = uniqueFilename(buildImageFilename(settings.filenameTemplate, filenameFields), takenFilenames);
+            takenFilenames.add(filename);
+        } else {
+            stagedFilename = `.repair-${filename}`;
+        }
+
+        try {
+            if (store) await store.forget(imageUrl); // The stored copy may be the broken one
+            const download = await downloadQueue.add(imageUrl, path.join(picsDirectory, stagedFilename || filename));
+            if (stagedFilename) {
+                // Only a complete download replaces the original; the extension follows the new content
+                const originalPath = path.join(picsDirectory, filename);
+                const finalPath = originalPath.slice(0, originalPath.length - path.extname(filename).length) + path.extname(download.path);
+                await fs.promises.rename(download.path, finalPath);
+                if (finalPath !== originalPath) await fs.promises.unlink(originalPath).catch(() => {});
+                download.path = finalPath;
+            }
+            if (filenameFields && templateUsesHash(settings.filenameTemplate)) {
+                download.path = await renameToContentHash(download.path, settings.filenameTemplate, filenameFields, takenFilenames);
+            }
+            repaired++;
+            sharingPages.forEach(page => {
+                page.imageFilename = path.basename(download.path);
+                delete page.imageError;
+            });
+            log.info(`Repaired image for page ${problem.pageNumber}: ${path.basename(download.path)}`);
+        } catch (error) {
+            log.warn(`Could not repair image for page ${problem.pageNumber} (${imageUrl}): ${error.message}`, { pageNumber: problem.pageNumber });
+            failed.push({ ...problem, reason: error.message });
+            // The pages keep pointing at whatever file they had; only the error is recorded
+            sharingPages.forEach(page => {
+                page.imageError = error.message;
+            });
+        }
+    }));
+
+    await fs.promises.writeFile(path.join(teaseDirectory, 'descriptions.json'), JSON.stringify(pages, null, 2));
+    if (manifest) {
+        manifest.pages = pages;
+        await writeManifest(teaseDirectory, manifest);
+    }
+    const title = manifest ? manifest.tease.title : path.basename(teaseDirectory);
+    await generateViewerHtml(path.join(teaseDirectory, 'viewer.html'), title, pages, manifest ? manifest.tease : null, settings);
+
+    return { repaired, failed };
+}
+
+function printVerifyReport(report) {
+    log.info(`\n=== Verify: ${report.teaseDirectory} ===`);
+    log.info(`${report.pages.length} pages, ${report.checked} image file(s) checked.`);
+    if (report.problems.length === 0 && report.strayFiles.length === 0) {
+        log.info('No problems found.');
+        return;
+    }
+    report.problems.forEach(problem => {
+        log.info(`  page ${problem.pageNumber}: ${problem.imageFilename || '(no file)'} - ${problem.problem}`);
+    });
+    if (report.strayFiles.length > 0) {
+        log.info(`  ${report.strayFiles.length} leftover partial download(s) in pics/: ${report.strayFiles.join(', ')}`);
+    }
+    log.info(`${report.problems.length} problem(s) found.`);
+}
+
+module.exports = { checkImageFile, verifyTease, repairTease, printVerifyReport };
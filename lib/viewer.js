@@ -0,0 +1,177 @@
+// lib/viewer.js
+const fs = require('fs'); // For file system operations
+const path = require('path');  // For path manipulation
+const { sanitizeDescriptionHtml } = require('./sanitize'); // For the formatted descriptions
+const { readManifest } = require('./manifest');
+const { log } = require('./logger');
+
+// Built-in template: viewer.html (the page), viewer.css and viewer.js (shared by every
+// theme) and themes/<name>.css. A user template folder can replace any of these files.
+const BUILTIN_TEMPLATE_DIR = path.join(__dirname, 'templates', 'viewer');
+const DEFAULT_VIEWER_THEME = 'classic';
+
+// A file of the user's template folder, or the built-in one when the folder does not have it
+function templateFile(name, templateDir) {
+    if (templateDir) {
+        const userFile = path.join(path.resolve(templateDir), name);
+        if (fs.existsSync(userFile)) return userFile;
+    }
+    return path.join(BUILTIN_TEMPLATE_DIR, name);
+}
+
+/**
+ * Lists the viewer themes: the built-in ones and those in the user's template folder.
+ *
+ * @param {string|null} [templateDir]
+ * @returns {string[]}
+ */
+function listViewerThemes(templateDir = null) {
+    const themes = new Set();
+    for (const directory of [BUILTIN_TEMPLATE_DIR, templateDir && path.resolve(templateDir)].filter(Boolean)) {
+        let files = [];
+        try {
+            files = fs.readdirSync(path.join(directory, 'themes'));
+        } catch (e) {
+            // A user template folder need not add themes
+        }
+        files.filter(file => file.endsWith('.css')).forEach(file => themes.add(path.basename(file, '.css')));
+    }
+    return Array.from(themes).sort();
+}
+
+/**
+ * Throws when the theme exists neither built in nor in the user's template folder.
+ *
+ * @param {string} theme
+ * @param {string|null} [templateDir]
+ */
+function validateViewerTheme(theme, templateDir = null) {
+    if (templateDir && !fs.existsSync(templateDir)) {
+        throw new Error(`Viewer template folder ${templateDir} does not exist.`);
+    }
+    const themes = listViewerThemes(templateDir);
+    if (!themes.includes(theme)) {
+        throw new Error(`Unknown viewer theme "${theme}". Available themes: ${themes.join(', ')}.`);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// JSON for an inline script; "<" is escaped so "</script>" in a text cannot end the script
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Fills in a template. "{{ name }}" is replaced by the HTML-escaped value and
+ * "{{{ name }}}" by the value as it is. An unknown name is an error, so a typo in a
+ * user template shows at once.
+ *
+ * @param {string} template
+ * @param {object} values
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (placeholder, rawName, escapedName) => {
+        const name = rawName || escapedName;
+        if (!(name in values)) {
+            throw new Error(`Unknown placeholder ${placeholder} in the viewer template. Known names: ${Object.keys(values).join(', ')}.`);
+        }
+        const value = values[name] === null || values[name] === undefined ? '' : values[name];
+        return rawName ? String(value) : escapeHtml(value);
+    });
+}
+
+/**
+ * Writes viewer.html for a tease from the viewer template and the chosen theme.
+ *
+ * Placeholders the template (viewer.html) can use: title, theme, teaseId, author, tags,
+ * sourceUrl and pageCount, plus, unescaped, styles (viewer.css and the theme),
+ * script (viewer.js), pagesJson (the pages) and teaseJson (manifest.json's tease details).
+ *
+ * @param {string} outputPath
+ * @param {string} teaseTitle Page title; the tease details' title is used when this is empty.
+ * @param {Array<object>} teaseData The pages, as in descriptions.json.
+ * @param {object|null} [teaseInfo] The manifest's tease details (id, title, author, tags, ...).
+ * @param {object} [options] Scraper options; only viewerTheme and viewerTemplateDir are used.
+ * @returns {Promise<boolean>} Whether the viewer was written; failures are logged.
+ */
+async function generateViewerHtml(outputPath, teaseTitle, teaseData, teaseInfo = null, options = {}) {
+    const theme = options.viewerTheme || DEFAULT_VIEWER_THEME;
+    const templateDir = options.viewerTemplateDir || null;
+    // descriptions.json may have been edited by hand, so the formatting is cleaned again
+    const galleryPages = teaseData.map(item => item.descriptionHtml
+        ? { ...item, descriptionHtml: sanitizeDescriptionHtml(item.descriptionHtml) }
+        : item);
+    const info = teaseInfo || {};
+
+    try {
+        const read = name => fs.promises.readFile(templateFile(name, templateDir), 'utf8');
+        const themeFile = templateFile(path.join('themes', `${theme}.css`), templateDir);
+        if (!fs.existsSync(themeFile)) {
+            throw new Error(`Unknown viewer theme "${theme}".`);
+        }
+        const htmlContent = renderTemplate(await read('viewer.html'), {
+            title: teaseTitle || info.title || 'Image Gallery Viewer',
+            theme,
+            teaseId: info.id,
+            author: info.author ? info.author.name : null,
+            tags: (info.tags || []).join(', '),
+            sourceUrl: info.sourceUrl,
+            pageCount: galleryPages.length,
+            styles: `${await read('viewer.css')}\n${await fs.promises.readFile(themeFile, 'utf8')}`,
+            script: await read('viewer.js'),
+            pagesJson: scriptJson(galleryPages),
+            teaseJson: scriptJson(teaseInfo)
+        });
+        await fs.promises.writeFile(outputPath, htmlContent);
+        log.debug(`HTML viewer generated: ${outputPath}`);
+        return true;
+    } catch (error) {
+        log.error(`Error generating HTML viewer: ${error.message}`, { error });
+        return false;
+    }
+}
+
+/**
+ * Writes viewer.html again for every tease folder under the downloads directory, for
+ * example after choosing another theme or changing the user template.
+ *
+ * @param {string} downloadsDir
+ * @param {object} [options] Scraper options; only viewerTheme and viewerTemplateDir are used.
+ * @returns {Promise<{rebuilt: string[], failed: string[]}>} Folder names.
+ */
+async function rebuildViewers(downloadsDir, options = {}) {
+    validateViewerTheme(options.viewerTheme || DEFAULT_VIEWER_THEME, options.viewerTemplateDir || null);
+    const result = { rebuilt: [], failed: [] };
+    const dirents = await fs.promises.readdir(downloadsDir, { withFileTypes: true }).catch(() => []);
+
+    for (const dirent of dirents) {
+        if (!dirent.isDirectory() || dirent.name.startsWith('.')) continue;
+        const teaseDirectory = path.join(downloadsDir, dirent.name);
+        const manifest = await readManifest(teaseDirectory);
+        if (!manifest) continue; // Not a tease folder
+
+        // descriptions.json is what the scraper and the other commands keep up to date
+        let pages = manifest.pages;
+        try {
+            pages = JSON.parse(await fs.promises.readFile(path.join(teaseDirectory, 'descriptions.json'), 'utf8'));
+        } catch (e) {
+            // Fall back to the pages in manifest.json
+        }
+        const written = await generateViewerHtml(path.join(teaseDirectory, 'viewer.html'), manifest.tease.title, pages, manifest.tease, options);
+        result[written ? 'rebuilt' : 'failed'].push(dirent.name);
+    }
+    return result;
+}
+
+module.exports = {
+    DEFAULT_VIEWER_THEME,
+    listViewerThemes,
+    validateViewerTheme,
+    renderTemplate,
+    generateViewerHtml,
+    rebuildViewers
+};
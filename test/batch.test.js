@@ -0,0 +1,77 @@
+// test/batch.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractTeaseId, teaseUrlFromId, readUrlList, findArchivedTeases } = require('../lib/batch');
+const { buildManifest, writeManifest } = require('../lib/manifest');
+
+describe('extractTeaseId', () => {
+    it('reads the ID of showtease.php URLs', () => {
+        assert.equal(extractTeaseId('https://milovana.com/webteases/showtease.php?id=12345'), '12345');
+        assert.equal(extractTeaseId('https://milovana.com/webteases/showtease.php?p=3&id=42'), '42');
+        assert.equal(extractTeaseId('http://example.org/webteases/ShowTease.php?id=7#top'), '7');
+    });
+
+    it('returns null for other pages, missing or odd IDs and non-URLs', () => {
+        assert.equal(extractTeaseId('https://milovana.com/webteases/?author=99'), null);
+        assert.equal(extractTeaseId('https://milovana.com/webteases/showtease.php'), null);
+        assert.equal(extractTeaseId('https://milovana.com/webteases/showtease.php?id=12a'), null);
+        assert.equal(extractTeaseId('https://milovana.com/webteases/showtease.php.bak?id=1'), null);
+        assert.equal(extractTeaseId('not a url'), null);
+        assert.equal(extractTeaseId(''), null);
+    });
+
+    it('round-trips with teaseUrlFromId', () => {
+        assert.equal(teaseUrlFromId('55'), 'https://milovana.com/webteases/showtease.php?id=55');
+        assert.equal(extractTeaseId(teaseUrlFromId('55', 'http://localhost:8080')), '55');
+    });
+});
+
+describe('readUrlList and findArchivedTeases', () => {
+    let directory;
+
+    before(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-batch-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('reads one URL per line, skipping blank lines and comments', async () => {
+        const listFile = path.join(directory, 'urls.txt');
+        await fs.promises.writeFile(listFile, [
+            '# Teases to archive',
+            'https://milovana.com/webteases/showtease.php?id=1',
+            '',
+            '   https://milovana.com/webteases/showtease.php?id=2   ',
+            '  # indented comment',
+            'https://milovana.com/webteases/?author=3\r',
+            ''
+        ].join('\n'));
+
+        assert.deepEqual(await readUrlList(listFile), [
+            'https://milovana.com/webteases/showtease.php?id=1',
+            'https://milovana.com/webteases/showtease.php?id=2',
+            'https://milovana.com/webteases/?author=3'
+        ]);
+    });
+
+    it('finds the archived teases that hold pages, by tease ID', async () => {
+        const downloads = path.join(directory, 'downloads');
+        const saved = path.join(downloads, 'Saved_Tease');
+        const empty = path.join(downloads, 'Empty_Tease');
+        await fs.promises.mkdir(saved, { recursive: true });
+        await fs.promises.mkdir(empty, { recursive: true });
+        await fs.promises.mkdir(path.join(downloads, 'not-a-tease'));
+        await writeManifest(saved, buildManifest({ title: 'Saved', teaseId: '10', pages: [{ pageNumber: '1' }] }));
+        await writeManifest(empty, buildManifest({ title: 'Empty', teaseId: '11', pages: [] }));
+
+        const archived = await findArchivedTeases(downloads);
+
+        assert.deepEqual([...archived], [['10', saved]]);
+        assert.equal((await findArchivedTeases(path.join(directory, 'missing'))).size, 0);
+    });
+});
@@ -0,0 +1,70 @@
+// test/classic.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readClassicPage, pageIdFromUrl, createPageQueue } = require('../lib/classic');
+
+const BASE = 'https://milovana.com/webteases/showtease.php';
+const pageUrl = page => `${BASE}?id=7&p=${page}`;
+
+// Stands in for a Puppeteer page: evaluate() answers with what the browser would have read
+function fakePage(url, anchors, nextHref = null) {
+    return {
+        url: () => url,
+        evaluate: async () => ({ imageUrl: null, imageAlt: '', description: null, descriptionHtml: null, nextHref, anchors })
+    };
+}
+
+describe('readClassicPage', () => {
+    it('collects the links to other pages of the same tease, one per page', async () => {
+        const classicPage = await readClassicPage(fakePage(pageUrl(2), [
+            { href: 'showtease.php?id=7&p=5', text: ' Go\n left ' },
+            { href: 'showtease.php?id=7&p=1', text: 'Start over' },
+            { href: 'showtease.php?id=7&p=5', text: 'Left again' },
+            { href: 'showtease.php?id=7&p=2', text: 'This page' },
+            { href: 'showtease.php?id=8&p=3', text: 'Another tease' },
+            { href: '/forum/index.php', text: 'Forum' },
+            { href: 'https://example.com/webteases/showtease.php?id=7&p=9', text: 'Other site' },
+            { href: 'showtease.php?id=7', text: 'First page' },
+            { href: 'showtease.php?id=7&p=3', text: 'Continue' }
+        ], 'showtease.php?id=7&p=3'));
+
+        assert.equal(classicPage.pageNumber, '2');
+        assert.equal(classicPage.nextUrl, pageUrl(3));
+        assert.deepEqual(classicPage.links, [
+            { pageNumber: '5', url: pageUrl(5), label: 'Go left' },
+            { pageNumber: '1', url: pageUrl(1), label: 'Start over' },
+            { pageNumber: '3', url: pageUrl(3), label: 'Continue' }
+        ]);
+    });
+});
+
+describe('createPageQueue', () => {
+    const links = (...pages) => pages.map(page => ({ pageNumber: String(page), url: pageUrl(page), label: '' }));
+
+    it('visits every page once, following "Continue" first', () => {
+        // 1 -> 2 or 3; 2 -> 4; 3 -> back to 1 or on to 4
+        const graph = { 1: [links(2, 3), null], 2: [links(4), pageUrl(4)], 3: [links(1, 4), pageUrl(4)], 4: [[], null] };
+        const queue = createPageQueue();
+        const visited = [];
+        let url = `${BASE}?id=7`;
+        while (url) {
+            const pageNumber = pageIdFromUrl(url);
+            queue.markVisited(pageNumber);
+            visited.push(pageNumber);
+            queue.addPage(...graph[pageNumber]);
+            url = queue.next();
+        }
+
+        assert.deepEqual(visited, ['1', '2', '4', '3']);
+        assert.equal(queue.remaining(), 0);
+    });
+
+    it('puts the "Continue" link ahead of the other links of a page', () => {
+        const queue = createPageQueue();
+        queue.markVisited('1');
+        queue.addPage(links(9, 2, 5), pageUrl(2));
+
+        assert.equal(queue.remaining(), 3);
+        assert.deepEqual([queue.next(), queue.next(), queue.next(), queue.next()], [pageUrl(2), pageUrl(9), pageUrl(5), null]);
+    });
+});
@@ -0,0 +1,51 @@
+// test/classify.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PAGE_KINDS, RETRYABLE_KINDS, classifyPageFacts } = require('../lib/classify');
+
+function kindOf(facts) {
+    const { kind } = classifyPageFacts(facts);
+    assert.ok(PAGE_KINDS.includes(kind), `${kind} is not one of PAGE_KINDS`);
+    return kind;
+}
+
+describe('classifyPageFacts', () => {
+    it('accepts pages showing tease content', () => {
+        assert.equal(kindOf({ statusCode: 200, title: 'My Tease - Milovana', hasTeaseContent: true }), 'tease');
+        assert.equal(classifyPageFacts({ statusCode: 200, hasTeaseContent: true }).reason, null);
+    });
+
+    it('tells challenges and rate limits apart', () => {
+        assert.equal(kindOf({ statusCode: 503, title: 'Just a moment...' }), 'challenge');
+        assert.equal(kindOf({ statusCode: 200, title: 'Please wait...' }), 'challenge');
+        assert.equal(kindOf({ statusCode: 429, title: 'Too Many Requests' }), 'rate-limited');
+        assert.equal(kindOf({ statusCode: 503, title: 'Service Unavailable' }), 'rate-limited');
+    });
+
+    it('recognizes login walls', () => {
+        assert.equal(kindOf({ statusCode: 200, title: 'Login', loginWall: true }), 'login');
+    });
+
+    it('recognizes missing and removed teases by status or by wording', () => {
+        assert.equal(kindOf({ statusCode: 404, text: 'Oops' }), 'not-found');
+        assert.equal(kindOf({ statusCode: 200, text: 'Sorry, this tease does not exist.' }), 'not-found');
+        assert.equal(kindOf({ statusCode: 410 }), 'removed');
+        assert.equal(kindOf({ statusCode: 200, text: 'This tease has been removed by its author.' }), 'removed');
+        // The wording only counts on pages without tease content
+        assert.equal(kindOf({ statusCode: 200, hasTeaseContent: true, text: 'Your clothes have been removed.' }), 'tease');
+    });
+
+    it('names refusals, server errors and everything else', () => {
+        assert.equal(kindOf({ statusCode: 403 }), 'forbidden');
+        assert.equal(kindOf({ statusCode: 502 }), 'server-error');
+        assert.equal(kindOf({ statusCode: 404, hasTeaseContent: true }), 'not-found');
+        const unknown = classifyPageFacts({ statusCode: 200, title: 'Milovana', text: 'Welcome!' });
+        assert.equal(unknown.kind, 'unknown');
+        assert.match(unknown.reason, /no image, text or Continue link \(HTTP 200\)/);
+    });
+
+    it('only retries kinds that may clear up on a later load', () => {
+        assert.deepEqual([...RETRYABLE_KINDS].filter(kind => !PAGE_KINDS.includes(kind)), []);
+        assert.deepEqual(PAGE_KINDS.filter(kind => RETRYABLE_KINDS.has(kind)), ['challenge', 'rate-limited', 'server-error']);
+    });
+});
@@ -0,0 +1,113 @@
+// test/download.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer, FIXTURE_IMAGES } = require('./fixtures/server');
+const { downloadFile, detectFileType } = require('../lib/download');
+const { createRequestScheduler } = require('../lib/scheduler');
+
+// Minimal forward proxy for plain HTTP: requests arrive with absolute URLs
+function startForwardProxy(seen) {
+    const proxy = http.createServer((request, response) => {
+        seen.push(request.url);
+        const upstream = http.get(request.url, { headers: request.headers }, upstreamResponse => {
+            response.writeHead(upstreamResponse.statusCode, upstreamResponse.headers);
+            upstreamResponse.pipe(response);
+        });
+        upstream.on('error', () => response.destroy());
+    });
+    return new Promise(resolve => proxy.listen(0, '127.0.0.1', () => resolve(proxy)));
+}
+
+describe('downloadFile against the fixture site', () => {
+    const server = createFixtureServer();
+    let outputDir;
+
+    before(async () => {
+        await server.start();
+        outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-download-'));
+    });
+
+    after(async () => {
+        await server.close();
+        await fs.promises.rm(outputDir, { recursive: true, force: true });
+    });
+
+    it('saves an image and reports its type', async () => {
+        const result = await downloadFile(server.url('/images/gray.jpg'), path.join(outputDir, 'plain.jpg'));
+
+        assert.equal(result.type, 'image/jpeg');
+        assert.equal(result.bytes, FIXTURE_IMAGES['gray.jpg'].data.length);
+        assert.ok(fs.readFileSync(result.path).equals(FIXTURE_IMAGES['gray.jpg'].data));
+    });
+
+    it('follows a redirect to another host', async () => {
+        const result = await downloadFile(server.url('/cdn/green.png'), path.join(outputDir, 'redirected.png'));
+
+        assert.equal(new URL(result.url).hostname, '127.0.0.1');
+        assert.ok(fs.readFileSync(result.path).equals(FIXTURE_IMAGES['green.png'].data));
+    });
+
+    it('renames the file after its real type', async () => {
+        const result = await downloadFile(server.url('/images/green.png'), path.join(outputDir, 'mislabelled.jpg'));
+
+        assert.equal(path.basename(result.path), 'mislabelled.png');
+        assert.ok(!fs.existsSync(path.join(outputDir, 'mislabelled.jpg')));
+    });
+
+    it('rejects an interstitial page served instead of an image', async () => {
+        const destination = path.join(outputDir, 'blocked.jpg');
+        await assert.rejects(
+            downloadFile(server.url('/blocked/gray.jpg'), destination, { retries: 0 }),
+            { name: 'DownloadError' }
+        );
+        assert.deepEqual(fs.readdirSync(outputDir).filter(file => file.startsWith('blocked')), []);
+    });
+
+    it('goes through an HTTP proxy when one is set', async () => {
+        const seen = [];
+        const proxy = await startForwardProxy(seen);
+        try {
+            const proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+            const result = await downloadFile(server.url('/images/gray.jpg'), path.join(outputDir, 'proxied.jpg'), { proxy: proxyUrl });
+
+            assert.ok(fs.readFileSync(result.path).equals(FIXTURE_IMAGES['gray.jpg'].data));
+            assert.deepEqual(seen, [server.url('/images/gray.jpg')]);
+        } finally {
+            proxy.close();
+        }
+    });
+
+    it('tells the scheduler about a 429 and waits as asked', async () => {
+        const scheduler = createRequestScheduler({ requestsPerMinute: 0 });
+        const started = Date.now();
+        const result = await downloadFile(server.url('/limited/green.png'), path.join(outputDir, 'limited.png'), { scheduler, backoff: 1 });
+
+        assert.ok(fs.existsSync(result.path));
+        assert.equal(scheduler.stats().throttled, 1);
+        assert.ok(Date.now() - started >= 900, 'Retry-After: 1 was honoured');
+    });
+
+    it('does not retry a 404', async () => {
+        const before = server.requests.length;
+        await assert.rejects(
+            downloadFile(server.url('/images/missing.jpg'), path.join(outputDir, 'missing.jpg'), { backoff: 1 }),
+            { statusCode: 404 }
+        );
+        assert.equal(server.requests.length - before, 1);
+    });
+});
+
+describe('detectFileType', () => {
+    it('recognises the fixture images', () => {
+        assert.equal(detectFileType(FIXTURE_IMAGES['gray.jpg'].data).type, 'image/jpeg');
+        assert.equal(detectFileType(FIXTURE_IMAGES['green.png'].data).type, 'image/png');
+    });
+
+    it('returns null for HTML', () => {
+        assert.equal(detectFileType(Buffer.from('<!DOCTYPE html><html></html>')), null);
+    });
+});
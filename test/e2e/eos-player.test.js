@@ -0,0 +1,79 @@
+// test/e2e/eos-player.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createFixtureServer } = require('../fixtures/server');
+const { launchBrowser } = require('../../lib/browser');
+const { generateEosPlayerHtml } = require('../../lib/eos-player');
+
+// The init script tries every way out of the sandbox and stores the ones that worked
+function escapeScript(serverUrl) {
+    return `var leaks = [];
+try { parent.document.getElementById('say-text').textContent = 'escaped'; leaks.push('parent.document'); } catch (e) {}
+if (document.getElementById('say-text')) leaks.push('document');
+try { localStorage.setItem('escaped', '1'); leaks.push('localStorage'); } catch (e) {}
+try { fetch(${JSON.stringify(serverUrl)}).catch(function () {}); if (typeof fetch === 'function') leaks.push('fetch'); } catch (e) {}
+try { var request = new XMLHttpRequest(); request.open('POST', ${JSON.stringify(serverUrl)}); request.send('{}'); leaks.push('XMLHttpRequest'); } catch (e) {}
+try { new Image().src = ${JSON.stringify(serverUrl)}; } catch (e) {}
+teaseStorage.setItem('leaks', leaks);
+var visits = (teaseStorage.getItem('visits') || 0) + 1;
+teaseStorage.setItem('visits', visits);`;
+}
+
+// The player is opened straight from disk, the way people use it
+describe('eos-player.html from file://', () => {
+    const server = createFixtureServer();
+    let browser = null;
+    let skipReason = null;
+    let teaseDirectory;
+    let playerUrl;
+
+    before(async () => {
+        await server.start();
+        teaseDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-eos-e2e-'));
+        await generateEosPlayerHtml(path.join(teaseDirectory, 'eos-player.html'), 'Sandbox Test', {
+            init: escapeScript(server.url('/api/scrapes')),
+            pages: {
+                start: [
+                    { if: { condition: 'visits === 1', commands: [{ say: { label: 'First visit', mode: 'instant' } }], elseCommands: [{ goto: { target: 'again' } }] } }
+                ],
+                again: [{ say: { label: 'Welcome back', mode: 'instant' } }]
+            }
+        });
+        playerUrl = pathToFileURL(path.join(teaseDirectory, 'eos-player.html')).href;
+        try {
+            browser = await launchBrowser();
+        } catch (error) {
+            skipReason = `browser could not be launched: ${error.message.split('\n')[0]}`;
+        }
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+        await server.close();
+        await fs.promises.rm(teaseDirectory, { recursive: true, force: true });
+    });
+
+    it('runs tease scripts where they cannot reach the player page, its storage or the network', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const page = await browser.newPage();
+        await page.goto(playerUrl);
+        await page.waitForFunction(() => document.getElementById('say-text').textContent === 'First visit');
+
+        const stored = await page.evaluate(() => ({
+            leaks: localStorage.getItem('eos-player:Sandbox Test:leaks'),
+            escaped: localStorage.getItem('escaped')
+        }));
+        assert.deepEqual(JSON.parse(stored.leaks), []);
+        assert.equal(stored.escaped, null);
+        assert.deepEqual(server.requests.filter(request => request.path === '/api/scrapes'), []);
+
+        // Values saved through teaseStorage survive a reload and steer the script
+        await page.reload();
+        await page.waitForFunction(() => document.getElementById('say-text').textContent === 'Welcome back');
+        await page.close();
+    });
+});
@@ -0,0 +1,248 @@
+// test/e2e/scrape.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer, FIXTURE_IMAGES } = require('../fixtures/server');
+const { launchBrowser } = require('../../lib/browser');
+const { scrapeTeasePages } = require('../../lib/scraper');
+
+// Short delays: the fixture interstitial clears itself after 200 ms
+const TEST_DELAYS = { afterNavigation: 300, challenge: 300, betweenPages: 0 };
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Gallery data embedded in viewer.html
+function readViewerGallery(viewerPath) {
+    const html = fs.readFileSync(viewerPath, 'utf8');
+    const match = html.match(/galleryData = (\[.*\]);/);
+    assert.ok(match, 'viewer.html embeds galleryData');
+    return JSON.parse(match[1]);
+}
+
+describe('scrapeTeasePages against the fixture site', () => {
+    const server = createFixtureServer();
+    let browser = null;
+    let skipReason = null;
+    let outputDir;
+
+    before(async () => {
+        await server.start();
+        outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-e2e-'));
+        try {
+            browser = await launchBrowser();
+        } catch (error) {
+            skipReason = `browser could not be launched: ${error.message.split('\n')[0]}`;
+        }
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+        await server.close();
+        await fs.promises.rm(outputDir, { recursive: true, force: true });
+    });
+
+    function scrape(teaseId, options = {}) {
+        return scrapeTeasePages(server.url(`/webteases/showtease.php?id=${teaseId}&p=1`), {
+            browser,
+            outputDir,
+            delays: TEST_DELAYS,
+            requestsPerMinute: 0,
+            ...options
+        });
+    }
+
+    it('scrapes every page of a multi-page tease', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1001');
+
+        assert.equal(tease.error, null);
+        assert.equal(tease.teaseDirectory, path.join(outputDir, 'Fixture_Tease'));
+        assert.ok(fs.existsSync(path.join(tease.teaseDirectory, 'pics')));
+
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        assert.deepEqual(pages.map(page => page.pageNumber), ['1', '2', '3']);
+        assert.deepEqual(pages.map(page => page.description), [
+            'First page of the fixture tease.',
+            'Second page: a different image.',
+            'Third page repeats the first image.'
+        ]);
+        pages.forEach(page => {
+            const imagePath = path.join(tease.teaseDirectory, 'pics', page.imageFilename);
+            assert.ok(fs.existsSync(imagePath), `${page.imageFilename} exists`);
+        });
+        assert.ok(pages[1].imageFilename.endsWith('.png'));
+
+        const manifest = readJson(path.join(tease.teaseDirectory, 'manifest.json'));
+        assert.equal(manifest.tease.id, '1001');
+        assert.equal(manifest.tease.author.name, 'Fixture Author');
+        assert.equal(manifest.pages.length, 3);
+    });
+
+    it('downloads a repeated image only once', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1001');
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+
+        assert.equal(pages[2].imageFilename, pages[0].imageFilename);
+        assert.equal(pages[0].imageNewlyDownloaded, true);
+        assert.equal(pages[2].imageNewlyDownloaded, false);
+        assert.equal(fs.readdirSync(path.join(tease.teaseDirectory, 'pics')).length, 2);
+    });
+
+    it('keeps going when a page has no image or no description', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1002');
+
+        assert.equal(tease.error, null);
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        assert.equal(pages.length, 3);
+        assert.equal(pages[1].imageUrl, null);
+        assert.equal(pages[1].imageFilename, 'no_image.jpg');
+        assert.equal(pages[2].description, 'No description found.');
+        assert.ok(fs.existsSync(path.join(tease.teaseDirectory, 'pics', pages[2].imageFilename)));
+    });
+
+    it('writes a run report and, when asked, a JSON-lines log tied to page numbers', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1002', { logFile: true });
+
+        const report = readJson(path.join(tease.teaseDirectory, 'run-report.json'));
+        assert.equal(report.status, 'finished');
+        assert.equal(report.mode, 'scrape');
+        assert.deepEqual([report.pagesVisited, report.pagesSaved], [3, 3]);
+        assert.equal(report.images.downloaded, 2);
+        assert.ok(report.images.bytesDownloaded > 0);
+        assert.ok(Date.parse(report.finishedAt) >= Date.parse(report.startedAt));
+        const warningPages = report.warnings.map(warning => warning.pageNumber);
+        assert.ok(warningPages.includes('2') && warningPages.includes('3'), `warnings on pages ${warningPages}`);
+
+        const records = fs.readFileSync(path.join(tease.teaseDirectory, 'scrape-log.jsonl'), 'utf8')
+            .trim().split('\n').map(line => JSON.parse(line));
+        assert.ok(records.some(record => record.level === 'debug'), 'debug records are kept in the file');
+        assert.ok(records.every(record => record.time && record.level && typeof record.message === 'string'));
+    });
+
+    it('counts repeated images as duplicates in the run report', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1001');
+        const report = readJson(path.join(tease.teaseDirectory, 'run-report.json'));
+
+        assert.equal(report.images.duplicatesSkipped, 1);
+        assert.equal(report.images.downloaded, 2);
+        assert.equal(fs.existsSync(path.join(tease.teaseDirectory, 'scrape-log.jsonl')), false);
+    });
+
+    it('follows image redirects to another host', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1003');
+
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        const saved = fs.readFileSync(path.join(tease.teaseDirectory, 'pics', pages[0].imageFilename));
+        assert.ok(saved.equals(FIXTURE_IMAGES['gray.jpg'].data));
+        assert.ok(server.requests.some(request => request.host === '127.0.0.1' && request.path === '/images/gray.jpg'));
+    });
+
+    it('waits for the "Just a moment..." interstitial to clear', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1004');
+
+        assert.equal(tease.error, null);
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        assert.deepEqual(pages.map(page => page.description), [
+            'Reached after the interstitial.',
+            'Second page after the interstitial.'
+        ]);
+    });
+
+    it('writes a viewer.html matching descriptions.json', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1001');
+
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        const gallery = readViewerGallery(path.join(tease.teaseDirectory, 'viewer.html'));
+        assert.deepEqual(gallery.map(page => page.imageFilename), pages.map(page => page.imageFilename));
+        assert.deepEqual(gallery.map(page => page.description), pages.map(page => page.description));
+    });
+
+    it('keeps the description formatting, without scripts or remote resources', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1006');
+
+        const [page] = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        assert.equal(page.descriptionHtml, 'Kneel <em style="color: red">now</em>.<br>Read '
+            + `<a href="${server.url('/webteases/showtease.php?id=1001&p=1').replace('&', '&amp;')}" target="_blank" rel="noopener noreferrer">the rules</a>.<a>!</a>`);
+        assert.match(page.description, /^Kneel now\.Read the rules\./);
+        assert.equal(readViewerGallery(path.join(tease.teaseDirectory, 'viewer.html'))[0].descriptionHtml, page.descriptionHtml);
+    });
+
+    it('resumes into the same folder from a single saved page', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const first = await scrape('1001', { maxHops: 1 });
+        assert.equal(readJson(path.join(first.teaseDirectory, 'descriptions.json')).length, 1);
+        const foldersBefore = fs.readdirSync(outputDir).sort();
+
+        const resumed = await scrapeTeasePages(null, {
+            browser,
+            outputDir,
+            delays: TEST_DELAYS,
+            requestsPerMinute: 0,
+            resumeDir: first.teaseDirectory
+        });
+
+        assert.equal(resumed.error, null);
+        assert.equal(resumed.teaseDirectory, first.teaseDirectory);
+        assert.deepEqual(fs.readdirSync(outputDir).sort(), foldersBefore, 'no new folder is made');
+        assert.deepEqual(readJson(path.join(first.teaseDirectory, 'descriptions.json')).map(page => page.pageNumber), ['1', '2', '3']);
+    });
+
+    it('follows every link of a branching tease and visits each page once', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1008');
+
+        assert.equal(tease.error, null);
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        assert.deepEqual(pages.map(page => page.pageNumber), ['1', '2', '4', '3'], 'page 5 is linked from nowhere');
+        const linksOf = pageNumber => pages.find(page => page.pageNumber === pageNumber).links
+            .map(link => `${link.pageNumber}:${link.label}`);
+        assert.deepEqual(linksOf('1'), ['2:Left door', '3:Right door']);
+        assert.deepEqual(linksOf('3'), ['1:Start over', '4:Continue']);
+        assert.deepEqual(linksOf('4'), []);
+        assert.deepEqual(readViewerGallery(path.join(tease.teaseDirectory, 'viewer.html'))[0].links, pages[0].links);
+    });
+
+    it('saves a dead link as failed and still scrapes the other branches', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1009');
+
+        assert.match(tease.error, /does not exist \(HTTP 404\)/);
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        assert.deepEqual(pages.map(page => [page.pageNumber, page.failure ? page.failure.kind : 'ok']), [
+            ['1', 'ok'], ['7', 'not-found'], ['2', 'ok'], ['3', 'ok']
+        ]);
+        assert.ok(fs.existsSync(path.join(tease.teaseDirectory, 'pics', pages[3].imageFilename)));
+    });
+
+    it('saves a page that no longer exists as failed and reports the scrape as stopped', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const tease = await scrape('1007');
+
+        assert.match(tease.error, /removed/);
+        const pages = readJson(path.join(tease.teaseDirectory, 'descriptions.json'));
+        assert.deepEqual(pages.map(page => page.failure ? page.failure.kind : 'ok'), ['ok', 'removed']);
+        assert.equal(pages[1].pageNumber, '2');
+    });
+
+    it('makes no folder for a tease that does not exist', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const before = fs.readdirSync(outputDir);
+        const tease = await scrape('9999');
+
+        assert.match(tease.error, /does not exist \(HTTP 404\)/);
+        assert.deepEqual(tease.pages, []);
+        assert.deepEqual(fs.readdirSync(outputDir), before);
+    });
+});
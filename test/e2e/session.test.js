@@ -0,0 +1,87 @@
+// test/e2e/session.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer } = require('../fixtures/server');
+const { FIXTURE_LOGIN } = require('../fixtures/teases');
+const { launchBrowser } = require('../../lib/browser');
+const { scrapeTeasePages } = require('../../lib/scraper');
+
+const TEST_DELAYS = { afterNavigation: 300, challenge: 300, betweenPages: 0 };
+
+describe('scraping teases that need a login', () => {
+    const server = createFixtureServer();
+    let skipReason = null;
+    let workDir;
+
+    before(async () => {
+        await server.start();
+        workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-session-'));
+        try {
+            const browser = await launchBrowser();
+            await browser.close();
+        } catch (error) {
+            skipReason = `browser could not be launched: ${error.message.split('\n')[0]}`;
+        }
+    });
+
+    after(async () => {
+        await server.close();
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    });
+
+    // Each scrape gets its own browser so cookies never leak between tests
+    async function scrape(options) {
+        const browser = await launchBrowser();
+        try {
+            return await scrapeTeasePages(server.url('/webteases/showtease.php?id=1005&p=1'), {
+                browser,
+                delays: TEST_DELAYS,
+                requestsPerMinute: 0,
+                ...options
+            });
+        } finally {
+            await browser.close();
+        }
+    }
+
+    it('stops with a login error instead of saving the login page', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const outputDir = path.join(workDir, 'anonymous');
+        const tease = await scrape({ outputDir });
+
+        assert.match(tease.error, /Login required/);
+        assert.equal(tease.pages.length, 0);
+        assert.equal(fs.existsSync(outputDir) ? fs.readdirSync(outputDir).length : 0, 0);
+    });
+
+    it('logs in with credentials and saves the session for later runs', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const outputDir = path.join(workDir, 'credentials');
+        const sessionFile = path.join(workDir, 'session.json');
+        const tease = await scrape({ outputDir, sessionFile, ...FIXTURE_LOGIN });
+
+        assert.equal(tease.error, null);
+        assert.deepEqual(tease.pages.map(page => page.description), ['Private first page.', 'Private second page.']);
+        const savedCookies = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+        assert.ok(savedCookies.some(cookie => cookie.name === 'fixture_session'));
+
+        // The next run reuses the saved session without logging in again
+        const loginsBefore = server.requests.filter(request => request.path === '/forum/ucp.php').length;
+        const again = await scrape({ outputDir, sessionFile });
+        assert.equal(again.error, null);
+        assert.equal(server.requests.filter(request => request.path === '/forum/ucp.php').length, loginsBefore);
+    });
+
+    it('uses an imported cookie file', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const cookieFile = path.join(workDir, 'cookies.txt');
+        fs.writeFileSync(cookieFile, `localhost\tFALSE\t/\tFALSE\t0\tfixture_session\tvalid\n`);
+        const tease = await scrape({ outputDir: path.join(workDir, 'cookies'), cookieFile, sessionFile: path.join(workDir, 'unused.json') });
+
+        assert.equal(tease.error, null);
+        assert.equal(tease.pages.length, 2);
+    });
+});
@@ -0,0 +1,139 @@
+// test/e2e/viewer.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { FIXTURE_IMAGES } = require('../fixtures/server');
+const { launchBrowser } = require('../../lib/browser');
+const { generateViewerHtml } = require('../../lib/viewer');
+
+const PAGES = [
+    { pageNumber: 1, description: 'The first page.', imageFilename: 'gray_1.jpg' },
+    { pageNumber: 2, description: 'Déjà vu on the second page.', imageFilename: 'green_2.png' },
+    { pageNumber: 3, description: 'The third page.', imageFilename: 'gray_1.jpg' },
+    { pageNumber: 4, description: 'Déjà vu once more.', imageFilename: 'green_2.png' }
+];
+
+// The viewer is opened straight from disk, the way people use it
+describe('viewer.html from file://', () => {
+    let browser = null;
+    let skipReason = null;
+    let teaseDirectory;
+    let viewerUrl;
+
+    before(async () => {
+        teaseDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-viewer-e2e-'));
+        await fs.promises.mkdir(path.join(teaseDirectory, 'pics'));
+        await fs.promises.writeFile(path.join(teaseDirectory, 'pics', 'gray_1.jpg'), FIXTURE_IMAGES['gray.jpg'].data);
+        await fs.promises.writeFile(path.join(teaseDirectory, 'pics', 'green_2.png'), FIXTURE_IMAGES['green.png'].data);
+        await generateViewerHtml(path.join(teaseDirectory, 'viewer.html'), 'Viewer', PAGES, { id: 9001, title: 'Viewer Test' });
+        viewerUrl = pathToFileURL(path.join(teaseDirectory, 'viewer.html')).href;
+        try {
+            browser = await launchBrowser();
+        } catch (error) {
+            skipReason = `browser could not be launched: ${error.message.split('\n')[0]}`;
+        }
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+        await fs.promises.rm(teaseDirectory, { recursive: true, force: true });
+    });
+
+    const currentPage = page => page.evaluate(() => window.location.hash);
+
+    it('searches the page texts and jumps to the next match', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const page = await browser.newPage();
+        await page.goto(viewerUrl);
+
+        await page.type('#search-input', 'deja');
+        assert.equal(await page.$$eval('.search-result', results => results.length), 2);
+        await page.keyboard.press('Enter');
+        assert.equal(await currentPage(page), '#2');
+        await page.keyboard.press('Enter');
+        assert.equal(await currentPage(page), '#4');
+        await page.close();
+    });
+
+    it('remembers bookmarks and the last page read', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const page = await browser.newPage();
+        await page.goto(viewerUrl);
+        await page.keyboard.press('ArrowRight');
+        await page.keyboard.press('ArrowRight');
+        await page.keyboard.press('b');
+        await page.close();
+
+        const again = await browser.newPage();
+        await again.goto(viewerUrl);
+        assert.equal(await currentPage(again), '#3');
+        assert.deepEqual(await again.$$eval('#bookmark-select option', options => options.map(option => option.value)), ['', '3']);
+        await again.close();
+    });
+
+    it('shows a thumbnail grid that opens the clicked page', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const page = await browser.newPage();
+        await page.goto(`${viewerUrl}#1`);
+        await page.click('#grid-btn');
+        assert.equal(await page.$$eval('.thumbnail', thumbnails => thumbnails.length), 4);
+        await page.click('.thumbnail[data-index="1"]');
+        assert.equal(await currentPage(page), '#2');
+        assert.equal(await page.$eval('#grid-overlay', overlay => overlay.classList.contains('open')), false);
+        await page.close();
+    });
+
+    it('advances on its own in slideshow mode and preloads the next images', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const page = await browser.newPage();
+        await page.goto(`${viewerUrl}#1`);
+        await page.evaluate(() => {
+            const seconds = document.getElementById('slideshow-seconds');
+            seconds.value = '1';
+            seconds.dispatchEvent(new Event('change'));
+        });
+        assert.ok(await page.evaluate(() => Array.from(preloadedImages.keys()).includes('pics/green_2.png')));
+        await page.click('#slideshow-btn');
+        await new Promise(r => setTimeout(r, 1500));
+        assert.equal(await currentPage(page), '#2');
+        await page.close();
+    });
+
+    it('follows the links of a branching tease and shows a map of the pages', async t => {
+        if (skipReason) return t.skip(skipReason);
+        const link = (pageNumber, label) => ({ pageNumber: String(pageNumber), url: `https://milovana.com/webteases/showtease.php?id=9002&p=${pageNumber}`, label });
+        const branchingPages = [
+            { ...PAGES[0], links: [link(2, 'Left'), link(3, 'Right')] },
+            { ...PAGES[1], links: [link(5, 'Lost')] },
+            { ...PAGES[2], links: [link(4, 'Continue')] },
+            { ...PAGES[3], links: [link(1, 'Start over')] }
+        ];
+        const branchingPath = path.join(teaseDirectory, 'branching.html');
+        await generateViewerHtml(branchingPath, 'Branching', branchingPages, { id: 9002, title: 'Branching' });
+        const page = await browser.newPage();
+        await page.goto(`${pathToFileURL(branchingPath).href}#1`);
+
+        assert.deepEqual(await page.$$eval('#page-links button', buttons => buttons.map(button => button.textContent)), ['Left \u2192 2', 'Right \u2192 3']);
+        await page.click('#page-links button:nth-child(2)');
+        assert.equal(await currentPage(page), '#3');
+        await page.keyboard.press('ArrowRight'); // The only link of page 3
+        assert.equal(await currentPage(page), '#4');
+        await page.keyboard.press('ArrowLeft');
+        await page.keyboard.press('ArrowLeft');
+        assert.equal(await currentPage(page), '#1', 'back follows the links taken');
+
+        await page.goto(`${pathToFileURL(branchingPath).href}#2`);
+        assert.equal(await page.$eval('#page-links button', button => button.disabled), true, 'page 5 was not saved');
+
+        await page.keyboard.press('m');
+        assert.equal(await page.$$eval('.map-column', columns => columns.length), 3);
+        assert.equal(await page.$$eval('.map-lines path', paths => paths.length), 4);
+        assert.equal(await page.$$eval('.map-lines path.back', paths => paths.length), 1);
+        await page.click('.map-node[data-index="3"]');
+        assert.equal(await currentPage(page), '#4');
+        await page.close();
+    });
+});
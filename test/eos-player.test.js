@@ -0,0 +1,123 @@
+// test/eos-player.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { SANDBOX_SCRIPT, sanitizeScriptLabels, generateEosPlayerHtml } = require('../lib/eos-player');
+
+// Runs the sandbox script in a stand-in for the sandboxed frame: a global with its own empty
+// document, the network APIs a browser frame has, and a parent that records what it is sent
+function createSandbox() {
+    const sent = [];
+    const listeners = [];
+    const player = { postMessage: message => sent.push(JSON.parse(JSON.stringify(message))) }; // Copied, as postMessage would
+    const frame = {
+        parent: player,
+        document: { body: null, getElementById: () => null },
+        fetch: () => Promise.resolve(),
+        XMLHttpRequest: function XMLHttpRequest() {},
+        WebSocket: function WebSocket() {},
+        console: { warn: () => {} },
+        addEventListener: (type, listener) => listeners.push(listener)
+    };
+    frame.window = frame;
+    vm.createContext(frame);
+    vm.runInContext(SANDBOX_SCRIPT, frame);
+
+    let lastId = 0;
+    const post = (data, source = player) => listeners.forEach(listener => listener({ source, data }));
+    return {
+        sent,
+        post,
+        // Runs a script the way the player does and returns the messages it caused
+        run(code, state = { currentPageId: 'start', disabledPages: [] }) {
+            const id = ++lastId;
+            sent.length = 0;
+            post({ type: 'run', id, code, state });
+            return sent.splice(0);
+        }
+    };
+}
+
+describe('sanitizeScriptLabels', () => {
+    it('cleans say, choice and notification texts, including nested commands', () => {
+        const script = {
+            pages: {
+                start: [
+                    { say: { label: '<p>Hello <b>there</b><img src="x" onerror="alert(1)"></p>', mode: 'pause' } },
+                    { choice: { options: [
+                        { label: '<span onclick="steal()">Left</span>', commands: [{ goto: { target: 'left' } }] },
+                        { label: 'Right<script>alert(2)</script>', commands: [
+                            { if: { condition: 'true', commands: [{ say: { label: '<a href="javascript:alert(3)">Deep</a>' } }] } }
+                        ] }
+                    ] } },
+                    { 'notification.create': { title: '<i>Note</i><iframe src="https://evil.example"></iframe>', buttonLabel: '<u onmouseover="x()">OK</u>' } }
+                ]
+            }
+        };
+
+        const cleaned = sanitizeScriptLabels(script);
+        const [say, choice, notification] = cleaned.pages.start;
+
+        assert.equal(say.say.label, '<p>Hello <b>there</b></p>');
+        assert.equal(say.say.mode, 'pause');
+        assert.equal(choice.choice.options[0].label, '<span>Left</span>');
+        assert.deepEqual(choice.choice.options[0].commands, [{ goto: { target: 'left' } }]);
+        assert.equal(choice.choice.options[1].label, 'Right');
+        assert.equal(choice.choice.options[1].commands[0].if.commands[0].say.label, '<a>Deep</a>');
+        assert.equal(notification['notification.create'].title, '<i>Note</i>');
+        assert.equal(notification['notification.create'].buttonLabel, '<u>OK</u>');
+        // The original script is left alone
+        assert.match(script.pages.start[0].say.label, /onerror/);
+    });
+});
+
+describe('EOS script sandbox', () => {
+    it('runs scripts without the network APIs and with only its own empty document', () => {
+        const sandbox = createSandbox();
+
+        assert.deepEqual(sandbox.run('typeof fetch === "undefined" && typeof XMLHttpRequest === "undefined" && typeof WebSocket === "undefined"'),
+            [{ type: 'result', id: 1, value: true }]);
+        assert.deepEqual(sandbox.run('document.getElementById("say-text")'), [{ type: 'result', id: 2, value: false }]);
+        assert.deepEqual(sandbox.run('fetch("http://127.0.0.1:3000/api/scrapes")'), [{ type: 'result', id: 3, value: false }]);
+    });
+
+    it('keeps variables between scripts and reports page and storage calls back to the player', () => {
+        const sandbox = createSandbox();
+        sandbox.post({ type: 'storage', storage: { visits: '2' } });
+
+        sandbox.run('var counter = teaseStorage.getItem("visits") + 1');
+        assert.deepEqual(sandbox.run('teaseStorage.setItem("visits", counter); pages.disable("secret"); pages.goto("next"); counter === 3'), [
+            { type: 'storage', key: 'visits', value: '3' },
+            { type: 'pages', method: 'disable', target: 'secret' },
+            { type: 'pages', method: 'goto', target: 'next' },
+            { type: 'result', id: 2, value: true }
+        ]);
+        const state = { currentPageId: 'next', disabledPages: ['secret'] };
+        assert.deepEqual(sandbox.run('!pages.isEnabled("secret") && pages.isEnabled("start") && pages.getCurrentPageId() === "next"', state),
+            [{ type: 'result', id: 3, value: true }]);
+    });
+
+    it('ignores messages that do not come from the player', () => {
+        const sandbox = createSandbox();
+        sandbox.post({ type: 'run', id: 1, code: 'pages.goto("elsewhere")', state: {} }, {});
+
+        assert.deepEqual(sandbox.sent, []);
+    });
+
+    it('writes a player that evaluates nothing itself and frames the sandbox without same-origin access', async () => {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-eos-player-'));
+        const outputPath = path.join(directory, 'eos-player.html');
+        await generateEosPlayerHtml(outputPath, 'Sandboxed', { init: 'var x = 1;', pages: { start: [{ eval: { script: 'x++' } }] } });
+        const html = fs.readFileSync(outputPath, 'utf8');
+        await fs.promises.rm(directory, { recursive: true, force: true });
+
+        const playerScript = html.replace(/sandboxFrame\.srcdoc = .*;\n/, '');
+        assert.doesNotMatch(playerScript, /eval\(|new Function/);
+        assert.match(html, /sandboxFrame\.setAttribute\('sandbox', 'allow-scripts'\);/);
+        assert.doesNotMatch(html, /allow-same-origin/);
+        assert.match(html, /default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'/);
+    });
+});
@@ -0,0 +1,99 @@
+// test/eos.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { collectEosMedia, rewriteEosScript, eosPagesToGallery } = require('../lib/eos');
+const { setLogLevel, getLogLevel } = require('../lib/logger');
+
+const MEDIA = 'https://media.milovana.com/timg';
+const SOURCE_URL = 'https://milovana.com/webteases/showtease.php?id=90';
+
+// A small EOS script: uploaded files, a gallery used through a locator and one that is not
+function fixtureScript() {
+    return {
+        files: {
+            'intro image.jpg': { hash: 'aaa111', type: 'image/jpeg' },
+            'beat.mp3': { hash: 'bbb222', type: 'audio/mpeg' },
+            'no-hash.png': { type: 'image/png' }
+        },
+        galleries: {
+            gal1: { images: [{ id: 1, hash: 'ccc333' }, { id: 2, hash: 'ddd444' }] },
+            unused: { images: [{ id: 9, hash: 'eee555' }] }
+        },
+        pages: {
+            start: [
+                { image: { locator: 'file:intro image.jpg' } },
+                { 'audio.play': { locator: 'file:beat.mp3' } },
+                { say: { label: '<p>Welcome, <b>reader</b> &amp; friend</p>' } },
+                { choice: { options: [{ label: 'Go', commands: [{ goto: { target: 'next' } }] }] } }
+            ],
+            next: [
+                { image: { locator: 'gallery:gal1/2' } },
+                { say: { label: 'Line one<br>Line <img src="x" onerror="alert(1)">two' } }
+            ],
+            random: [
+                { image: { locator: 'gallery:gal1/*' } }
+            ],
+            text: [
+                { say: { label: '' } }
+            ]
+        }
+    };
+}
+
+describe('EOS script localisation', () => {
+    const initialLevel = getLogLevel();
+
+    before(() => setLogLevel('error'));
+    after(() => setLogLevel(initialLevel));
+
+    it('lists every uploaded file and the images of the galleries in use', () => {
+        const media = collectEosMedia(fixtureScript());
+
+        assert.deepEqual(media, [
+            { locator: 'file:intro image.jpg', url: `${MEDIA}/aaa111.jpg`, localPath: 'pics/intro_image.jpg', kind: 'image' },
+            { locator: 'file:beat.mp3', url: `${MEDIA}/bbb222.mp3`, localPath: 'audio/beat.mp3', kind: 'audio' },
+            { locator: 'gallery:gal1/1', url: `${MEDIA}/tb_xl/ccc333.jpg`, localPath: 'pics/gal1_1.jpg', kind: 'image' },
+            { locator: 'gallery:gal1/2', url: `${MEDIA}/tb_xl/ddd444.jpg`, localPath: 'pics/gal1_2.jpg', kind: 'image' }
+        ]);
+    });
+
+    it('points locators at the local files and leaves wildcards and the original alone', () => {
+        const script = fixtureScript();
+        const localPaths = new Map(collectEosMedia(script)
+            .filter(item => item.locator !== 'gallery:gal1/1') // As if this download had failed
+            .map(item => [item.locator, item.localPath]));
+
+        const rewritten = rewriteEosScript(script, localPaths);
+
+        assert.equal(rewritten.pages.start[0].image.locator, 'pics/intro_image.jpg');
+        assert.equal(rewritten.pages.start[1]['audio.play'].locator, 'audio/beat.mp3');
+        assert.equal(rewritten.pages.next[0].image.locator, 'pics/gal1_2.jpg');
+        assert.equal(rewritten.pages.random[0].image.locator, 'gallery:gal1/*');
+        assert.equal(rewritten.files['intro image.jpg'].localFile, 'pics/intro_image.jpg');
+        assert.equal(rewritten.files['no-hash.png'].localFile, undefined);
+        assert.deepEqual(rewritten.galleries.gal1.images.map(image => image.localFile), [undefined, 'pics/gal1_2.jpg']);
+        assert.equal(script.pages.start[0].image.locator, 'file:intro image.jpg');
+    });
+
+    it('turns the EOS pages into viewer pages with their text and first image', () => {
+        const script = fixtureScript();
+        const media = collectEosMedia(script);
+        const rewritten = rewriteEosScript(script, new Map(media.map(item => [item.locator, item.localPath])));
+
+        const pages = eosPagesToGallery(rewritten, media, SOURCE_URL);
+
+        assert.deepEqual(pages.map(page => [page.pageNumber, page.eosPageId, page.imageFilename, page.imageUrl]), [
+            ['1', 'start', 'intro_image.jpg', `${MEDIA}/aaa111.jpg`],
+            ['2', 'next', 'gal1_2.jpg', `${MEDIA}/tb_xl/ddd444.jpg`],
+            ['3', 'random', 'gal1_1.jpg', `${MEDIA}/tb_xl/ccc333.jpg`],
+            ['4', 'text', 'no_image.jpg', null]
+        ]);
+        assert.equal(pages[0].description, 'Welcome, reader & friend');
+        assert.equal(pages[0].descriptionHtml, '<div><p>Welcome, <b>reader</b> &amp; friend</p></div>');
+        assert.equal(pages[1].description, 'Line one\nLine two');
+        assert.equal(pages[1].descriptionHtml, '<div>Line one<br>Line two</div>');
+        assert.equal(pages[3].description, 'No description found.');
+        assert.equal(pages[3].descriptionHtml, null);
+        assert.ok(pages.every(page => page.url === SOURCE_URL));
+    });
+});
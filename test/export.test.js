@@ -0,0 +1,99 @@
+// test/export.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { FIXTURE_IMAGES } = require('./fixtures/server');
+const { exportTease } = require('../lib/export');
+const { MANIFEST_SCHEMA_VERSION } = require('../lib/manifest');
+const { setLogLevel, getLogLevel } = require('../lib/logger');
+
+const JPEG = FIXTURE_IMAGES['gray.jpg'].data;
+const PNG = FIXTURE_IMAGES['green.png'].data;
+const BMP = Buffer.concat([Buffer.from('BM'), Buffer.alloc(60)]);
+
+describe('exportTease', () => {
+    const initialLevel = getLogLevel();
+    let teaseDirectory;
+    let written;
+
+    before(async () => {
+        setLogLevel('error');
+        teaseDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-export-'));
+        const picsDirectory = path.join(teaseDirectory, 'pics');
+        await fs.promises.mkdir(picsDirectory);
+        await fs.promises.writeFile(path.join(picsDirectory, 'one_1.jpg'), JPEG);
+        await fs.promises.writeFile(path.join(picsDirectory, 'two_2.png'), PNG);
+        await fs.promises.writeFile(path.join(picsDirectory, 'four_4.bmp'), BMP);
+        await fs.promises.writeFile(path.join(picsDirectory, 'five_5.img'), PNG);
+        const pages = [
+            { pageNumber: '2', description: 'Second <page>', imageFilename: 'two_2.png' },
+            { pageNumber: '1', description: 'First page', imageFilename: 'one_1.jpg' },
+            { pageNumber: '3', description: 'Only words', imageFilename: 'no_image.jpg' },
+            { pageNumber: '4', description: 'Bitmap', imageFilename: 'four_4.bmp' },
+            { pageNumber: '5', description: 'Odd name', imageFilename: 'five_5.img' }
+        ];
+        await fs.promises.writeFile(path.join(teaseDirectory, 'descriptions.json'), JSON.stringify(pages));
+        await fs.promises.writeFile(path.join(teaseDirectory, 'manifest.json'), JSON.stringify({
+            schemaVersion: MANIFEST_SCHEMA_VERSION,
+            tease: { id: '77', title: 'Fixture & Tease', author: { name: 'Someone' }, tags: ['one', 'two'], publishedAt: '2021-05-01' },
+            pages
+        }));
+
+        written = await exportTease(teaseDirectory);
+    });
+
+    after(async () => {
+        setLogLevel(initialLevel);
+        await fs.promises.rm(teaseDirectory, { recursive: true, force: true });
+    });
+
+    it('writes one file per format into exports/', () => {
+        const baseName = path.basename(teaseDirectory);
+        assert.deepEqual(written, ['cbz', 'epub', 'pdf'].map(format => path.join(teaseDirectory, 'exports', `${baseName}.${format}`)));
+    });
+
+    it('puts the images in page order into the CBZ, with ComicInfo.xml', async () => {
+        const zip = await JSZip.loadAsync(fs.readFileSync(written[0]));
+
+        assert.deepEqual(Object.keys(zip.files).sort(), ['0001.jpg', '0002.png', '0003.bmp', '0004.img', 'ComicInfo.xml']);
+        assert.ok((await zip.file('0001.jpg').async('nodebuffer')).equals(JPEG));
+        assert.ok((await zip.file('0002.png').async('nodebuffer')).equals(PNG));
+        const comicInfo = await zip.file('ComicInfo.xml').async('string');
+        assert.match(comicInfo, /<Title>Fixture &amp; Tease<\/Title>/);
+        assert.match(comicInfo, /<Writer>Someone<\/Writer>/);
+        assert.match(comicInfo, /<PageCount>4<\/PageCount>/);
+        assert.match(comicInfo, /<Year>2021<\/Year>/);
+    });
+
+    it('builds an EPUB with a page per tease page and the right image media types', async () => {
+        const zip = await JSZip.loadAsync(fs.readFileSync(written[1]));
+
+        assert.equal(Object.keys(zip.files)[0], 'mimetype');
+        assert.equal(await zip.file('mimetype').async('string'), 'application/epub+zip');
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        assert.match(opf, /<dc:title>Fixture &amp; Tease<\/dc:title>/);
+        assert.match(opf, /id="img-1" href="images\/img-1.jpg" media-type="image\/jpeg" properties="cover-image"/);
+        assert.match(opf, /href="images\/img-2.png" media-type="image\/png"/);
+        assert.match(opf, /href="images\/img-3.bmp" media-type="image\/bmp"/);
+        assert.match(opf, /href="images\/img-4.img" media-type="image\/png"/);
+        assert.equal((opf.match(/<itemref /g) || []).length, 5);
+
+        const second = await zip.file('OEBPS/pages/page-0002.xhtml').async('string');
+        assert.match(second, /<img src="..\/images\/img-2.png"/);
+        assert.match(second, /<p>Second &lt;page&gt;<\/p>/);
+        const third = await zip.file('OEBPS/pages/page-0003.xhtml').async('string');
+        assert.doesNotMatch(third, /<img /);
+        assert.match(third, /<p>Only words<\/p>/);
+    });
+
+    it('writes a PDF with one page per tease page', () => {
+        const pdf = fs.readFileSync(written[2]).toString('latin1');
+
+        assert.ok(pdf.startsWith('%PDF-'));
+        assert.equal((pdf.match(/\/Type \/Page\b/g) || []).length, 5);
+        assert.equal((pdf.match(/\/Subtype \/Image\b/g) || []).length, 2); // The BMP and the .img file cannot be embedded
+    });
+});
@@ -0,0 +1,61 @@
+// test/filenames.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    transliterate,
+    validateFilenameTemplate,
+    renderFilenameTemplate,
+    buildImageFilename,
+    generateFilenameFromCaption,
+    uniqueFilename
+} = require('../lib/filenames');
+
+describe('generateFilenameFromCaption', () => {
+    it('keeps the old names for plain English captions', () => {
+        assert.equal(generateFilenameFromCaption('Look at me now, slave!', 3), 'look_me_sl_3');
+    });
+
+    it('never starts with a bare page number when the caption has only stop words', () => {
+        assert.equal(generateFilenameFromCaption('It is what it is', 5), 'it_is_what_5');
+    });
+
+    it('transliterates non-Latin captions and keeps scripts it cannot', () => {
+        assert.equal(generateFilenameFromCaption('Привет, мой раб', 7), 'privet_moi_7');
+        assert.equal(generateFilenameFromCaption('Ça déjà vu, Straße', 9), 'ca_deja_vu_9');
+        assert.equal(generateFilenameFromCaption('こんにちは 世界', 8), 'こんにちは_世界_8');
+        assert.equal(transliterate('Ελληνικά'), 'ellinika');
+    });
+});
+
+describe('filename templates', () => {
+    const fields = { pageNumber: 7, teaseId: 42, title: 'My_Tease', caption: 'Kneel before the mighty queen', imageUrl: 'https://example.com/img/IMG%20001.JPG?x=1' };
+
+    it('fills in every placeholder', () => {
+        assert.equal(renderFilenameTemplate('{id}_{page:3}_{caption:20}', fields), '42_007_kneel_mighty_queen');
+        assert.equal(renderFilenameTemplate('{title}-{original}', fields), 'my_tease-IMG_001');
+        assert.equal(renderFilenameTemplate('{hash:8}', { ...fields, hash: '0123456789abcdef' }), '01234567');
+    });
+
+    it('takes the extension from the image URL', () => {
+        assert.equal(buildImageFilename('{page}', fields), '7.jpg');
+        assert.equal(buildImageFilename('{page}', { ...fields, imageUrl: 'https://example.com/show?id=1' }), '7.jpg');
+    });
+
+    it('falls back to the page number when everything else is empty', () => {
+        assert.equal(renderFilenameTemplate('{caption}', { pageNumber: 4, caption: '!!!' }), 'page_4');
+    });
+
+    it('rejects unknown placeholders and path separators', () => {
+        assert.throws(() => validateFilenameTemplate('{pages}'), /Unknown placeholder/);
+        assert.throws(() => validateFilenameTemplate('{id}/{page}'), /path separators/);
+        assert.throws(() => validateFilenameTemplate('cover'), /no placeholders/);
+        assert.doesNotThrow(() => validateFilenameTemplate('{id}_{page:3}'));
+    });
+});
+
+describe('uniqueFilename', () => {
+    it('avoids names differing only in case or extension', () => {
+        assert.equal(uniqueFilename('a_1.png', new Set(['A_1.jpg', 'a_1_2.gif'])), 'a_1_3.png');
+        assert.equal(uniqueFilename('b_1.jpg', new Set(['a_1.jpg'])), 'b_1.jpg');
+    });
+});
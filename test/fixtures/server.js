@@ -0,0 +1,221 @@
+// test/fixtures/server.js
+const http = require('http');  // For the fixture web server
+const { FIXTURE_TEASES, FIXTURE_LOGIN } = require('./teases');
+
+// 1x1 pixel images, small enough to keep inline
+const FIXTURE_IMAGES = {
+    'gray.jpg': {
+        type: 'image/jpeg',
+        data: Buffer.from('/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAALCAABAAEBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAAAP/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AP//Z', 'base64')
+    },
+    'green.png': {
+        type: 'image/png',
+        data: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGNgOMEAAAGUAMlBGJ3rAAAAAElFTkSuQmCC', 'base64')
+    }
+};
+
+const CLEARANCE_COOKIE = 'fixture_clearance=1';
+const SESSION_COOKIE = 'fixture_session=valid';
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Markup shaped like a classic Milovana showtease.php page
+function renderTeasePage(teaseId, tease, pageNumber) {
+    const page = tease.pages[pageNumber - 1];
+    const author = tease.author
+        ? ` <span>by <a href="/webteases/?author=${tease.author.id}">${escapeHtml(tease.author.name)}</a></span>`
+        : '';
+    const tags = (tease.tags || []).map(tag => `<a href="/webteases/?tag=${encodeURIComponent(tag)}">${escapeHtml(tag)}</a>`).join(' ');
+    const image = page.image ? `<img class="tease_pic" src="${page.image}" alt="${escapeHtml(tease.title)}">` : '';
+    const description = page.description !== null ? `<p class="text">${page.html || escapeHtml(page.description)}</p>` : '';
+    const nextPage = page.next !== undefined ? page.next : (pageNumber < tease.pages.length ? pageNumber + 1 : null);
+    const continueLink = nextPage
+        ? `<a id="continue" href="showtease.php?id=${teaseId}&amp;p=${nextPage}">Continue</a>`
+        : '';
+    const pageLinks = (page.links || [])
+        .map(([target, label]) => `<a href="showtease.php?id=${teaseId}&amp;p=${target}">${escapeHtml(label)}</a>`).join(' ');
+
+    return `<!DOCTYPE html>
+<html>
+<head><title>${escapeHtml(tease.title)} - Milovana</title></head>
+<body>
+    <div id="tease_title">${escapeHtml(tease.title)}${author}</div>
+    <div class="tags">${tags}</div>
+    <div id="tease_content">
+        ${image}
+        ${description}
+        ${pageLinks}
+        ${continueLink}
+    </div>
+</body>
+</html>`;
+}
+
+// Stand-in for Cloudflare's check: sets a cookie and reloads, like the real one does once it passes
+function renderInterstitial() {
+    return `<!DOCTYPE html>
+<html>
+<head><title>Just a moment...</title></head>
+<body>
+    <p>Checking your browser before accessing the site.</p>
+    <script>
+        setTimeout(() => {
+            document.cookie = '${CLEARANCE_COOKIE}; path=/';
+            location.reload();
+        }, 200);
+    </script>
+</body>
+</html>`;
+}
+
+// phpBB-style login form, like the one on Milovana's forum
+function renderLoginForm(message = '') {
+    return `<!DOCTYPE html>
+<html>
+<head><title>Login - Milovana</title></head>
+<body>
+    ${message ? `<p class="error">${escapeHtml(message)}</p>` : ''}
+    <form method="post" action="/forum/ucp.php?mode=login">
+        <input type="text" name="username" id="username">
+        <input type="password" name="password" id="password">
+        <input type="checkbox" name="autologin" id="autologin">
+        <input type="submit" name="login" value="Login">
+    </form>
+</body>
+</html>`;
+}
+
+function readBody(request) {
+    return new Promise(resolve => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => resolve(body));
+    });
+}
+
+/**
+ * Creates an HTTP server that mimics the parts of Milovana the scraper reads:
+ *
+ * - /webteases/showtease.php?id=<id>&p=<n> serves the pages of FIXTURE_TEASES.
+ * - /images/<name> serves FIXTURE_IMAGES.
+ * - /cdn/<name> redirects to /images/<name> on the other host name (localhost <-> 127.0.0.1).
+ * - /blocked/<name> answers 200 with the interstitial HTML instead of the image.
+ * - /limited/<name> answers 429 (Retry-After: 1) the first time each image is asked for.
+ * - /forum/ucp.php?mode=login shows a login form; posting FIXTURE_LOGIN sets the session cookie.
+ *
+ * Teases marked `challenge` answer with a "Just a moment..." page until the clearance
+ * cookie is set; teases marked `requiresLogin` redirect to the login form until the
+ * session cookie is set. Every request is recorded in `requests`.
+ *
+ * @returns {{start: function(): Promise<string>, close: function(): Promise<void>, url: function(string): string, requests: Array}}
+ */
+function createFixtureServer() {
+    const requests = [];
+    const rateLimitedOnce = new Set();
+    let port = null;
+
+    const server = http.createServer(async (request, response) => {
+        const requestUrl = new URL(request.url, `http://${request.headers.host}`);
+        requests.push({ method: request.method, host: requestUrl.hostname, path: requestUrl.pathname, query: requestUrl.search });
+
+        const send = (statusCode, contentType, body, headers = {}) => {
+            response.writeHead(statusCode, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body), ...headers });
+            response.end(body);
+        };
+
+        if (requestUrl.pathname === '/forum/ucp.php') {
+            if (request.method !== 'POST') {
+                send(200, 'text/html; charset=utf-8', renderLoginForm());
+                return;
+            }
+            const form = new URLSearchParams(await readBody(request));
+            if (form.get('username') === FIXTURE_LOGIN.username && form.get('password') === FIXTURE_LOGIN.password && form.has('login')) {
+                send(302, 'text/plain', 'Logged in', { Location: '/', 'Set-Cookie': `${SESSION_COOKIE}; Path=/` });
+            } else {
+                send(200, 'text/html; charset=utf-8', renderLoginForm('Invalid username or password.'));
+            }
+            return;
+        }
+        if (requestUrl.pathname === '/') {
+            send(200, 'text/html; charset=utf-8', '<!DOCTYPE html><html><head><title>Milovana</title></head><body><a href="/forum/ucp.php?mode=logout">Logout</a></body></html>');
+            return;
+        }
+
+        if (requestUrl.pathname === '/webteases/showtease.php') {
+            const teaseId = requestUrl.searchParams.get('id');
+            const pageNumber = parseInt(requestUrl.searchParams.get('p') || '1', 10);
+            const tease = FIXTURE_TEASES[teaseId];
+            if (!tease || !tease.pages[pageNumber - 1]) {
+                send(404, 'text/html', '<!DOCTYPE html><html><head><title>Not found</title></head><body>No such tease.</body></html>');
+                return;
+            }
+            if (tease.challenge && !(request.headers.cookie || '').includes(CLEARANCE_COOKIE)) {
+                send(503, 'text/html', renderInterstitial());
+                return;
+            }
+            if (tease.requiresLogin && !(request.headers.cookie || '').includes(SESSION_COOKIE)) {
+                send(302, 'text/plain', 'Login required', { Location: `/forum/ucp.php?mode=login&redirect=${encodeURIComponent(request.url)}` });
+                return;
+            }
+            if (tease.pages[pageNumber - 1].removed) {
+                send(200, 'text/html; charset=utf-8', '<!DOCTYPE html><html><head><title>Milovana</title></head><body><p>This page has been removed.</p></body></html>');
+                return;
+            }
+            send(200, 'text/html; charset=utf-8', renderTeasePage(teaseId, tease, pageNumber));
+            return;
+        }
+
+        const [, area, name] = requestUrl.pathname.split('/');
+        const image = FIXTURE_IMAGES[name];
+        if (area === 'images' && image) {
+            send(200, image.type, image.data);
+        } else if (area === 'cdn' && image) {
+            const otherHost = requestUrl.hostname === 'localhost' ? '127.0.0.1' : 'localhost';
+            send(302, 'text/plain', 'Moved', { Location: `http://${otherHost}:${port}/images/${name}` });
+        } else if (area === 'limited' && image) {
+            if (rateLimitedOnce.has(name)) {
+                send(200, image.type, image.data);
+            } else {
+                rateLimitedOnce.add(name);
+                send(429, 'text/plain', 'Too many requests', { 'Retry-After': '1' });
+            }
+        } else if (area === 'blocked') {
+            send(200, 'text/html', renderInterstitial());
+        } else {
+            send(404, 'text/plain', 'Not found');
+        }
+    });
+
+    return {
+        requests,
+
+        // Starts listening on a free port and resolves with the base URL
+        start() {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(0, () => {
+                    port = server.address().port;
+                    resolve(`http://localhost:${port}`);
+                });
+            });
+        },
+
+        close() {
+            return new Promise(resolve => {
+                server.closeAllConnections();
+                server.close(() => resolve());
+            });
+        },
+
+        // Absolute URL of a path on the server
+        url(pathname) {
+            return `http://localhost:${port}${pathname}`;
+        }
+    };
+}
+
+module.exports = { FIXTURE_IMAGES, SESSION_COOKIE, createFixtureServer };
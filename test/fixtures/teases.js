@@ -0,0 +1,107 @@
+// test/fixtures/teases.js
+// Classic teases served by the fixture server. Image paths starting with "/images/" are
+// served directly; "/cdn/<name>" answers with a redirect to /images/<name> on a different host.
+
+const FIXTURE_TEASES = {
+    // Plain three-page tease; page 3 shows the same image as page 1
+    '1001': {
+        title: 'Fixture Tease',
+        author: { name: 'Fixture Author', id: '42' },
+        tags: ['fixture', 'classic'],
+        pages: [
+            { image: '/images/gray.jpg', description: 'First page of the fixture tease.' },
+            { image: '/images/green.png', description: 'Second page: a different image.' },
+            { image: '/images/gray.jpg', description: 'Third page repeats the first image.' }
+        ]
+    },
+
+    // Pages with parts missing
+    '1002': {
+        title: 'Missing Parts',
+        pages: [
+            { image: '/images/gray.jpg', description: 'Complete first page.' },
+            { image: null, description: 'This page has no image.' },
+            { image: '/images/green.png', description: null }
+        ]
+    },
+
+    // Images hosted behind a redirect to another host name
+    '1003': {
+        title: 'Redirected Images',
+        pages: [
+            { image: '/cdn/gray.jpg', description: 'Image served through a redirect.' },
+            { image: '/cdn/green.png', description: 'Another redirected image.' }
+        ]
+    },
+
+    // Every page is first answered with a "Just a moment..." interstitial
+    '1004': {
+        title: 'Behind The Interstitial',
+        challenge: true,
+        pages: [
+            { image: '/images/gray.jpg', description: 'Reached after the interstitial.' },
+            { image: '/images/green.png', description: 'Second page after the interstitial.' }
+        ]
+    },
+
+    // Only visible with a session: anonymous visits are redirected to the login page
+    '1005': {
+        title: 'Members Only',
+        requiresLogin: true,
+        pages: [
+            { image: '/images/gray.jpg', description: 'Private first page.' },
+            { image: '/images/green.png', description: 'Private second page.' }
+        ]
+    },
+
+    // Descriptions with formatting; "html" is served as-is instead of the escaped description
+    '1006': {
+        title: 'Formatted Text',
+        pages: [
+            {
+                image: '/images/gray.jpg',
+                description: 'Kneel now. Read the rules.',
+                html: 'Kneel <em style="color: red" onmouseover="steal()">now</em>.<br>Read <a href="showtease.php?id=1001&amp;p=1">the rules</a>.'
+                    + '<script>steal()</script><img src="https://tracker.example/pixel.gif"><a href="javascript:steal()">!</a>'
+            }
+        ]
+    },
+
+    // The second page has been taken down since the tease was published
+    '1007': {
+        title: 'Cut Short',
+        pages: [
+            { image: '/images/gray.jpg', description: 'Still here.' },
+            { removed: true }
+        ]
+    },
+
+    // Pages linking to several others and back to the start. "links" are extra links in the
+    // page text as [page, label]; "next" is where "Continue" goes (null for no "Continue").
+    // Page 5 is linked from nowhere.
+    '1008': {
+        title: 'Branching Paths',
+        pages: [
+            { image: '/images/gray.jpg', description: 'Choose a door.', links: [[2, 'Left door'], [3, 'Right door']], next: null },
+            { image: '/images/green.png', description: 'The left room.', next: 4 },
+            { image: '/images/gray.jpg', description: 'The right room.', links: [[1, 'Start over']], next: 4 },
+            { image: '/images/green.png', description: 'Both paths end here.', next: null },
+            { image: '/images/gray.jpg', description: 'A page no link leads to.', next: null }
+        ]
+    },
+
+    // One branch links to page 7, which does not exist (HTTP 404); the other goes on to the end
+    '1009': {
+        title: 'Dead End',
+        pages: [
+            { image: '/images/gray.jpg', description: 'Two ways on.', links: [[7, 'Broken path'], [2, 'Open path']], next: null },
+            { image: '/images/green.png', description: 'The open path.', next: 3 },
+            { image: '/images/gray.jpg', description: 'The end of the open path.', next: null }
+        ]
+    }
+};
+
+// Account accepted by the fixture login form
+const FIXTURE_LOGIN = { username: 'fixture', password: 'secret' };
+
+module.exports = { FIXTURE_TEASES, FIXTURE_LOGIN };
@@ -0,0 +1,92 @@
+// test/library.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_IMAGES } = require('./fixtures/server');
+const { collectLibraryEntries, buildLibraryIndex } = require('../lib/library');
+const { buildManifest, writeManifest } = require('../lib/manifest');
+
+const JPEG = FIXTURE_IMAGES['gray.jpg'].data;
+
+// The entries buildLibraryIndex embedded in index.html
+function embeddedEntries(html) {
+    const match = html.match(/const libraryData = (.*);\n/);
+    assert.ok(match, 'index.html embeds the library data');
+    return JSON.parse(match[1]);
+}
+
+describe('buildLibraryIndex', () => {
+    let downloads;
+
+    before(async () => {
+        downloads = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-library-'));
+
+        const classic = path.join(downloads, 'Classic_Tease');
+        await fs.promises.mkdir(path.join(classic, 'pics'), { recursive: true });
+        await fs.promises.writeFile(path.join(classic, 'pics', 'cover_2.jpg'), JPEG);
+        await fs.promises.writeFile(path.join(classic, 'viewer.html'), '<!DOCTYPE html>');
+        await writeManifest(classic, buildManifest({
+            title: 'Classic </script> Tease',
+            teaseId: '21',
+            metadata: { author: { name: 'Author A', id: '5' }, tags: ['tag-one'], rating: 4.2 },
+            scrapedAt: '2024-03-01T10:00:00.000Z',
+            pages: [
+                { pageNumber: '3', imageFilename: 'gone_3.jpg' },
+                { pageNumber: '2', imageFilename: 'cover_2.jpg' },
+                { pageNumber: '1', imageFilename: 'no_image.jpg' }
+            ]
+        }));
+
+        const eos = path.join(downloads, 'Eos_Tease');
+        await fs.promises.mkdir(eos);
+        await fs.promises.writeFile(path.join(eos, 'eos-player.html'), '<!DOCTYPE html>');
+        await writeManifest(eos, buildManifest({ title: 'Eos Tease', teaseId: '22', teaseType: 'eos', pages: [{ pageNumber: '1', imageFilename: 'no_image.jpg' }] }));
+
+        // Folders saved before manifests existed only have descriptions.json
+        const legacy = path.join(downloads, 'Old_Folder');
+        await fs.promises.mkdir(legacy);
+        await fs.promises.writeFile(path.join(legacy, 'descriptions.json'), JSON.stringify([
+            { pageNumber: '1', url: 'https://milovana.com/webteases/showtease.php?id=23&p=1', imageFilename: 'no_image.jpg' }
+        ]));
+
+        await fs.promises.mkdir(path.join(downloads, '.image-store'));
+        await fs.promises.writeFile(path.join(downloads, 'notes.txt'), 'not a folder');
+    });
+
+    after(async () => {
+        await fs.promises.rm(downloads, { recursive: true, force: true });
+    });
+
+    it('collects one entry per tease folder with its cover and players', async () => {
+        const entries = (await collectLibraryEntries(downloads)).sort((a, b) => a.folder.localeCompare(b.folder));
+
+        assert.deepEqual(entries.map(entry => [entry.folder, entry.teaseId, entry.type, entry.pageCount]), [
+            ['Classic_Tease', '21', 'classic', 3],
+            ['Eos_Tease', '22', 'eos', 1],
+            ['Old_Folder', '23', 'classic', 1]
+        ]);
+        const [classic, eos, legacy] = entries;
+        assert.equal(classic.author, 'Author A');
+        assert.deepEqual(classic.tags, ['tag-one']);
+        assert.equal(classic.rating, 4.2);
+        assert.equal(classic.scrapedAt, '2024-03-01T10:00:00.000Z');
+        assert.equal(classic.cover, 'Classic_Tease/pics/cover_2.jpg'); // The first page whose image is on disk
+        assert.deepEqual([classic.hasViewer, classic.hasEosPlayer], [true, false]);
+        assert.deepEqual([eos.cover, eos.hasViewer, eos.hasEosPlayer], [null, false, true]);
+        assert.equal(legacy.title, 'Old_Folder');
+    });
+
+    it('writes index.html with the entries embedded safely', async () => {
+        const outputPath = await buildLibraryIndex(downloads);
+        const html = fs.readFileSync(outputPath, 'utf8');
+
+        assert.equal(outputPath, path.join(downloads, 'index.html'));
+        assert.match(html, /<title>Tease Library<\/title>/);
+        assert.doesNotMatch(html, /Classic <\/script> Tease/);
+        const entries = embeddedEntries(html);
+        assert.deepEqual(entries.map(entry => entry.folder).sort(), ['Classic_Tease', 'Eos_Tease', 'Old_Folder']);
+        assert.equal(entries.find(entry => entry.teaseId === '21').title, 'Classic </script> Tease');
+    });
+});
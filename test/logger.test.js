@@ -0,0 +1,66 @@
+// test/logger.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger, setLogLevel, getLogLevel, addLogSink, createJsonLinesLog } = require('../lib/logger');
+
+describe('createLogger', () => {
+    const initialLevel = getLogLevel();
+    afterEach(() => setLogLevel(initialLevel));
+
+    it('hands every record to sinks, whatever the console level', () => {
+        setLogLevel('silent');
+        const records = [];
+        const removeSink = addLogSink(record => records.push(record));
+        const logger = createLogger({ teaseId: '1001' });
+
+        logger.debug('Queueing image');
+        logger.child({ pageNumber: '2' }).warn('No description', { selector: 'p.text' });
+        removeSink();
+        logger.info('Not recorded');
+
+        assert.deepEqual(records.map(record => [record.level, record.message]), [['debug', 'Queueing image'], ['warn', 'No description']]);
+        assert.equal(records[1].teaseId, '1001');
+        assert.equal(records[1].pageNumber, '2');
+        assert.equal(records[1].selector, 'p.text');
+        assert.ok(!Number.isNaN(Date.parse(records[0].time)));
+    });
+
+    it('records errors by their message', () => {
+        setLogLevel('silent');
+        const records = [];
+        const removeSink = addLogSink(record => records.push(record));
+        createLogger().error('Download failed', { error: new Error('HTTP 500') });
+        removeSink();
+
+        assert.equal(records[0].error, 'HTTP 500');
+    });
+
+    it('rejects unknown levels', () => {
+        assert.throws(() => setLogLevel('loud'), /Unknown log level "loud"/);
+    });
+});
+
+describe('createJsonLinesLog', () => {
+    it('keeps records until the file is opened, then writes one JSON object per line', async () => {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-log-'));
+        const filePath = path.join(directory, 'scrape-log.jsonl');
+        try {
+            const jsonLog = createJsonLinesLog();
+            jsonLog.write({ level: 'info', message: 'before the folder existed' });
+            jsonLog.open(filePath);
+            jsonLog.write({ level: 'warn', message: 'after', pageNumber: '3' });
+            await jsonLog.close();
+
+            const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(lines, [
+                { level: 'info', message: 'before the folder existed' },
+                { level: 'warn', message: 'after', pageNumber: '3' }
+            ]);
+        } finally {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
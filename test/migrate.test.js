@@ -0,0 +1,199 @@
+// test/migrate.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_IMAGES } = require('./fixtures/server');
+const { normalizePages, groupDuplicateFolders, planMigration, migrateArchive } = require('../lib/migrate');
+const { setLogLevel, getLogLevel } = require('../lib/logger');
+
+const JPEG = FIXTURE_IMAGES['gray.jpg'].data;
+const PNG = FIXTURE_IMAGES['green.png'].data;
+const pageUrl = (teaseId, page) => `https://milovana.com/webteases/showtease.php?id=${teaseId}&p=${page}`;
+
+async function writeFiles(directory, files) {
+    for (const [name, content] of Object.entries(files)) {
+        await fs.promises.mkdir(path.dirname(path.join(directory, name)), { recursive: true });
+        await fs.promises.writeFile(path.join(directory, name), typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content));
+    }
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Every file below a folder with its content, to check nothing was changed
+function snapshot(directory) {
+    return fs.readdirSync(directory, { recursive: true }).sort()
+        .map(name => [name, fs.statSync(path.join(directory, name)).isFile() ? fs.readFileSync(path.join(directory, name)).toString('base64') : 'dir']);
+}
+
+describe('normalizePages', () => {
+    it('fills in page numbers and image filenames from the files on disk', () => {
+        const { entries, filled, missingImages } = normalizePages([
+            { url: pageUrl(1, 4), text: 'From the URL', image: 'https://cdn.example/a/x1.jpg' },
+            { caption: 'From the file name', filename: 'scan_07.png' },
+            { pageNumber: '9', description: 'No picture', imageUrl: null, imageFilename: 'no_image.jpg' },
+            { pageNumber: '10', description: 'Lost', imageUrl: 'https://cdn.example/gone.jpg' }
+        ], ['images/x1.jpg', 'images/scan_07.png', 'images/9.jpg']);
+
+        assert.deepEqual(entries.map(entry => [entry.page.pageNumber, entry.page.imageFilename, entry.imageFile]), [
+            ['4', 'x1.jpg', 'images/x1.jpg'],
+            ['7', 'scan_07.png', 'images/scan_07.png'],
+            ['9', 'no_image.jpg', null],
+            ['10', 'no_image.jpg', null]
+        ]);
+        assert.equal(entries[0].page.imageUrl, 'https://cdn.example/a/x1.jpg');
+        assert.equal(entries[0].page.description, 'From the URL');
+        assert.equal(entries[1].page.descriptionHtml, null);
+        assert.deepEqual(filled, { pageNumbers: 2, imageFilenames: 1 });
+        assert.equal(missingImages, 1);
+    });
+});
+
+describe('groupDuplicateFolders', () => {
+    const folder = (name, teaseId, createdAt) => ({
+        name,
+        baseTitle: name.replace(/_\d{13}$/, ''),
+        info: null,
+        rawPages: teaseId ? [{ url: pageUrl(teaseId, 1) }] : [{ description: 'No URL' }],
+        createdAt
+    });
+    const names = groups => groups.map(group => group.map(member => member.name));
+
+    it('never groups two different tease IDs, even when they share a title', () => {
+        assert.deepEqual(names(groupDuplicateFolders([
+            folder('Tease', 100, 1),
+            folder('Tease_1700000000000', 200, 2),
+            folder('Tease_1700000000001', null, 3), // Could be either: left alone
+            folder('Tease_1700000000002', 100, 4),
+            folder('Renamed', 200, 5)
+        ])), [
+            ['Tease', 'Tease_1700000000002'],
+            ['Tease_1700000000000', 'Renamed'],
+            ['Tease_1700000000001']
+        ]);
+    });
+
+    it('groups copies of one title without IDs, and a copy with the ID', () => {
+        assert.deepEqual(names(groupDuplicateFolders([folder('Tease', null, 1), folder('Tease_1700000000000', 100, 2)])),
+            [['Tease', 'Tease_1700000000000']]);
+    });
+});
+
+describe('migrateArchive', () => {
+    const initialLevel = getLogLevel();
+    let root;
+    let archive;
+
+    beforeEach(async () => {
+        setLogLevel('warn');
+        root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-migrate-'));
+        archive = path.join(root, 'downloads');
+        // An early version of this scraper: pages array only, page 3's image never landed
+        await writeFiles(path.join(archive, 'Old_Tease'), {
+            'descriptions.json': [
+                { pageNumber: '1', url: pageUrl(3001, 1), description: 'One', imageUrl: 'https://cdn.example/1.jpg', imageFilename: 'one_1.jpg', imageNewlyDownloaded: true },
+                { pageNumber: '2', url: pageUrl(3001, 2), description: 'Two', imageUrl: null, imageFilename: 'no_image.jpg', imageNewlyDownloaded: false },
+                { pageNumber: '3', url: pageUrl(3001, 3), description: 'Three', imageUrl: 'https://cdn.example/3.jpg', imageFilename: 'three_3.jpg', imageNewlyDownloaded: true }
+            ],
+            'pics/one_1.jpg': JPEG
+        });
+        // The clash check's copy of the same tease, scraped again later
+        await writeFiles(path.join(archive, 'Old_Tease_1700000000000'), {
+            'descriptions.json': [
+                { pageNumber: '3', url: pageUrl(3001, 3), description: 'Three', imageUrl: 'https://cdn.example/3.jpg', imageFilename: 'three_3.jpg' },
+                { url: pageUrl(3001, 4), description: 'Four', imageUrl: 'https://cdn.example/4.png' }
+            ],
+            'pics/three_3.jpg': JPEG,
+            'pics/one_1.jpg': PNG, // Same name, different picture
+            'pics/four_4.png': PNG
+        });
+        // Another downloader's folder
+        await writeFiles(path.join(archive, 'Foreign'), {
+            'tease.json': { title: 'Foreign Tease', id: 3002, author: 'Someone', tags: ['x'], pages: [
+                { page: 1, text: 'Hello', image: 'https://cdn.example/f/a.jpg' },
+                { text: 'World', file: '02.png' }
+            ] },
+            'images/a.jpg': JPEG,
+            'images/02.png': PNG
+        });
+        await writeFiles(path.join(archive, 'Loose_Images'), { '1.jpg': JPEG, '2.jpg': JPEG, '2.txt': 'Second caption\n' });
+        await fs.promises.mkdir(path.join(archive, 'notes'));
+    });
+
+    afterEach(async () => {
+        setLogLevel(initialLevel);
+        await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    it('plans the migration without writing anything', async () => {
+        const before = snapshot(archive);
+        const plan = await migrateArchive(archive, { dryRun: true });
+
+        assert.equal(plan.outputDir, `${archive}-migrated`);
+        assert.deepEqual(plan.teases.map(tease => [tease.folders.map(folder => folder.name).join('+'), tease.layouts.join('/')]), [
+            ['Foreign', 'wrapped'],
+            ['Loose_Images', 'images'],
+            ['Old_Tease+Old_Tease_1700000000000', 'legacy']
+        ]);
+        assert.deepEqual(plan.skipped, ['notes']);
+        assert.deepEqual(snapshot(archive), before);
+        assert.equal(fs.existsSync(plan.outputDir), false);
+    });
+
+    it('writes the current layout to a new folder and leaves the originals untouched', async () => {
+        const before = snapshot(archive);
+        const plan = await migrateArchive(archive);
+        assert.deepEqual(snapshot(archive), before);
+
+        const merged = path.join(plan.outputDir, 'Old_Tease');
+        const pages = readJson(path.join(merged, 'descriptions.json'));
+        assert.deepEqual(pages.map(page => [page.pageNumber, page.imageFilename]), [
+            ['1', 'one_1.jpg'], ['2', 'no_image.jpg'], ['3', 'three_3.jpg'], ['4', 'four_4.png']
+        ]);
+        assert.deepEqual(fs.readdirSync(path.join(merged, 'pics')).sort(), ['four_4.png', 'one_1.jpg', 'three_3.jpg']);
+        assert.ok(fs.readFileSync(path.join(merged, 'pics', 'one_1.jpg')).equals(JPEG), 'the older folder\'s image is kept for page 1');
+        const manifest = readJson(path.join(merged, 'manifest.json'));
+        assert.equal(manifest.tease.id, '3001');
+        assert.equal(manifest.folderName, 'Old_Tease');
+        assert.ok(fs.existsSync(path.join(merged, 'viewer.html')));
+
+        const foreign = readJson(path.join(plan.outputDir, 'Foreign', 'manifest.json'));
+        assert.deepEqual([foreign.tease.id, foreign.tease.title, foreign.tease.author.name], ['3002', 'Foreign Tease', 'Someone']);
+        assert.deepEqual(foreign.pages.map(page => [page.pageNumber, page.description, page.imageFilename]), [['1', 'Hello', 'a.jpg'], ['2', 'World', '02.png']]);
+        assert.ok(fs.existsSync(path.join(plan.outputDir, 'Foreign', 'pics', '02.png')));
+
+        const loose = readJson(path.join(plan.outputDir, 'Loose_Images', 'descriptions.json'));
+        assert.deepEqual(loose.map(page => [page.pageNumber, page.description]), [['1', 'No description found.'], ['2', 'Second caption']]);
+
+        await assert.rejects(migrateArchive(archive), /is not empty/);
+    });
+
+    it('converts in place when asked, keeping the old files in history', async () => {
+        const plan = await migrateArchive(archive, { inPlace: true });
+        assert.equal(plan.outputDir, archive);
+
+        assert.deepEqual(fs.readdirSync(archive).sort(), ['Foreign', 'Loose_Images', 'Old_Tease', 'notes']);
+        const teaseDirectory = path.join(archive, 'Old_Tease');
+        assert.deepEqual(readJson(path.join(teaseDirectory, 'descriptions.json')).map(page => page.imageFilename),
+            ['one_1.jpg', 'no_image.jpg', 'three_3.jpg', 'four_4.png']);
+        const [stamp] = fs.readdirSync(path.join(teaseDirectory, 'history'));
+        assert.ok(fs.existsSync(path.join(teaseDirectory, 'history', stamp, 'descriptions.json')));
+        assert.ok(fs.existsSync(path.join(teaseDirectory, 'history', stamp, 'merged', 'Old_Tease_1700000000000', 'pics', 'four_4.png')));
+
+        // Loose images move into pics/
+        assert.deepEqual(fs.readdirSync(path.join(archive, 'Loose_Images', 'pics')).sort(), ['1.jpg', '2.jpg']);
+
+        // Everything is current now, so a second run has nothing to do
+        const again = await migrateArchive(archive, { inPlace: true });
+        assert.ok(again.teases.every(tease => tease.action === 'none'));
+    });
+
+    it('migrates a single tease folder', async () => {
+        const plan = await planMigration(path.join(archive, 'Foreign'));
+        assert.equal(plan.archiveDir, archive);
+        assert.deepEqual(plan.teases.map(tease => tease.title), ['Foreign Tease']);
+    });
+});
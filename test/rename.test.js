@@ -0,0 +1,63 @@
+// test/rename.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_IMAGES } = require('./fixtures/server');
+const { renameTeaseImages } = require('../lib/rename');
+
+describe('renameTeaseImages', () => {
+    let teaseDirectory;
+    const readPages = () => JSON.parse(fs.readFileSync(path.join(teaseDirectory, 'descriptions.json'), 'utf8'));
+
+    before(async () => {
+        teaseDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-rename-'));
+        const picsDirectory = path.join(teaseDirectory, 'pics');
+        await fs.promises.mkdir(picsDirectory);
+        // Page 2's image is called 1.png, the name page 1's image is about to get
+        await fs.promises.writeFile(path.join(picsDirectory, 'first_1.jpg'), FIXTURE_IMAGES['gray.jpg'].data);
+        await fs.promises.writeFile(path.join(picsDirectory, '1.png'), FIXTURE_IMAGES['green.png'].data);
+        const pages = [
+            { pageNumber: 1, description: 'First', imageUrl: 'https://example.com/a.jpg', imageFilename: 'first_1.jpg' },
+            { pageNumber: 2, description: 'Second', imageUrl: 'https://example.com/b.png', imageFilename: '1.png' },
+            { pageNumber: 3, description: 'Again', imageUrl: 'https://example.com/a.jpg', imageFilename: 'first_1.jpg' },
+            { pageNumber: 4, description: 'Lost', imageUrl: 'https://example.com/c.jpg', imageFilename: 'lost_4.jpg' }
+        ];
+        await fs.promises.writeFile(path.join(teaseDirectory, 'descriptions.json'), JSON.stringify(pages, null, 2));
+    });
+
+    after(async () => {
+        await fs.promises.rm(teaseDirectory, { recursive: true, force: true });
+    });
+
+    it('only reports the new names on a dry run', async () => {
+        const result = await renameTeaseImages(teaseDirectory, { filenameTemplate: '{page}', dryRun: true });
+
+        assert.deepEqual(result.renamed, [{ from: 'first_1.jpg', to: '1.jpg' }, { from: '1.png', to: '2.png' }]);
+        assert.deepEqual(result.missing, ['lost_4.jpg']);
+        assert.equal(readPages()[0].imageFilename, 'first_1.jpg');
+    });
+
+    it('renames the files, swapping names where needed, and updates the tease', async () => {
+        await renameTeaseImages(teaseDirectory, { filenameTemplate: '{page}' });
+
+        const pages = readPages();
+        assert.deepEqual(pages.map(page => page.imageFilename), ['1.jpg', '2.png', '1.jpg', 'lost_4.jpg']);
+        assert.ok(fs.readFileSync(path.join(teaseDirectory, 'pics', '1.jpg')).equals(FIXTURE_IMAGES['gray.jpg'].data));
+        assert.ok(fs.readFileSync(path.join(teaseDirectory, 'pics', '2.png')).equals(FIXTURE_IMAGES['green.png'].data));
+        assert.deepEqual(fs.readdirSync(path.join(teaseDirectory, 'pics')).sort(), ['1.jpg', '2.png']);
+        assert.match(fs.readFileSync(path.join(teaseDirectory, 'viewer.html'), 'utf8'), /"imageFilename":"1\.jpg"/);
+    });
+
+    it('refuses EOS teases, whose script refers to the media by name', async () => {
+        const eosDirectory = path.join(teaseDirectory, 'eos-tease');
+        await fs.promises.mkdir(path.join(eosDirectory, 'pics'), { recursive: true });
+        await fs.promises.writeFile(path.join(eosDirectory, 'pics', 'a.jpg'), FIXTURE_IMAGES['gray.jpg'].data);
+        await fs.promises.writeFile(path.join(eosDirectory, 'descriptions.json'), JSON.stringify([{ pageNumber: 'start', imageFilename: 'a.jpg' }]));
+        await fs.promises.writeFile(path.join(eosDirectory, 'manifest.json'), JSON.stringify({ schemaVersion: 1, tease: { id: '7', type: 'eos', title: 'EOS' }, pages: [] }));
+
+        await assert.rejects(renameTeaseImages(eosDirectory, { filenameTemplate: '{page}' }), /only supports classic teases/);
+        assert.deepEqual(fs.readdirSync(path.join(eosDirectory, 'pics')), ['a.jpg']);
+    });
+});
@@ -0,0 +1,33 @@
+// test/sanitize.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeDescriptionHtml } = require('../lib/sanitize');
+
+const PAGE_URL = 'https://milovana.com/webteases/showtease.php?id=1&p=2';
+
+describe('sanitizeDescriptionHtml', () => {
+    it('keeps line breaks, emphasis and colours', () => {
+        const html = 'Kneel <b>now</b>,<br>\n<span style="color: #f00; font-weight: bold">slave</span> <font color="blue" size="4">!</font>';
+        assert.equal(sanitizeDescriptionHtml(html), html);
+    });
+
+    it('removes scripts, event handlers and remote resources', () => {
+        const html = '<i onclick="steal()">Hi</i><script>steal()</script><style>p { display: none }</style>'
+            + '<img src="https://tracker.example/a.gif"><iframe src="https://example.com"></iframe>'
+            + '<span style="background: url(https://tracker.example/b.gif); color: red">there</span>';
+        assert.equal(sanitizeDescriptionHtml(html), '<i>Hi</i><span style="color: red">there</span>');
+    });
+
+    it('only keeps web links, resolved against the page and opened in a new tab', () => {
+        assert.equal(
+            sanitizeDescriptionHtml('<a href="showtease.php?id=1&amp;p=5">page 5</a> <a href="java&#x09;script&colon;steal()">x</a>', PAGE_URL),
+            '<a href="https://milovana.com/webteases/showtease.php?id=1&amp;p=5" target="_blank" rel="noopener noreferrer">page 5</a> <a>x</a>'
+        );
+        assert.equal(sanitizeDescriptionHtml('<a href="showtease.php?id=1">relative</a>'), '<a>relative</a>');
+    });
+
+    it('escapes stray markup and balances tags', () => {
+        assert.equal(sanitizeDescriptionHtml('1 < 2 & <b>bold <i>both</b> after</i> &amp; done<u>'), '1 &lt; 2 &amp; <b>bold <i>both</i></b> after &amp; done<u></u>');
+        assert.equal(sanitizeDescriptionHtml('<!-- note -->'), '');
+    });
+});
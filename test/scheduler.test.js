@@ -0,0 +1,56 @@
+// test/scheduler.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequestScheduler } = require('../lib/scheduler');
+
+describe('createRequestScheduler', () => {
+    it('spreads requests over the per-minute budget', async () => {
+        const scheduler = createRequestScheduler({ requestsPerMinute: 600, jitter: 0 }); // One every 100 ms
+        const started = Date.now();
+        for (let i = 0; i < 4; i++) {
+            await scheduler.schedule();
+        }
+        const elapsed = Date.now() - started;
+
+        assert.ok(elapsed >= 280, `took ${elapsed} ms`);
+        assert.equal(scheduler.stats().requests, 4);
+    });
+
+    it('does not wait at all without a limit', async () => {
+        const scheduler = createRequestScheduler({ requestsPerMinute: 0, jitter: 1000 });
+        const started = Date.now();
+        for (let i = 0; i < 10; i++) {
+            await scheduler.schedule();
+        }
+        assert.ok(Date.now() - started < 50);
+    });
+
+    it('slows down when throttled and honours Retry-After', async () => {
+        const scheduler = createRequestScheduler({ requestsPerMinute: 6000, jitter: 0, maxSlowdown: 4 });
+        scheduler.reportThrottle('HTTP 429', 150);
+        assert.equal(scheduler.stats().slowdown, 2);
+
+        const started = Date.now();
+        await scheduler.schedule();
+        assert.ok(Date.now() - started >= 140);
+
+        scheduler.reportThrottle('HTTP 429', 0);
+        scheduler.reportThrottle('HTTP 429', 0);
+        assert.equal(scheduler.stats().slowdown, 4); // Capped at maxSlowdown
+        assert.equal(scheduler.stats().throttled, 3);
+    });
+
+    it('recovers its normal pace after a run of successful requests', () => {
+        const scheduler = createRequestScheduler({ requestsPerMinute: 60, recoveryRequests: 2 });
+        scheduler.reportThrottle('Cloudflare challenge', 0);
+        scheduler.reportThrottle('Cloudflare challenge', 0);
+        assert.equal(scheduler.stats().slowdown, 4);
+
+        scheduler.reportSuccess();
+        scheduler.reportSuccess();
+        assert.equal(scheduler.stats().slowdown, 2);
+        scheduler.reportSuccess();
+        scheduler.reportSuccess();
+        assert.equal(scheduler.stats().slowdown, 1);
+    });
+});
@@ -0,0 +1,74 @@
+// test/scraper.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_IMAGES } = require('./fixtures/server');
+const { loadResumeState, scrapeTeasePages } = require('../lib/scraper');
+const { buildManifest, writeManifest } = require('../lib/manifest');
+const { setLogLevel, getLogLevel } = require('../lib/logger');
+
+const pageUrl = page => `https://milovana.com/webteases/showtease.php?id=31&p=${page}`;
+
+describe('loadResumeState', () => {
+    const initialLevel = getLogLevel();
+    let downloadsDir;
+
+    before(async () => {
+        setLogLevel('error');
+        downloadsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-resume-'));
+    });
+
+    after(async () => {
+        setLogLevel(initialLevel);
+        await fs.promises.rm(downloadsDir, { recursive: true, force: true });
+    });
+
+    async function saveTease(name, pages, manifestFields = null) {
+        const teaseDirectory = path.join(downloadsDir, name);
+        await fs.promises.mkdir(path.join(teaseDirectory, 'pics'), { recursive: true });
+        await fs.promises.writeFile(path.join(teaseDirectory, 'descriptions.json'), JSON.stringify(pages, null, 2));
+        if (manifestFields) await writeManifest(teaseDirectory, buildManifest({ title: name, pages, ...manifestFields }));
+        return teaseDirectory;
+    }
+
+    it('keeps the images on disk and lists the ones that never landed', async () => {
+        const teaseDirectory = await saveTease('Classic', [
+            { pageNumber: '1', url: pageUrl(1), imageUrl: 'https://cdn.example/a.jpg', imageFilename: 'a_1.jpg' },
+            { pageNumber: '2', url: pageUrl(2), imageUrl: 'https://cdn.example/b.jpg', imageFilename: 'b_2.jpg' },
+            { pageNumber: '3', url: pageUrl(3), imageUrl: 'https://cdn.example/a.jpg', imageFilename: 'a_3.jpg' }
+        ], { teaseId: '31' });
+        await fs.promises.writeFile(path.join(teaseDirectory, 'pics', 'a_1.jpg'), FIXTURE_IMAGES['gray.jpg'].data);
+
+        const state = await loadResumeState(teaseDirectory);
+
+        assert.deepEqual([...state.downloadedImagesMap], [['https://cdn.example/a.jpg', 'a_1.jpg']]);
+        assert.deepEqual(state.missingImages.map(page => page.pageNumber), ['2']);
+        assert.equal(state.pages[2].imageFilename, 'a_1.jpg');
+    });
+
+    it('refuses folders saved from an EOS tease, with or without a manifest', async () => {
+        const eosPages = [{ pageNumber: '1', eosPageId: 'start', url: pageUrl(1), imageFilename: 'no_image.jpg' }];
+        const withManifest = await saveTease('Eos', eosPages, { teaseId: '32', teaseType: 'eos' });
+        const withoutManifest = await saveTease('Old_Eos', eosPages);
+        await fs.promises.mkdir(path.join(withoutManifest, 'eos'));
+        await fs.promises.writeFile(path.join(withoutManifest, 'eos', 'script.json'), '{"pages":{}}');
+
+        await assert.rejects(loadResumeState(withManifest), /Cannot resume: .*Eos holds an EOS tease/);
+        await assert.rejects(loadResumeState(withoutManifest), /holds an EOS tease/);
+    });
+
+    it('leaves an EOS folder untouched when asked to resume it', async () => {
+        const teaseDirectory = await saveTease('Eos_Resumed', [
+            { pageNumber: '1', eosPageId: 'start', url: pageUrl(1), imageFilename: 'no_image.jpg' }
+        ], { teaseId: '33', teaseType: 'eos' });
+        const saved = fs.readFileSync(path.join(teaseDirectory, 'descriptions.json'), 'utf8');
+
+        const result = await scrapeTeasePages(null, { resumeDir: teaseDirectory, outputDir: downloadsDir });
+
+        assert.match(result.error, /holds an EOS tease/);
+        assert.equal(fs.readFileSync(path.join(teaseDirectory, 'descriptions.json'), 'utf8'), saved);
+        assert.deepEqual(fs.readdirSync(teaseDirectory).sort(), ['descriptions.json', 'manifest.json', 'pics']);
+    });
+});
@@ -0,0 +1,170 @@
+// test/server.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_IMAGES } = require('./fixtures/server');
+const { createArchiveServer } = require('../lib/server');
+
+// Writes a tease folder the way the scraper leaves it
+async function writeTease(downloadsDir, folder, teaseId, pages) {
+    const teaseDirectory = path.join(downloadsDir, folder);
+    await fs.promises.mkdir(path.join(teaseDirectory, 'pics'), { recursive: true });
+    for (const page of pages) {
+        if (page.imageFilename !== 'no_image.jpg') {
+            await fs.promises.writeFile(path.join(teaseDirectory, 'pics', page.imageFilename), FIXTURE_IMAGES['gray.jpg'].data);
+        }
+    }
+    await fs.promises.writeFile(path.join(teaseDirectory, 'descriptions.json'), JSON.stringify(pages, null, 2));
+    await fs.promises.writeFile(path.join(teaseDirectory, 'manifest.json'), JSON.stringify({
+        schemaVersion: 1,
+        tease: { id: teaseId, type: 'classic', title: folder.replace(/_/g, ' '), author: { name: null, id: null }, tags: [] },
+        scrapedAt: '2024-01-01T00:00:00.000Z',
+        pages
+    }, null, 2));
+    await fs.promises.writeFile(path.join(teaseDirectory, 'viewer.html'), '<!DOCTYPE html><title>viewer</title>');
+    return teaseDirectory;
+}
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+describe('createArchiveServer', () => {
+    let downloadsDir;
+    let archiveServer;
+    let baseUrl;
+    const scraper = new EventEmitter();
+    const scrapedUrls = [];
+
+    // Pretends to scrape: reports two pages and an image, then writes the tease folder
+    scraper.scrape = async url => {
+        scrapedUrls.push(url);
+        scraper.emit('page', { pageNumber: '1' });
+        scraper.emit('image', { pageNumber: '1' });
+        scraper.emit('page', { pageNumber: '2' });
+        const pages = [
+            { pageNumber: '1', description: 'One', imageFilename: 'one_1.jpg' },
+            { pageNumber: '2', description: 'Two', imageFilename: 'no_image.jpg' }
+        ];
+        const teaseDirectory = await writeTease(downloadsDir, 'Queued_Tease', '2002', pages);
+        return { title: 'Queued_Tease', teaseDirectory, pages, error: null };
+    };
+
+    before(async () => {
+        downloadsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-serve-'));
+        await writeTease(downloadsDir, 'Served_Tease', '1001', [
+            { pageNumber: '1', description: 'First', imageFilename: 'first_1.jpg' },
+            { pageNumber: '2', description: 'Second', imageFilename: 'no_image.jpg' }
+        ]);
+        await fs.promises.mkdir(path.join(downloadsDir, '.image-store'));
+        await fs.promises.writeFile(path.join(downloadsDir, '.image-store', 'urls.json'), '{}');
+        archiveServer = createArchiveServer(downloadsDir, { scraper });
+        baseUrl = await archiveServer.listen(0, '127.0.0.1');
+    });
+
+    after(async () => {
+        await archiveServer.close();
+        await fs.promises.rm(downloadsDir, { recursive: true, force: true });
+    });
+
+    it('lists the teases and returns a tease with links to its page images', async () => {
+        const list = await (await fetch(`${baseUrl}/api/teases`)).json();
+        assert.deepEqual(list.teases.map(tease => [tease.folder, tease.pageCount]), [['Served_Tease', 2]]);
+
+        const tease = await (await fetch(`${baseUrl}${list.teases[0].api}`)).json();
+        assert.equal(tease.tease.id, '1001');
+        assert.deepEqual(tease.pages.map(page => page.image), ['/api/teases/Served_Tease/pages/1/image', null]);
+
+        const missing = await fetch(`${baseUrl}/api/teases/Nope`);
+        assert.equal(missing.status, 404);
+    });
+
+    it('serves page images with caching headers and byte ranges', async () => {
+        const imageUrl = `${baseUrl}/api/teases/Served_Tease/pages/1/image`;
+        const image = FIXTURE_IMAGES['gray.jpg'].data;
+
+        const full = await fetch(imageUrl);
+        assert.equal(full.status, 200);
+        assert.equal(full.headers.get('content-type'), 'image/jpeg');
+        assert.match(full.headers.get('cache-control'), /max-age=/);
+        assert.ok(Buffer.from(await full.arrayBuffer()).equals(image));
+
+        const cached = await fetch(imageUrl, { headers: { 'If-None-Match': full.headers.get('etag') } });
+        assert.equal(cached.status, 304);
+
+        const partial = await fetch(imageUrl, { headers: { Range: 'bytes=2-9' } });
+        assert.equal(partial.status, 206);
+        assert.equal(partial.headers.get('content-range'), `bytes 2-9/${image.length}`);
+        assert.ok(Buffer.from(await partial.arrayBuffer()).equals(image.subarray(2, 10)));
+
+        const outside = await fetch(imageUrl, { headers: { Range: `bytes=${image.length}-` } });
+        assert.equal(outside.status, 416);
+    });
+
+    it('serves the library and viewers but nothing outside the archive or hidden', async () => {
+        const library = await fetch(`${baseUrl}/`);
+        assert.equal(library.status, 200);
+        assert.match(await library.text(), /Served_Tease/);
+
+        const folder = await fetch(`${baseUrl}/Served_Tease`, { redirect: 'manual' });
+        assert.equal(folder.status, 302);
+        assert.equal(folder.headers.get('location'), '/Served_Tease/viewer.html');
+
+        assert.equal((await fetch(`${baseUrl}/.image-store/urls.json`)).status, 404);
+        assert.equal((await fetch(`${baseUrl}/Served_Tease/%2e%2e/%2e%2e/etc/passwd`)).status, 404);
+        assert.equal((await fetch(`${baseUrl}/..%2f..%2fetc%2fpasswd`)).status, 404);
+    });
+
+    it('queues a scrape by URL and reports its progress', async () => {
+        const rejected = await fetch(`${baseUrl}/api/scrapes`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ url: 'https://example.com/' }) });
+        assert.equal(rejected.status, 400);
+
+        const queued = await fetch(`${baseUrl}/api/scrapes`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ url: '2002' }) });
+        assert.equal(queued.status, 202);
+        const job = await queued.json();
+        assert.equal(job.teaseId, '2002');
+        assert.equal(queued.headers.get('location'), `/api/scrapes/${job.id}`);
+
+        await archiveServer.idle();
+        const finished = await (await fetch(`${baseUrl}/api/scrapes/${job.id}`)).json();
+        assert.equal(finished.status, 'succeeded');
+        assert.deepEqual([finished.pagesScraped, finished.imagesDownloaded, finished.folder], [2, 1, 'Queued_Tease']);
+        assert.deepEqual(scrapedUrls, ['https://milovana.com/webteases/showtease.php?id=2002']);
+
+        // Archived now, so asking again does not scrape it a second time
+        const again = await (await fetch(`${baseUrl}/api/scrapes`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ url: 'https://milovana.com/webteases/showtease.php?id=2002' }) })).json();
+        assert.equal(again.status, 'skipped');
+        assert.equal(scrapedUrls.length, 1);
+    });
+
+    it('only queues scrapes sent as JSON, which cross-site pages cannot send unasked', async () => {
+        for (const contentType of ['text/plain', 'application/x-www-form-urlencoded', null]) {
+            const answer = await fetch(`${baseUrl}/api/scrapes`, {
+                method: 'POST',
+                headers: contentType ? { 'Content-Type': contentType } : {},
+                body: JSON.stringify({ url: '2003' })
+            });
+            assert.equal(answer.status, 415, String(contentType));
+        }
+        assert.equal(archiveServer.jobs.some(job => job.teaseId === '2003'), false);
+        assert.equal(archiveServer.token, null, 'no token is needed on loopback');
+    });
+
+    it('needs a token for scrapes when listening on an address other than loopback', async () => {
+        const lanServer = createArchiveServer(downloadsDir, { scraper });
+        const lanUrl = (await lanServer.listen(0, '0.0.0.0')).replace('0.0.0.0', '127.0.0.1');
+        try {
+            assert.match(lanServer.token, /^[\w-]{20,}$/);
+            const post = headers => fetch(`${lanUrl}/api/scrapes`, { method: 'POST', headers: { ...JSON_HEADERS, ...headers }, body: JSON.stringify({ url: '1001' }) });
+
+            assert.equal((await post({})).status, 401);
+            assert.equal((await post({ Authorization: 'Bearer wrong' })).status, 401);
+            const accepted = await post({ Authorization: `Bearer ${lanServer.token}` });
+            assert.equal(accepted.status, 200);
+            assert.equal((await accepted.json()).status, 'skipped', 'tease 1001 is archived');
+        } finally {
+            await lanServer.close();
+        }
+    });
+});
@@ -0,0 +1,54 @@
+// test/session.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCookieFile, handleLoginWall, SessionError } = require('../lib/session');
+
+describe('parseCookieFile', () => {
+    it('reads the Netscape cookies.txt format', () => {
+        const cookies = parseCookieFile([
+            '# Netscape HTTP Cookie File',
+            '',
+            '.milovana.com\tTRUE\t/\tTRUE\t1893456000\tphpbb3_sid\tabc123',
+            '#HttpOnly_milovana.com\tFALSE\t/forum\tFALSE\t0\tphpbb3_u\t42'
+        ].join('\n'));
+
+        assert.deepEqual(cookies, [
+            { name: 'phpbb3_sid', value: 'abc123', domain: '.milovana.com', path: '/', secure: true, httpOnly: false, expires: 1893456000 },
+            { name: 'phpbb3_u', value: '42', domain: 'milovana.com', path: '/forum', secure: false, httpOnly: true }
+        ]);
+    });
+
+    it('reads JSON cookie exports', () => {
+        const cookies = parseCookieFile(JSON.stringify([
+            { name: 'phpbb3_sid', value: 'abc123', domain: '.milovana.com', path: '/', secure: true, expirationDate: 1893456000.5 },
+            { name: 'no_domain', value: 'ignored' }
+        ]));
+
+        assert.equal(cookies.length, 1);
+        assert.equal(cookies[0].expires, 1893456000.5);
+        assert.equal(cookies[0].httpOnly, false);
+    });
+});
+
+describe('handleLoginWall', () => {
+    const loginPage = { url: () => 'https://milovana.com/forum/ucp.php?mode=login', evaluate: async () => true };
+    const teasePage = { url: () => 'https://milovana.com/webteases/showtease.php?id=1', evaluate: async () => false };
+
+    it('lets tease pages through', async () => {
+        assert.equal(await handleLoginWall(teasePage, {}, { renewed: false }), false);
+    });
+
+    it('stops with a SessionError when there are no credentials', async () => {
+        await assert.rejects(handleLoginWall(loginPage, {}, { renewed: false }), error => {
+            assert.ok(error instanceof SessionError);
+            assert.equal(error.url, 'https://milovana.com/forum/ucp.php?mode=login');
+            assert.match(error.message, /--username/);
+            return true;
+        });
+    });
+
+    it('does not log in again more than once per run', async () => {
+        const settings = { username: 'fixture', password: 'secret' };
+        await assert.rejects(handleLoginWall(loginPage, settings, { renewed: true }), /Logging in again did not help/);
+    });
+});
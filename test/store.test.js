@@ -0,0 +1,82 @@
+// test/store.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer, FIXTURE_IMAGES } = require('./fixtures/server');
+const { createDownloadQueue } = require('../lib/download-queue');
+const { createImageStore, importIntoImageStore, cleanImageStore } = require('../lib/store');
+
+function sameFile(a, b) {
+    const statsA = fs.statSync(a);
+    const statsB = fs.statSync(b);
+    return statsA.ino === statsB.ino && statsA.dev === statsB.dev;
+}
+
+describe('shared image store', () => {
+    const server = createFixtureServer();
+    let downloadsDir;
+    let store;
+
+    before(async () => {
+        await server.start();
+        downloadsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-store-'));
+        store = createImageStore(path.join(downloadsDir, '.image-store'));
+    });
+
+    after(async () => {
+        await server.close();
+        await fs.promises.rm(downloadsDir, { recursive: true, force: true });
+    });
+
+    it('keeps one copy of a picture reached through different URLs and teases', async () => {
+        fs.mkdirSync(path.join(downloadsDir, 'One', 'pics'), { recursive: true });
+        fs.mkdirSync(path.join(downloadsDir, 'Two', 'pics'), { recursive: true });
+        const queue = createDownloadQueue({ store });
+        const first = await queue.add(server.url('/images/gray.jpg'), path.join(downloadsDir, 'One', 'pics', 'a_1.jpg'));
+        const second = await queue.add(server.url('/cdn/gray.jpg'), path.join(downloadsDir, 'Two', 'pics', 'b_1.jpg'));
+
+        assert.ok(sameFile(first.path, second.path));
+        const stored = await store.lookup(server.url('/images/gray.jpg'));
+        assert.ok(sameFile(first.path, stored));
+        assert.ok(fs.readFileSync(second.path).equals(FIXTURE_IMAGES['gray.jpg'].data));
+    });
+
+    it('links a URL it already holds without downloading it again', async () => {
+        const queue = createDownloadQueue({ store });
+        const before = server.requests.length;
+        const result = await queue.add(server.url('/images/gray.jpg'), path.join(downloadsDir, 'Two', 'pics', 'again_2.png'));
+
+        assert.equal(server.requests.length, before);
+        assert.equal(result.fromStore, true);
+        assert.equal(path.basename(result.path), 'again_2.jpg'); // Named after the real type, like a download
+        assert.equal(result.type, 'image/jpeg');
+    });
+
+    it('adds images of teases archived before the store existed', async () => {
+        const legacyPics = path.join(downloadsDir, 'Legacy', 'pics');
+        fs.mkdirSync(legacyPics, { recursive: true });
+        fs.writeFileSync(path.join(legacyPics, 'old_1.jpg'), FIXTURE_IMAGES['gray.jpg'].data);
+        fs.writeFileSync(path.join(legacyPics, 'old_2.png'), FIXTURE_IMAGES['green.png'].data);
+
+        const result = await importIntoImageStore(downloadsDir);
+        assert.equal(result.linked, 2);
+        assert.equal(result.savedBytes, FIXTURE_IMAGES['gray.jpg'].data.length);
+        assert.ok(sameFile(path.join(legacyPics, 'old_1.jpg'), path.join(downloadsDir, 'One', 'pics', 'a_1.jpg')));
+    });
+
+    it('deletes only store images no tease uses any more', async () => {
+        fs.rmSync(path.join(downloadsDir, 'Legacy'), { recursive: true });
+
+        const dryRun = await cleanImageStore(downloadsDir, { dryRun: true });
+        assert.equal(dryRun.removed.length, 1); // green.png was only used by the removed tease
+        assert.ok(fs.existsSync(path.join(downloadsDir, '.image-store', dryRun.removed[0])));
+
+        const result = await cleanImageStore(downloadsDir);
+        assert.deepEqual(result.removed, dryRun.removed);
+        assert.equal(result.freedBytes, FIXTURE_IMAGES['green.png'].data.length);
+        assert.ok(!fs.existsSync(path.join(downloadsDir, '.image-store', result.removed[0])));
+        assert.ok(await store.lookup(server.url('/images/gray.jpg')), 'images still in use are kept');
+    });
+});
@@ -0,0 +1,142 @@
+// test/update.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer, FIXTURE_IMAGES } = require('./fixtures/server');
+const { diffPages, archiveImage, stageNewImages } = require('../lib/update');
+const { createImageStore } = require('../lib/store');
+const { resolveScraperOptions } = require('../lib/options');
+const { setLogLevel, getLogLevel } = require('../lib/logger');
+
+describe('diffPages', () => {
+    const saved = [
+        { pageNumber: '1', url: 'u1', description: 'One', imageUrl: 'a.jpg' },
+        { pageNumber: '2', url: 'u2', description: 'Two', imageUrl: 'b.jpg' },
+        { pageNumber: '3', url: 'u3', description: 'Three', imageUrl: 'c.jpg' }
+    ];
+
+    it('reports nothing when the pages match, ignoring whitespace', () => {
+        const live = saved.map(page => ({ ...page, description: `  ${page.description}\n` }));
+        const diff = diffPages(saved, live);
+
+        assert.deepEqual(diff.unchanged, ['1', '2', '3']);
+        assert.equal(diff.added.length + diff.removed.length + diff.edited.length, 0);
+    });
+
+    it('finds added, removed and edited pages', () => {
+        const live = [
+            saved[0],
+            { ...saved[1], description: 'Two, reworded', imageUrl: 'b2.jpg' },
+            { pageNumber: '4', url: 'u4', description: 'Four', imageUrl: 'd.jpg' }
+        ];
+        const diff = diffPages(saved, live);
+
+        assert.deepEqual(diff.added, [{ pageNumber: '4', url: 'u4' }]);
+        assert.deepEqual(diff.removed, [{ pageNumber: '3', url: 'u3' }]);
+        assert.equal(diff.edited.length, 1);
+        assert.deepEqual(Object.keys(diff.edited[0].changes).sort(), ['description', 'imageUrl']);
+        assert.deepEqual(diff.edited[0].changes.imageUrl, { before: 'b.jpg', after: 'b2.jpg' });
+    });
+
+    it('compares the linked pages only for pages saved with links', () => {
+        const link = pageNumber => ({ pageNumber, url: `u${pageNumber}`, label: 'Go' });
+        const savedWithLinks = [{ ...saved[0], links: [link('2'), link('3')] }, saved[1]];
+        const live = [{ ...saved[0], links: [link('3')] }, { ...saved[1], links: [link('1')] }];
+        const diff = diffPages(savedWithLinks, live);
+
+        assert.deepEqual(diff.edited.map(page => page.pageNumber), ['1']);
+        assert.deepEqual(diff.edited[0].changes, { links: { before: ['2', '3'], after: ['3'] } });
+        assert.deepEqual(diff.unchanged, ['2']);
+    });
+});
+
+describe('stageNewImages', () => {
+    const server = createFixtureServer();
+    const initialLevel = getLogLevel();
+    const tease = { id: '1001', title: 'Fixture Tease' };
+    let teaseDirectory;
+
+    before(async () => {
+        setLogLevel('error');
+        await server.start();
+        teaseDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-update-'));
+    });
+
+    after(async () => {
+        setLogLevel(initialLevel);
+        await server.close();
+        await fs.promises.rm(teaseDirectory, { recursive: true, force: true });
+    });
+
+    const settings = () => resolveScraperOptions({ outputDir: teaseDirectory, filenameTemplate: '{page}', requestsPerMinute: 0 });
+
+    it('downloads every new image into the staging folder and points the pages at it', async () => {
+        const pages = [{ pageNumber: '1', description: 'One' }, { pageNumber: '3', description: 'Three' }];
+        const newImages = new Map([[server.url('/images/gray.jpg'), pages]]);
+        const staging = path.join(teaseDirectory, '.update-ok');
+
+        const staged = await stageNewImages(newImages, staging, new Set(['1.jpg']), settings(), tease);
+
+        assert.deepEqual(staged, ['1_2.jpg']);
+        assert.ok(fs.readFileSync(path.join(staging, '1_2.jpg')).equals(FIXTURE_IMAGES['gray.jpg'].data));
+        assert.deepEqual(pages.map(page => [page.imageFilename, page.imageNewlyDownloaded]), [['1_2.jpg', true], ['1_2.jpg', false]]);
+    });
+
+    it('removes the staging folder and throws when any download fails', async () => {
+        const pages = [{ pageNumber: '1', description: 'One', imageFilename: 'kept.jpg' }, { pageNumber: '2', description: 'Two' }];
+        const newImages = new Map([[server.url('/images/gray.jpg'), [pages[0]]], [server.url('/images/gone.jpg'), [pages[1]]]]);
+        const staging = path.join(teaseDirectory, '.update-failed');
+
+        await assert.rejects(stageNewImages(newImages, staging, new Set(), settings(), tease), /page\(s\) 2; nothing was changed/);
+        assert.equal(fs.existsSync(staging), false);
+    });
+});
+
+describe('archiveImage', () => {
+    let downloadsDir;
+
+    before(async () => {
+        downloadsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-archive-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(downloadsDir, { recursive: true, force: true });
+    });
+
+    it('keeps store images readable when pics/ only holds relative symlinks to them', async t => {
+        const picsDirectory = path.join(downloadsDir, 'Tease', 'pics');
+        const historyPics = path.join(downloadsDir, 'Tease', 'history', 'stamp', 'pics');
+        await fs.promises.mkdir(picsDirectory, { recursive: true });
+        await fs.promises.mkdir(historyPics, { recursive: true });
+        const imagePath = path.join(picsDirectory, 'old_1.jpg');
+        await fs.promises.writeFile(imagePath, FIXTURE_IMAGES['gray.jpg'].data);
+
+        // No hard links, as when the store is on another drive: the store falls back to symlinks
+        t.mock.method(fs.promises, 'link', async () => {
+            throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+        });
+        await createImageStore(path.join(downloadsDir, '.image-store')).adopt(imagePath);
+        assert.ok(fs.lstatSync(imagePath).isSymbolicLink());
+        assert.ok(!path.isAbsolute(fs.readlinkSync(imagePath)));
+
+        const archivedPath = path.join(historyPics, 'old_1.jpg');
+        await archiveImage(imagePath, archivedPath);
+
+        assert.equal(fs.existsSync(imagePath), false);
+        assert.ok(fs.readFileSync(archivedPath).equals(FIXTURE_IMAGES['gray.jpg'].data));
+    });
+
+    it('moves ordinary files as they are', async () => {
+        const source = path.join(downloadsDir, 'plain.png');
+        const archivedPath = path.join(downloadsDir, 'plain-archived.png');
+        await fs.promises.writeFile(source, FIXTURE_IMAGES['green.png'].data);
+
+        await archiveImage(source, archivedPath);
+
+        assert.equal(fs.existsSync(source), false);
+        assert.ok(fs.lstatSync(archivedPath).isFile());
+        assert.ok(fs.readFileSync(archivedPath).equals(FIXTURE_IMAGES['green.png'].data));
+    });
+});
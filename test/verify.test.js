@@ -0,0 +1,125 @@
+// test/verify.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer, FIXTURE_IMAGES } = require('./fixtures/server');
+const { checkImageFile, verifyTease, repairTease } = require('../lib/verify');
+
+const JPEG = FIXTURE_IMAGES['gray.jpg'].data;
+const PNG = FIXTURE_IMAGES['green.png'].data;
+
+describe('checkImageFile', () => {
+    let workDir;
+
+    before(async () => {
+        workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-verify-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    });
+
+    async function check(name, data) {
+        const filePath = path.join(workDir, name);
+        await fs.promises.writeFile(filePath, data);
+        return checkImageFile(filePath);
+    }
+
+    it('accepts complete JPEG and PNG files', async () => {
+        assert.deepEqual(await check('ok.jpg', JPEG), { ok: true, problem: null, type: 'image/jpeg' });
+        assert.deepEqual(await check('ok.png', PNG), { ok: true, problem: null, type: 'image/png' });
+    });
+
+    it('reports missing, empty and non-image files', async () => {
+        assert.equal((await checkImageFile(path.join(workDir, 'absent.jpg'))).problem, 'missing');
+        assert.equal((await check('empty.jpg', Buffer.alloc(0))).problem, 'empty');
+        assert.equal((await check('page.jpg', '<!DOCTYPE html><html></html>')).problem, 'not an image');
+    });
+
+    it('spots truncated and corrupted images', async () => {
+        assert.match((await check('cut.jpg', JPEG.subarray(0, JPEG.length - 2))).problem, /JPEG is truncated/);
+        assert.match((await check('cut.png', PNG.subarray(0, PNG.length - 12))).problem, /PNG is truncated/);
+
+        const flipped = Buffer.from(PNG);
+        flipped[PNG.indexOf('IDAT') + 5] ^= 0xFF;
+        assert.match((await check('flipped.png', flipped)).problem, /bad checksum/);
+    });
+});
+
+describe('verifyTease and repairTease', () => {
+    const server = createFixtureServer();
+    let teaseDirectory;
+
+    before(async () => {
+        await server.start();
+        teaseDirectory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-repair-'));
+        const picsDirectory = path.join(teaseDirectory, 'pics');
+        await fs.promises.mkdir(picsDirectory);
+        await fs.promises.writeFile(path.join(picsDirectory, 'first_1.jpg'), JPEG);
+        await fs.promises.writeFile(path.join(picsDirectory, 'second_2.png'), PNG.subarray(0, 20));
+        await fs.promises.writeFile(path.join(picsDirectory, 'leftover.jpg.part'), 'partial');
+        const pages = [
+            { pageNumber: 1, description: 'First', imageUrl: server.url('/images/gray.jpg'), imageFilename: 'first_1.jpg' },
+            { pageNumber: 2, description: 'Second', imageUrl: server.url('/images/green.png'), imageFilename: 'second_2.png' },
+            { pageNumber: 3, description: 'Third page', imageUrl: server.url('/images/gray.jpg?v=2'), imageFilename: 'no_image.jpg', imageError: 'HTTP 503' },
+            { pageNumber: 4, description: 'Text only', imageUrl: null, imageFilename: 'no_image.jpg' },
+            { pageNumber: 5, description: 'No description found.', imageUrl: null, imageFilename: 'no_image.jpg',
+                failure: { kind: 'removed', statusCode: null, reason: 'The tease has been removed.' } }
+        ];
+        await fs.promises.writeFile(path.join(teaseDirectory, 'descriptions.json'), JSON.stringify(pages, null, 2));
+    });
+
+    after(async () => {
+        await server.close();
+        await fs.promises.rm(teaseDirectory, { recursive: true, force: true });
+    });
+
+    it('lists every page whose image is missing or broken', async () => {
+        const report = await verifyTease(teaseDirectory);
+
+        assert.deepEqual(report.problems.map(problem => [problem.pageNumber, problem.problem]), [
+            [2, 'PNG is truncated (in IHDR chunk)'],
+            [3, 'never downloaded'],
+            [5, 'page could not be scraped: The tease has been removed.']
+        ]);
+        assert.deepEqual(report.strayFiles, ['leftover.jpg.part']);
+    });
+
+    it('downloads the broken images again and rewrites the tease files', async () => {
+        const repair = await repairTease(await verifyTease(teaseDirectory), { requestsPerMinute: 0 });
+        assert.equal(repair.repaired, 2);
+        assert.deepEqual(repair.failed.map(failure => [failure.pageNumber, failure.reason]), [[5, 'resume the scrape to load the page again']]);
+
+        const pages = JSON.parse(fs.readFileSync(path.join(teaseDirectory, 'descriptions.json'), 'utf8'));
+        assert.equal(pages[1].imageFilename, 'second_2.png');
+        assert.equal(pages[2].imageFilename, 'third_page_3.jpg');
+        assert.equal(pages[2].imageError, undefined);
+        assert.ok(fs.readFileSync(path.join(teaseDirectory, 'pics', 'second_2.png')).equals(PNG));
+        assert.ok(fs.existsSync(path.join(teaseDirectory, 'viewer.html')));
+
+        const report = await verifyTease(teaseDirectory);
+        assert.deepEqual(report.problems.map(problem => problem.pageNumber), [5]);
+        assert.deepEqual(report.strayFiles, []);
+    });
+
+    it('keeps the broken file when its new download fails', async () => {
+        const picsDirectory = path.join(teaseDirectory, 'pics');
+        const descriptionFile = path.join(teaseDirectory, 'descriptions.json');
+        const pages = JSON.parse(fs.readFileSync(descriptionFile, 'utf8'));
+        pages.push({ pageNumber: 6, description: 'Gone', imageUrl: server.url('/images/gone.jpg'), imageFilename: 'gone_6.jpg' });
+        await fs.promises.writeFile(descriptionFile, JSON.stringify(pages, null, 2));
+        await fs.promises.writeFile(path.join(picsDirectory, 'gone_6.jpg'), JPEG.subarray(0, 40));
+
+        const repair = await repairTease(await verifyTease(teaseDirectory), { requestsPerMinute: 0 });
+
+        assert.equal(repair.repaired, 0);
+        assert.deepEqual(repair.failed.map(failure => failure.pageNumber), [5, 6]);
+        assert.ok(fs.readFileSync(path.join(picsDirectory, 'gone_6.jpg')).equals(JPEG.subarray(0, 40)));
+        const saved = JSON.parse(fs.readFileSync(descriptionFile, 'utf8')).find(page => page.pageNumber === 6);
+        assert.equal(saved.imageFilename, 'gone_6.jpg');
+        assert.match(saved.imageError, /404/);
+        assert.deepEqual(fs.readdirSync(picsDirectory).filter(file => file.startsWith('.repair-')), []);
+    });
+});
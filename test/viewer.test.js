@@ -0,0 +1,125 @@
+// test/viewer.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { generateViewerHtml, listViewerThemes, validateViewerTheme, renderTemplate, rebuildViewers } = require('../lib/viewer');
+const { setLogLevel, getLogLevel } = require('../lib/logger');
+
+const PAGES = [
+    { pageNumber: 1, description: 'Déjà vu on the first page.', imageFilename: 'first_1.jpg' },
+    { pageNumber: 2, description: 'Second page.', imageFilename: 'second_2.png' }
+];
+
+describe('generateViewerHtml', () => {
+    let workDir;
+
+    before(async () => {
+        workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-viewer-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('writes a self-contained page whose script compiles', async () => {
+        const viewerPath = path.join(workDir, 'viewer.html');
+        await generateViewerHtml(viewerPath, 'Fixture', PAGES, { id: 1001, title: 'Fixture Tease' });
+        const html = fs.readFileSync(viewerPath, 'utf8');
+
+        const scripts = Array.from(html.matchAll(/<script>([\s\S]*?)<\/script>/g), match => match[1]);
+        assert.equal(scripts.length, 1);
+        assert.doesNotThrow(() => new vm.Script(scripts[0]));
+        assert.doesNotMatch(html, /<(script|link)[^>]+(src|href)=/, 'nothing is loaded from elsewhere');
+        for (const id of ['slideshow-btn', 'grid-overlay', 'search-input', 'bookmark-btn']) {
+            assert.match(html, new RegExp(`id="${id}"`));
+        }
+    });
+
+    it('embeds formatted descriptions cleaned and without closing the script early', async () => {
+        const viewerPath = path.join(workDir, 'formatted.html');
+        const pages = [{ ...PAGES[0], descriptionHtml: '<b>Bold</b><img src="https://tracker.example/a.gif" onerror="steal()"></script>' }];
+        await generateViewerHtml(viewerPath, 'Fixture', pages, null);
+        const html = fs.readFileSync(viewerPath, 'utf8');
+
+        assert.equal(html.match(/<\/script>/g).length, 1);
+        const gallery = JSON.parse(html.match(/galleryData = (\[.*\]);/)[1]);
+        assert.equal(gallery[0].descriptionHtml, '<b>Bold</b>');
+    });
+
+    it('puts the tease title and details into the page', async () => {
+        const viewerPath = path.join(workDir, 'title.html');
+        await generateViewerHtml(viewerPath, '', PAGES, { id: 1001, title: 'Tom & <Jerry>', author: { name: 'Someone' }, tags: ['a', 'b'] });
+        const html = fs.readFileSync(viewerPath, 'utf8');
+
+        assert.match(html, /<title>Tom &amp; &lt;Jerry&gt;<\/title>/);
+        assert.equal(JSON.parse(html.match(/const teaseInfo = (\{.*\});/)[1]).author.name, 'Someone');
+    });
+
+    it('renders every built-in theme', async () => {
+        assert.deepEqual(listViewerThemes(), ['classic', 'fullscreen', 'mobile', 'side-by-side']);
+        for (const theme of listViewerThemes()) {
+            const viewerPath = path.join(workDir, `${theme}.html`);
+            assert.equal(await generateViewerHtml(viewerPath, 'Fixture', PAGES, null, { viewerTheme: theme }), true);
+            const html = fs.readFileSync(viewerPath, 'utf8');
+            assert.match(html, new RegExp(`<body class="theme-${theme}">`));
+            assert.match(html, /id="current-image"/);
+        }
+    });
+
+    it('uses the files of a user template folder over the built-in ones', async () => {
+        const templateDir = path.join(workDir, 'my-templates');
+        await fs.promises.mkdir(path.join(templateDir, 'themes'), { recursive: true });
+        await fs.promises.writeFile(path.join(templateDir, 'themes', 'paper.css'), 'body { background: #fff; }');
+        await fs.promises.writeFile(path.join(templateDir, 'viewer.html'),
+            '<h1>{{ title }} by {{ author }}</h1><style>{{{ styles }}}</style><script>const pages = {{{ pagesJson }}};</script>');
+
+        assert.deepEqual(listViewerThemes(templateDir), ['classic', 'fullscreen', 'mobile', 'paper', 'side-by-side']);
+        const viewerPath = path.join(workDir, 'custom.html');
+        await generateViewerHtml(viewerPath, 'Fixture', PAGES, { title: 'Fixture', author: { name: 'Someone' } }, { viewerTheme: 'paper', viewerTemplateDir: templateDir });
+        const html = fs.readFileSync(viewerPath, 'utf8');
+
+        assert.match(html, /^<h1>Fixture by Someone<\/h1>/);
+        assert.match(html, /background: #fff/);
+        assert.match(html, /\.control-btn/, 'the built-in viewer.css is still used');
+    });
+
+    it('rejects unknown themes and placeholders', () => {
+        assert.throws(() => validateViewerTheme('neon'), /Unknown viewer theme "neon". Available themes: classic, fullscreen/);
+        assert.throws(() => validateViewerTheme('classic', path.join(workDir, 'missing')), /does not exist/);
+        assert.throws(() => renderTemplate('{{ titel }}', { title: 'x' }), /Unknown placeholder \{\{ titel \}\}/);
+        assert.equal(renderTemplate('{{ a }}|{{{ a }}}|{{b}}', { a: '<i>', b: null }), '&lt;i&gt;|<i>|');
+    });
+});
+
+describe('rebuildViewers', () => {
+    const initialLevel = getLogLevel();
+    let downloadsDir;
+
+    before(async () => {
+        setLogLevel('warn');
+        downloadsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'miloscrap-viewers-'));
+        for (const folder of ['First', 'Second']) {
+            await fs.promises.mkdir(path.join(downloadsDir, folder));
+            await fs.promises.writeFile(path.join(downloadsDir, folder, 'descriptions.json'), JSON.stringify(PAGES));
+        }
+        await fs.promises.mkdir(path.join(downloadsDir, 'notes'));
+    });
+
+    after(async () => {
+        setLogLevel(initialLevel);
+        await fs.promises.rm(downloadsDir, { recursive: true, force: true });
+    });
+
+    it('writes the viewer of every tease folder with the chosen theme', async () => {
+        const result = await rebuildViewers(downloadsDir, { viewerTheme: 'fullscreen' });
+
+        assert.deepEqual(result, { rebuilt: ['First', 'Second'], failed: [] });
+        const html = fs.readFileSync(path.join(downloadsDir, 'Second', 'viewer.html'), 'utf8');
+        assert.match(html, /theme-fullscreen/);
+        assert.equal(fs.existsSync(path.join(downloadsDir, 'notes', 'viewer.html')), false);
+        await assert.rejects(rebuildViewers(downloadsDir, { viewerTheme: 'neon' }), /Unknown viewer theme/);
+    });
+});